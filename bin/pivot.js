@@ -0,0 +1,395 @@
+#!/usr/bin/env node
+// Builds the pivot report without a browser, e.g. for the weekly report:
+//   pivot build --current cur.xlsx --prev prev.xlsx --out report.xlsx
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { autoDetectMapping, validateMapping } from '../src/columnMapping.js';
+import { DEFAULT_FORMAT_RULES, normalizeFormatRules } from '../src/formatRules.js';
+import { compileMeasures, normalizeMeasures } from '../src/measures.js';
+import { DEFAULT_CYCLE_START, isoToDay, normalizeCycleStart } from '../src/pacing.js';
+import { PDF_ORIENTATIONS, PDF_PAGE_SIZES, reportToPdf } from '../src/pdfReport.js';
+import {
+  aggregateDataset,
+  createDataset,
+  inspectWorkbook,
+  readRowsFromWorkbook,
+  readTargetsFile
+} from '../src/pivotCore.js';
+import { DEFAULT_DATA_OPTIONS, DEFAULT_PIVOT_CONFIG, DUPLICATE_RULES, isCountAggregation } from '../src/pivotConfig.js';
+import {
+  DEFAULT_ROW_ORDER,
+  ROW_SORT_KEYS,
+  SHOW_VALUES_AS,
+  SNAPSHOT_OU_HEADER,
+  YEAR_CHANGE_HEADER,
+  buildPivotReport,
+  describeSnapshotDiff,
+  filterCaption,
+  pivotValueColumns,
+  reportSettingRows,
+  rowSortOptions,
+  snapshotOuRows,
+  snapshotTransitionTable,
+  yearChangeRows
+} from '../src/pivotReport.js';
+import { reportToCsv, reportToHtml, reportToJson } from '../src/reportFormats.js';
+import { createPrevBase, createTargetSettings, importedTargets } from '../src/targets.js';
+import { writePivotWorkbook } from '../src/xlsxExport.js';
+
+const FORMATS = ['xlsx', 'csv', 'json', 'html', 'pdf'];
+
+const USAGE = `Usage: pivot build --current <file> --out <file> [options]
+
+Options:
+  --current <file>    Current Year extract (.xlsx, .xls, .ods or .csv)
+  --prev <file>       Prev Year extract; enables prev-year targets
+  --snapshot <file>   Earlier extract of the current year; adds the status
+                      transitions and per-OU changes since then
+  --out <file>        Report to write
+  --format <format>   ${FORMATS.join(' | ')} (default: from the --out extension)
+  --mapping <file>    Column mapping (JSON, as saved by the app) for both files
+                      instead of detecting the Dashboard columns
+  --targets <file>    Sheet with OU Level 0, OU Level 1 and Target columns
+  --growth <pct>      Growth over the prev-year base (default: ${createTargetSettings().growthPct})
+  --distinct          Count one row per Application Key
+  --duplicates <rule> Which row counts for a repeated key: ${DUPLICATE_RULES.map((r) => r.id).join(' | ')}
+  --compare           Add prev-year columns and the change
+  --include-drafts    Keep Draft in the status columns
+  --show-as <mode>    Show values as: ${SHOW_VALUES_AS.map((m) => m.id).join(' | ')} (default: value)
+  --with-value        With --show-as, write the value next to each percentage
+  --measures <file>   Calculated measures (JSON list of { name, formula, format }
+                      with format number or percent) added after Grand Total
+  --rag <red>,<amber> Progress % below which targets show red and amber
+                      (default: ${DEFAULT_FORMAT_RULES.rag.red},${DEFAULT_FORMAT_RULES.rag.amber}); "off" leaves them plain
+  --heatmap           Shade the status columns by their share of the row
+  --sort <column>[:asc|desc]
+                      Sort the rows at every level by a column header (e.g.
+                      Approved, "Grand Total"), label, target or progress
+                      (default direction: desc, asc for label)
+  --top <n>           Keep the first n rows by --by and fold the rest into Others
+  --bottom <n>        Keep the last n rows by --by and fold the rest into Others
+  --by <column>       What --top and --bottom rank by (default: ${DEFAULT_ROW_ORDER.rankKey})
+  --date-from <date>  Keep rows with a Submission Date on or after the date
+                      (YYYY-MM-DD); the prev year uses the same range a year earlier
+  --date-to <date>    Keep rows up to the date; also the date pacing counts to
+                      (default: the latest Submission Date)
+  --cycle-start <MM-DD>
+                      First day of the yearly application cycle, for the Pace
+                      column (default: ${DEFAULT_CYCLE_START})
+  --page-size <size>  PDF paper: ${PDF_PAGE_SIZES.map((p) => p.id).join(' | ')} (default: a4)
+  --orientation <o>   PDF orientation: ${PDF_ORIENTATIONS.map((o) => o.id).join(' | ')} (default: portrait)
+  -h, --help          Show this help`;
+
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      current: { type: 'string' },
+      prev: { type: 'string' },
+      snapshot: { type: 'string' },
+      out: { type: 'string' },
+      format: { type: 'string' },
+      mapping: { type: 'string' },
+      targets: { type: 'string' },
+      growth: { type: 'string' },
+      distinct: { type: 'boolean', default: false },
+      duplicates: { type: 'string', default: DEFAULT_DATA_OPTIONS.duplicateRule },
+      compare: { type: 'boolean', default: false },
+      'include-drafts': { type: 'boolean', default: false },
+      'show-as': { type: 'string', default: 'value' },
+      'with-value': { type: 'boolean', default: false },
+      measures: { type: 'string' },
+      rag: { type: 'string' },
+      heatmap: { type: 'boolean', default: false },
+      sort: { type: 'string' },
+      top: { type: 'string' },
+      bottom: { type: 'string' },
+      by: { type: 'string', default: DEFAULT_ROW_ORDER.rankKey },
+      'date-from': { type: 'string' },
+      'date-to': { type: 'string' },
+      'cycle-start': { type: 'string', default: DEFAULT_CYCLE_START },
+      'page-size': { type: 'string', default: 'a4' },
+      orientation: { type: 'string', default: 'portrait' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  if (values.help) return { help: true };
+  if (positionals[0] !== 'build' || positionals.length > 1) throw new Error('Expected the "build" command.');
+  if (!values.current) throw new Error('--current is required.');
+  if (!values.out) throw new Error('--out is required.');
+
+  const format = values.format ?? path.extname(values.out).slice(1).toLowerCase();
+  if (!FORMATS.includes(format)) throw new Error(`Unknown format “${format}”; use --format ${FORMATS.join('|')}.`);
+  const growth = values.growth === undefined ? createTargetSettings().growthPct : Number(values.growth);
+  if (!Number.isFinite(growth)) throw new Error('--growth must be a number.');
+  if (!DUPLICATE_RULES.some((r) => r.id === values.duplicates)) {
+    throw new Error(`Unknown --duplicates rule “${values.duplicates}”.`);
+  }
+  if (!SHOW_VALUES_AS.some((m) => m.id === values['show-as'])) {
+    throw new Error(`Unknown --show-as mode “${values['show-as']}”.`);
+  }
+  if (!PDF_PAGE_SIZES.some((p) => p.id === values['page-size'])) {
+    throw new Error(`Unknown --page-size “${values['page-size']}”.`);
+  }
+  if (!PDF_ORIENTATIONS.some((o) => o.id === values.orientation)) {
+    throw new Error(`Unknown --orientation “${values.orientation}”.`);
+  }
+  return {
+    ...values,
+    format,
+    growth,
+    formatting: parseFormatting(values),
+    rowOrder: parseRowOrder(values),
+    dateRange: parseDateRange(values)
+  };
+}
+
+function parseDateRange(values) {
+  const range = { from: null, to: null };
+  for (const [flag, end] of [
+    ['date-from', 'from'],
+    ['date-to', 'to']
+  ]) {
+    if (values[flag] === undefined) continue;
+    if (isoToDay(values[flag]) === null) throw new Error(`--${flag} must be a date written YYYY-MM-DD.`);
+    range[end] = values[flag];
+  }
+  if (range.from && range.to && range.from > range.to) throw new Error('--date-from is after --date-to.');
+  if (normalizeCycleStart(values['cycle-start']) !== values['cycle-start']) {
+    throw new Error('--cycle-start must be a month and day written MM-DD, e.g. 09-01.');
+  }
+  return range;
+}
+
+// Column names are checked once the pivot is built (see resolveRowOrder()).
+function parseRowOrder(values) {
+  const order = { ...DEFAULT_ROW_ORDER, rankKey: values.by };
+  if (values.sort !== undefined) {
+    const m = /^(.*?)(?::(asc|desc))?$/i.exec(values.sort.trim());
+    if (!m[1]) throw new Error('--sort needs a column, e.g. --sort "Grand Total:desc".');
+    order.sortKey = m[1];
+    order.sortDir = m[2] ? m[2].toLowerCase() : m[1].toLowerCase() === 'label' ? 'asc' : 'desc';
+  }
+  if (values.top !== undefined && values.bottom !== undefined) throw new Error('Use --top or --bottom, not both.');
+  const rank = values.top !== undefined ? 'top' : values.bottom !== undefined ? 'bottom' : null;
+  if (rank) {
+    const n = Number(values[rank]);
+    if (!Number.isInteger(n) || n < 1) throw new Error(`--${rank} must be a whole number above 0.`);
+    Object.assign(order, { rankMode: rank, rankN: n });
+  }
+  return order;
+}
+
+// Turns the column names of --sort and --by into the keys the report sorts by.
+function resolveRowOrder(order, pivot, display, measures) {
+  const columns = pivotValueColumns(pivot, { showAs: display.showAs, measures });
+  const config = pivot.config ?? DEFAULT_PIVOT_CONFIG;
+  const options = rowSortOptions(columns, { showTarget: isCountAggregation(config.value.agg) });
+  const named = { label: ROW_SORT_KEYS.label, target: ROW_SORT_KEYS.target, progress: ROW_SORT_KEYS.progress };
+  const resolve = (name, flag) => {
+    const wanted = name.trim().toLowerCase();
+    if (named[wanted] && (wanted === 'label' || options.some((o) => o.key === named[wanted]))) return named[wanted];
+    // A name without the year ("Grand Total") means the current year when comparing.
+    const match =
+      options.find((o) => o.label.toLowerCase() === wanted) ??
+      options.find((o) => o.label.toLowerCase().startsWith(`${wanted} / `));
+    if (!match) {
+      const known = options.filter((o) => !o.key.startsWith('#')).map((o) => o.label);
+      const hint = `Use label, target, progress or one of: ${known.join(', ')}.`;
+      throw new Error(`${flag}: unknown column “${name}”. ${hint}`);
+    }
+    return match.key;
+  };
+  return {
+    ...order,
+    sortKey: order.sortKey === null ? null : resolve(order.sortKey, '--sort'),
+    rankKey: order.rankMode === 'all' ? order.rankKey : resolve(order.rankKey, '--by')
+  };
+}
+
+function parseFormatting(values) {
+  const rag = { ...DEFAULT_FORMAT_RULES.rag };
+  if (values.rag === 'off') {
+    rag.enabled = false;
+  } else if (values.rag !== undefined) {
+    const [red, amber] = values.rag.split(',').map((v) => (v.trim() === '' ? NaN : Number(v)));
+    if (!Number.isFinite(red) || !Number.isFinite(amber) || red > amber) {
+      throw new Error('--rag takes two percentages, red then amber (e.g. 60,90), or "off".');
+    }
+    Object.assign(rag, { red, amber });
+  }
+  return normalizeFormatRules({ rag, heatmap: values.heatmap });
+}
+
+function readFile(file) {
+  try {
+    return fs.readFileSync(file);
+  } catch (err) {
+    throw new Error(`Cannot read ${file}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`);
+  }
+}
+
+function readSource(file, mapping) {
+  const bytes = readFile(file);
+  const name = path.basename(file);
+  const { sheets } = inspectWorkbook(bytes, name);
+  const resolved = mapping ?? autoDetectMapping(sheets);
+  if (!resolved) {
+    throw new Error(`${name}: no sheet has the Dashboard columns; pass a column mapping with --mapping.`);
+  }
+  const problems = validateMapping(resolved, sheets);
+  if (problems.length) throw new Error(`${name}: ${problems.join(' ')}`);
+  // The report pivots and filters on the Dashboard columns only.
+  return readRowsFromWorkbook(bytes, name, resolved, undefined, { extras: [] });
+}
+
+// Unlike the app, which keeps a measure that does not fit the current files,
+// the command line stops at the first broken formula.
+function readMeasures(file, pivot) {
+  const name = path.basename(file);
+  let list;
+  try {
+    list = JSON.parse(readFile(file).toString('utf8'));
+  } catch (err) {
+    if (err instanceof SyntaxError) throw new Error(`${name}: not valid JSON.`);
+    throw err;
+  }
+  if (!Array.isArray(list)) throw new Error(`${name}: expected a list of measures.`);
+  const measures = normalizeMeasures(list);
+  const [problem] = compileMeasures(measures, pivot).problems;
+  if (problem) throw new Error(`${name}: ${problem.name}: ${problem.message}`);
+  return measures;
+}
+
+function build(args) {
+  const mapping = args.mapping ? JSON.parse(readFile(args.mapping).toString('utf8')) : null;
+  const current = readSource(args.current, mapping);
+  const prev = args.prev ? readSource(args.prev, mapping) : null;
+  const snapshot = args.snapshot ? readSource(args.snapshot, mapping) : null;
+  const dataset = createDataset(current, prev, snapshot);
+  if ((args.dateRange.from || args.dateRange.to) && !current.mapping.columns.submittedAt) {
+    throw new Error(`${path.basename(args.current)}: filtering by date needs a Submission Date column.`);
+  }
+
+  const options = {
+    ...DEFAULT_DATA_OPTIONS,
+    distinctApplications: args.distinct,
+    duplicateRule: args.duplicates,
+    compareYears: args.compare && !!prev,
+    filters: args['include-drafts'] ? {} : DEFAULT_DATA_OPTIONS.filters,
+    dateRange: args.dateRange,
+    cycleStart: args['cycle-start']
+  };
+  const result = aggregateDataset(dataset, { config: DEFAULT_PIVOT_CONFIG, options });
+
+  const settings = createTargetSettings();
+  settings.growthPct = args.growth;
+  if (args.targets) {
+    const imported = readTargetsFile(readFile(args.targets), path.basename(args.targets));
+    settings.imported = importedTargets(imported.entries);
+    settings.importName = path.basename(args.targets);
+  }
+  const targets = { prevBase: createPrevBase(result.prev), settings, ou0Keys: result.pivot.ou0Keys };
+  const display = { showAs: args['show-as'], withValue: args['with-value'] };
+  const measures = args.measures ? readMeasures(args.measures, result.pivot) : [];
+  const rowOrder = resolveRowOrder(args.rowOrder, result.pivot, display, measures);
+
+  const report = buildPivotReport(result.pivot, {
+    fields: result.fields,
+    ouChanges: result.ouChanges,
+    targets,
+    display,
+    measures,
+    formatting: args.formatting,
+    rowOrder
+  });
+  const caption = filterCaption(result.pivot, result.options.filters, result.fields, result.slicers);
+  const reportSettings = [
+    ['Generated', new Date().toLocaleString()],
+    ['Current Year file', path.basename(args.current)],
+    ['Prev Year file', args.prev ? path.basename(args.prev) : '(none)'],
+    ...(result.snapshotDiff
+      ? [
+          ['Snapshot file', path.basename(args.snapshot)],
+          ['Since the snapshot', describeSnapshotDiff(result.snapshotDiff)]
+        ]
+      : []),
+    ...reportSettingRows({
+      pivot: result.pivot,
+      options: result.options,
+      fields: result.fields,
+      slicerValues: result.slicers,
+      targets,
+      display,
+      measures,
+      formatting: args.formatting,
+      rowOrder
+    })
+  ];
+  return { result, report, caption, settings: reportSettings };
+}
+
+function render(args, { result, report, caption, settings }) {
+  const { format } = args;
+  if (format === 'csv') return reportToCsv(report);
+  if (format === 'json') return reportToJson(report, { caption, settings });
+  if (format === 'html') return reportToHtml(report, { caption, settings });
+  if (format === 'pdf') {
+    const sources = [`Current Year: ${path.basename(args.current)}`];
+    if (args.prev) sources.push(`Prev Year: ${path.basename(args.prev)}`);
+    if (args.snapshot) sources.push(`Snapshot: ${path.basename(args.snapshot)}`);
+    const pdf = reportToPdf(report, {
+      caption,
+      settings,
+      sources,
+      pageSize: args['page-size'],
+      orientation: args.orientation,
+      onUnsupported: (chars) => process.stderr.write(`pivot: the PDF fonts cannot show ${chars.join(' ')}; printed as ?\n`)
+    });
+    return Buffer.from(pdf);
+  }
+  const sheets = result.ouChanges
+    ? [{ name: 'OU Changes', header: YEAR_CHANGE_HEADER, rows: yearChangeRows(result.ouChanges) }]
+    : [];
+  if (result.snapshotDiff) {
+    const transitions = snapshotTransitionTable(result.snapshotDiff);
+    sheets.push(
+      { name: 'Status Transitions', header: transitions.header, rows: transitions.rows },
+      { name: 'Snapshot Changes', header: SNAPSHOT_OU_HEADER, rows: snapshotOuRows(result.snapshotDiff) }
+    );
+  }
+  return Buffer.from(writePivotWorkbook({ ...report, caption, settings, sheets }));
+}
+
+function main(argv) {
+  let args;
+  try {
+    args = parseCommandLine(argv);
+  } catch (err) {
+    process.stderr.write(`pivot: ${err.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (args.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  try {
+    const built = build(args);
+    fs.writeFileSync(args.out, render(args, built));
+    const { pivot } = built.result;
+    const grand = built.report.rows.at(-1);
+    const target = grand.target === null ? '' : `, target ${grand.target}`;
+    process.stdout.write(
+      `Wrote ${args.out} (${pivot.totalCount} rows read; Grand Total ${pivot.grandAgg?.total ?? 0}${target}).\n`
+    );
+    return 0;
+  } catch (err) {
+    process.stderr.write(`pivot: ${err?.message ? String(err.message) : String(err)}\n`);
+    return 1;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,343 @@
+import { isCountAggregation } from './pivotConfig.js';
+import { formatNumber } from './pivotReport.js';
+import { resolveRowTarget } from './targets.js';
+
+// SVG charts of the aggregated pivot. The series functions are DOM-free; the
+// render functions build self-contained <svg> elements (inline styles, no
+// external fonts) so they export through html-to-image unchanged.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Bars per chart; the rest are summarized in a note under the chart.
+export const CHART_BAR_LIMIT = 60;
+
+const PALETTE = [
+  '#2f5fb3',
+  '#2e7d32',
+  '#c62828',
+  '#f9a825',
+  '#6a1b9a',
+  '#00838f',
+  '#ef6c00',
+  '#5d4037',
+  '#ad1457',
+  '#546e7a'
+];
+
+const WIDTH = 760;
+const LABEL_WIDTH = 190;
+const VALUE_WIDTH = 150;
+const BAR_HEIGHT = 18;
+const BAR_GAP = 8;
+const FONT = 'Segoe UI, Roboto, Arial, sans-serif';
+
+// Values add up across columns only for these aggregations.
+export function isStackable(agg) {
+  return isCountAggregation(agg) || agg === 'sum';
+}
+
+// Row nodes `level` steps below the top, in table order.
+export function chartNodes(pivot, level) {
+  let nodes = pivot.rowNodes || [];
+  for (let i = 0; i < level; i++) nodes = nodes.flatMap((n) => n.children || []);
+  return nodes;
+}
+
+// One bar per node at `level`, one segment per pivot column (a single
+// "Total" segment without a column field).
+export function statusBarSeries(pivot, level) {
+  const columns = pivot.columns?.length ? pivot.columns : null;
+  const bars = chartNodes(pivot, level).map((node) => ({
+    label: node.path.join(' / '),
+    values: columns ? columns.map((c) => Number(node.agg?.byColumn?.[c] ?? 0)) : [Number(node.agg?.total ?? 0)],
+    total: Number(node.agg?.total ?? 0)
+  }));
+  return { columns: columns ?? ['Total'], bars };
+}
+
+// Current vs target for every node at `level` that has a target, then Grand
+// Total. `skipped` counts the nodes without one.
+export function attainmentSeries(pivot, level, targetCtx) {
+  const config = pivot.config;
+  const bars = [];
+  let skipped = 0;
+  const add = (node, kind, label) => {
+    const target = resolveRowTarget(node, kind, config, targetCtx).value;
+    const current = Number((node ? node.agg : pivot.grandAgg)?.total ?? 0);
+    if (target === null) {
+      if (kind !== 'grand') skipped += 1;
+      return;
+    }
+    bars.push({ label, current, target, ratio: target > 0 ? current / target : null, grand: kind === 'grand' });
+  };
+  for (const node of chartNodes(pivot, level)) add(node, 'group', node.path.join(' / '));
+  add(null, 'grand', 'Grand Total');
+  return { bars, skipped };
+}
+
+// Smallest 1/2/5 × 10^n at or above `v`.
+function niceCeil(v) {
+  if (!(v > 0)) return 1;
+  const pow = 10 ** Math.floor(Math.log10(v));
+  return [1, 2, 5, 10].map((m) => m * pow).find((n) => n >= v);
+}
+
+// Axis from 0 past `v` in about four round steps: { max, ticks }.
+function niceScale(v) {
+  const step = Math.max(niceCeil(v / 4), v > 4 ? 1 : 0.25);
+  const max = step * Math.max(1, Math.ceil(v / step));
+  const ticks = [];
+  for (let t = 0; t <= max + step / 2; t += step) ticks.push(t);
+  return { max, ticks };
+}
+
+function percentText(ratio) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+function svgNode(name, attrs = {}, text = null) {
+  const el = document.createElementNS(SVG_NS, name);
+  for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, String(v));
+  if (text !== null) el.textContent = text;
+  return el;
+}
+
+function shortLabel(label, max = 30) {
+  return label.length > max ? `${label.slice(0, max - 1)}…` : label;
+}
+
+// Title, optional legend and the frame every chart shares. `ticks` are
+// { at (0..1 of the plot width), text }; `draw(svg, plot)` adds the bars, with
+// `plot` the { x, width, top } of the plotting area.
+function chartFrame({ title, legend = [], rows, notes = [], ticks }, draw) {
+  const svg = svgNode('svg', { xmlns: SVG_NS, width: WIDTH, 'font-family': FONT, 'font-size': 12 });
+  svg.appendChild(svgNode('rect', { width: '100%', height: '100%', fill: '#ffffff' }));
+  svg.appendChild(svgNode('text', { x: 0, y: 16, 'font-size': 14, 'font-weight': 700, fill: '#0b1220' }, title));
+
+  let y = 34;
+  let x = 0;
+  for (const item of legend) {
+    const w = 24 + Math.min(item.label.length, 24) * 7;
+    if (x + w > WIDTH) {
+      x = 0;
+      y += 18;
+    }
+    svg.appendChild(svgNode('rect', { x, y: y - 10, width: 12, height: 12, rx: 2, fill: item.color }));
+    svg.appendChild(svgNode('text', { x: x + 16, y, fill: '#0b1220' }, shortLabel(item.label, 24)));
+    x += w;
+  }
+  const top = y + (legend.length ? 16 : 0);
+  const plot = { x: LABEL_WIDTH, width: WIDTH - LABEL_WIDTH - VALUE_WIDTH, top };
+  const bottom = top + rows * (BAR_HEIGHT + BAR_GAP);
+
+  for (const t of ticks) {
+    const tx = plot.x + t.at * plot.width;
+    svg.appendChild(svgNode('line', { x1: tx, x2: tx, y1: top - 4, y2: bottom, stroke: '#e3e7ef' }));
+    svg.appendChild(svgNode('text', { x: tx, y: bottom + 14, 'text-anchor': 'middle', fill: '#5a6477' }, t.text));
+  }
+  draw(svg, plot);
+
+  let noteY = bottom + 34;
+  for (const note of notes) {
+    svg.appendChild(svgNode('text', { x: 0, y: noteY, fill: '#5a6477' }, note));
+    noteY += 16;
+  }
+  const height = noteY - 8;
+  svg.setAttribute('height', height);
+  svg.setAttribute('viewBox', `0 0 ${WIDTH} ${height}`);
+  return svg;
+}
+
+function barLabel(svg, y, label) {
+  const text = svgNode('text', { x: LABEL_WIDTH - 8, y: y + BAR_HEIGHT - 5, 'text-anchor': 'end', fill: '#0b1220' });
+  text.textContent = shortLabel(label);
+  text.appendChild(svgNode('title', {}, label));
+  svg.appendChild(text);
+}
+
+/**
+ * Stacked horizontal bars, one per row of statusBarSeries(). With `percent`
+ * every bar is scaled to 100% of its own total.
+ */
+export function renderStatusChart({ title, columns, bars, percent }) {
+  const shown = bars.slice(0, CHART_BAR_LIMIT);
+  const scale = niceScale(percent ? 100 : Math.max(0, ...shown.map((b) => b.values.reduce((s, v) => s + v, 0))));
+  const max = percent ? 1 : scale.max;
+  const ticks = scale.ticks.map((t) => ({ at: t / scale.max, text: percent ? `${t}%` : formatNumber(t) }));
+  const notes = [];
+  if (bars.length > shown.length) notes.push(`Showing the first ${shown.length} of ${formatNumber(bars.length)} rows.`);
+  const legend = columns.map((c, i) => ({ label: c, color: PALETTE[i % PALETTE.length] }));
+
+  return chartFrame({ title, legend, rows: shown.length, notes, ticks }, (svg, plot) => {
+    shown.forEach((bar, row) => {
+      const y = plot.top + row * (BAR_HEIGHT + BAR_GAP);
+      barLabel(svg, y, bar.label);
+      const sum = bar.values.reduce((s, v) => s + v, 0);
+      let x = plot.x;
+      bar.values.forEach((v, i) => {
+        if (!(v > 0)) return;
+        const share = sum > 0 ? v / sum : 0;
+        const w = (percent ? share : v / max) * plot.width;
+        const rect = svgNode('rect', { x, y, width: w, height: BAR_HEIGHT, fill: legend[i].color });
+        const tip = `${bar.label} · ${columns[i]}: ${formatNumber(v)} (${percentText(share)})`;
+        rect.appendChild(svgNode('title', {}, tip));
+        svg.appendChild(rect);
+        x += w;
+      });
+      const value = percent ? `n = ${formatNumber(bar.total)}` : formatNumber(bar.total);
+      svg.appendChild(svgNode('text', { x: x + 6, y: y + BAR_HEIGHT - 5, fill: '#0b1220' }, value));
+    });
+  });
+}
+
+const ATTAINED = '#2e7d32';
+const BELOW = '#2f5fb3';
+
+/**
+ * Current vs target bars from attainmentSeries(). Counts draw the current
+ * value with a tick at the target; percentages draw current / target with a
+ * 100% reference line.
+ */
+export function renderAttainmentChart({ title, bars, skipped, percent }) {
+  const rows = bars.filter((b) => !b.grand);
+  const shown = rows.slice(0, CHART_BAR_LIMIT);
+  const grand = bars.find((b) => b.grand);
+  if (grand) shown.push(grand);
+
+  // Percentages run to at least 110% so the reference line has room, and at
+  // most 200%; longer bars are cut off at the edge.
+  const ratios = shown.map((b) => b.ratio ?? 0);
+  const axis = percent
+    ? niceScale(Math.min(200, Math.max(110, Math.max(...ratios) * 100)))
+    : niceScale(Math.max(0, ...shown.flatMap((b) => [b.current, b.target])));
+  const max = percent ? axis.max / 100 : axis.max;
+  const ticks = axis.ticks.map((t) => ({ at: t / axis.max, text: percent ? `${t}%` : formatNumber(t) }));
+  const notes = [];
+  if (rows.length > CHART_BAR_LIMIT) notes.push(`Showing the first ${CHART_BAR_LIMIT} rows with a target.`);
+  if (skipped) notes.push(`${formatNumber(skipped)} rows have no target and are left out.`);
+  const legend = [
+    { label: 'At or above target', color: ATTAINED },
+    { label: 'Below target', color: BELOW }
+  ];
+
+  return chartFrame({ title, legend, rows: shown.length, notes, ticks }, (svg, plot) => {
+    const scale = (v) => plot.x + Math.min(v / max, 1) * plot.width;
+    shown.forEach((bar, row) => {
+      const y = plot.top + row * (BAR_HEIGHT + BAR_GAP);
+      barLabel(svg, y, bar.label);
+      const attained = bar.current >= bar.target;
+      const end = scale(percent ? (bar.ratio ?? 1) : bar.current);
+      const rect = svgNode('rect', {
+        x: plot.x,
+        y,
+        width: Math.max(end - plot.x, 0),
+        height: BAR_HEIGHT,
+        fill: attained ? ATTAINED : BELOW,
+        'fill-opacity': bar.grand ? 1 : 0.85
+      });
+      const ratioText = bar.ratio === null ? '' : ` (${percentText(bar.ratio)})`;
+      const summary = `${formatNumber(bar.current)} of ${formatNumber(bar.target)}${ratioText}`;
+      rect.appendChild(svgNode('title', {}, `${bar.label}: ${summary}`));
+      svg.appendChild(rect);
+      let textX = end;
+      if (!percent) {
+        // Target tick.
+        const tx = scale(bar.target);
+        const tick = { x1: tx, x2: tx, y1: y - 3, y2: y + BAR_HEIGHT + 3, stroke: '#0b1220', 'stroke-width': 2 };
+        svg.appendChild(svgNode('line', tick));
+        textX = Math.max(end, tx);
+      }
+      const text = percent ? percentText(bar.ratio ?? 1) : summary;
+      svg.appendChild(svgNode('text', { x: textX + 6, y: y + BAR_HEIGHT - 5, fill: '#0b1220' }, text));
+    });
+    if (percent) {
+      const x = scale(1);
+      const bottom = plot.top + shown.length * (BAR_HEIGHT + BAR_GAP);
+      svg.appendChild(
+        svgNode('line', {
+          x1: x,
+          x2: x,
+          y1: plot.top - 6,
+          y2: bottom,
+          stroke: '#c62828',
+          'stroke-dasharray': '4 3',
+          'stroke-width': 1.5
+        })
+      );
+      svg.appendChild(svgNode('text', { x: x + 4, y: plot.top - 8, fill: '#c62828' }, '100%'));
+    }
+  });
+}
+
+const THIS_YEAR = '#2f5fb3';
+const PREV_YEAR = '#8a94a6';
+// Plot height of the pace chart, in chartFrame() rows.
+const PACE_ROWS = 10;
+
+// The cumulative weekly counts of one OU0 (null: all rows) from the worker's
+// weekly pace, or null when that OU0 has none.
+export function paceSeries(weekly, ou0 = null) {
+  const series = weekly?.series.find((s) => s.key === ou0);
+  if (!series) return null;
+  return {
+    label: ou0 ?? 'All',
+    weekStarts: weekly.weekStarts,
+    asOfWeek: weekly.asOfWeek,
+    current: series.current,
+    prev: series.prev
+  };
+}
+
+/**
+ * Cumulative applications per week of the cycle from paceSeries(): this year
+ * up to the as-of week against the whole prev-year cycle, which is dashed.
+ */
+export function renderPaceChart({ title, weekStarts, asOfWeek, current, prev }) {
+  const weeks = weekStarts.length;
+  const scale = niceScale(Math.max(1, current.at(-1) ?? 0, prev?.at(-1) ?? 0));
+  const step = Math.max(1, Math.ceil(weeks / 8));
+  const ticks = [];
+  for (let i = 0; i < weeks; i += step) ticks.push({ at: i / (weeks - 1), text: weekStarts[i].slice(5) });
+  const legend = [{ label: 'This year', color: THIS_YEAR }, ...(prev ? [{ label: 'Prev year', color: PREV_YEAR }] : [])];
+  const notes = [`Weeks start on the dates shown (MM-DD); this year is counted to the week of ${weekStarts[asOfWeek]}.`];
+
+  return chartFrame({ title, legend, rows: PACE_ROWS, notes, ticks }, (svg, plot) => {
+    const height = PACE_ROWS * (BAR_HEIGHT + BAR_GAP);
+    const bottom = plot.top + height;
+    const px = (week) => plot.x + (week / (weeks - 1)) * plot.width;
+    const py = (v) => bottom - (v / scale.max) * height;
+    for (const t of scale.ticks) {
+      const y = py(t);
+      svg.appendChild(svgNode('line', { x1: plot.x, x2: plot.x + plot.width, y1: y, y2: y, stroke: '#e3e7ef' }));
+      svg.appendChild(svgNode('text', { x: plot.x - 8, y: y + 4, 'text-anchor': 'end', fill: '#5a6477' }, formatNumber(t)));
+    }
+    const line = (values, color, dashed) => {
+      const points = values.map((v, i) => `${px(i)},${py(v)}`).join(' ');
+      const attrs = { points, fill: 'none', stroke: color, 'stroke-width': 2 };
+      svg.appendChild(svgNode('polyline', dashed ? { ...attrs, 'stroke-dasharray': '5 4' } : attrs));
+    };
+    if (prev) line(prev, PREV_YEAR, true);
+    line(current, THIS_YEAR, false);
+    current.forEach((v, i) => {
+      const dot = svgNode('circle', { cx: px(i), cy: py(v), r: 3, fill: THIS_YEAR });
+      const prevText = prev ? `, prev year ${formatNumber(prev[i])}` : '';
+      dot.appendChild(svgNode('title', {}, `Week of ${weekStarts[i]}: ${formatNumber(v)}${prevText}`));
+      svg.appendChild(dot);
+    });
+
+    const x = px(asOfWeek);
+    svg.appendChild(
+      svgNode('line', { x1: x, x2: x, y1: plot.top - 6, y2: bottom, stroke: '#c62828', 'stroke-dasharray': '4 3' })
+    );
+    const last = current.at(-1) ?? 0;
+    const label = prev ? `${formatNumber(last)} vs ${formatNumber(prev[asOfWeek])}` : formatNumber(last);
+    svg.appendChild(svgNode('text', { x: x + 6, y: py(last) - 6, fill: '#0b1220' }, label));
+  });
+}
+
+// Stacked bars need values that add up; attainment needs targets, which only
+// counts have.
+export function chartAvailability(pivot) {
+  const agg = pivot?.config?.value?.agg;
+  return { stacked: isStackable(agg), attainment: isCountAggregation(agg) };
+}
@@ -0,0 +1,95 @@
+export const DEFAULT_SHEET_NAME = 'Dashboard';
+
+// Logical fields the pivot needs, in the order they are shown in the mapping
+// dialog. `label` doubles as the column header of the standard Dashboard export;
+// `aliases` are other headers guessed for the field.
+export const FIELD_DEFS = [
+  { id: 'ou0', label: 'OU Level 0', required: true },
+  { id: 'ou1', label: 'OU Level 1', required: false },
+  { id: 'ou2', label: 'OU Level 2', required: false },
+  { id: 'applicationKey', label: 'Application Key', required: true },
+  { id: 'status', label: 'Submission Status', required: true },
+  {
+    id: 'submittedAt',
+    label: 'Submission Date',
+    required: false,
+    aliases: ['Submitted On', 'Submitted Date', 'Date Submitted']
+  }
+];
+
+export function normalizeHeader(v) {
+  return String(v ?? '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
+
+function hashString(s) {
+  // FNV-1a, enough to keep storage keys short and stable.
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+// A workbook "shape" is its sheet names plus headers; the same export reuses
+// the mapping remembered for it.
+export function workbookShapeKey(sheets) {
+  const parts = (sheets || []).map(
+    (s) => `${normalizeHeader(s.name)}:${(s.headers || []).map(normalizeHeader).join('|')}`
+  );
+  return hashString(parts.join('\n'));
+}
+
+export function guessColumns(headers) {
+  const byNorm = new Map();
+  for (const h of headers || []) {
+    if (!byNorm.has(normalizeHeader(h))) byNorm.set(normalizeHeader(h), h);
+  }
+  const columns = {};
+  for (const f of FIELD_DEFS) {
+    const names = [f.label, ...(f.aliases || [])];
+    columns[f.id] = names.map((n) => byNorm.get(normalizeHeader(n))).find(Boolean) ?? '';
+  }
+  return columns;
+}
+
+export function validateMapping(mapping, sheets) {
+  const sheet = (sheets || []).find((s) => s.name === mapping?.sheet);
+  if (!sheet) return [`Sheet “${mapping?.sheet ?? ''}” not found.`];
+
+  const problems = [];
+  const headers = new Set(sheet.headers);
+  for (const f of FIELD_DEFS) {
+    const col = mapping.columns?.[f.id] ?? '';
+    if (!col) {
+      if (f.required) problems.push(`${f.label} is not mapped.`);
+    } else if (!headers.has(col)) {
+      problems.push(`Column “${col}” (${f.label}) not found in “${sheet.name}”.`);
+    }
+  }
+  return problems;
+}
+
+// True when a sheet carries every column the mapping uses; such sheets can be
+// combined with the mapped one.
+export function sheetHasMappedColumns(headers, mapping) {
+  const present = new Set(headers || []);
+  return FIELD_DEFS.map((f) => mapping?.columns?.[f.id]).every((col) => !col || present.has(col));
+}
+
+// Prefers the Dashboard sheet, then any sheet whose headers match every
+// required field by name.
+export function autoDetectMapping(sheets) {
+  const list = sheets || [];
+  const preferred = list.filter((s) => normalizeHeader(s.name) === normalizeHeader(DEFAULT_SHEET_NAME));
+  const candidates = [...preferred, ...list.filter((s) => !preferred.includes(s))];
+
+  for (const sheet of candidates) {
+    const mapping = { sheet: sheet.name, columns: guessColumns(sheet.headers) };
+    if (validateMapping(mapping, list).length === 0) return mapping;
+  }
+  return null;
+}
@@ -0,0 +1,124 @@
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+export function isZipOrCfb(bytes) {
+  // XLSX/ODS are zip archives ("PK"), legacy XLS is an OLE compound file.
+  if (bytes.length >= 2 && bytes[0] === 0x50 && bytes[1] === 0x4b) return true;
+  return bytes.length >= 4 && bytes[0] === 0xd0 && bytes[1] === 0xcf && bytes[2] === 0x11 && bytes[3] === 0xe0;
+}
+
+export function looksLikeDelimitedText(bytes, fileName = '') {
+  if (isZipOrCfb(bytes)) return false;
+  if (/\.(csv|tsv|txt)$/i.test(fileName)) return true;
+  // Anything else that is not markup (HTML/XML spreadsheets) is treated as text.
+  const head = decodeText(bytes.subarray(0, 512)).text.replace(/^\uFEFF/, '').trimStart();
+  return head.length > 0 && !head.startsWith('<');
+}
+
+export function decodeText(bytes) {
+  if (bytes.length >= 3 && bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'utf-8' };
+  }
+  if (bytes.length >= 2 && bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'utf-16le' };
+  }
+  if (bytes.length >= 2 && bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'utf-16be' };
+  }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+  } catch {
+    // Not valid UTF-8: most exports from older Windows tools are cp1252.
+    return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+  }
+}
+
+function countOutsideQuotes(line, ch) {
+  let n = 0;
+  let quoted = false;
+  for (const c of line) {
+    if (c === '"') quoted = !quoted;
+    else if (c === ch && !quoted) n += 1;
+  }
+  return n;
+}
+
+// Picks the candidate that splits the first lines into the same, largest
+// number of fields.
+export function detectDelimiter(text) {
+  const lines = text
+    .split(/\r\n|\n|\r/)
+    .filter((l) => l.trim().length > 0)
+    .slice(0, 20);
+  if (!lines.length) return ',';
+
+  let best = ',';
+  let bestScore = 0;
+  for (const d of DELIMITER_CANDIDATES) {
+    const counts = lines.map((l) => countOutsideQuotes(l, d));
+    if (!counts[0]) continue;
+    const consistent = counts.filter((c) => c === counts[0]).length;
+    const score = consistent * 1000 + counts[0];
+    if (score > bestScore) {
+      best = d;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// RFC 4180 style parser: quoted fields, doubled quotes, CRLF/LF/CR line ends.
+// Blank lines are dropped; `lines`, when given, gets the line number each
+// kept row starts on.
+export function parseDelimited(text, delimiter, maxRows = Infinity, lines = null) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+      lines?.push(rowLine);
+    }
+    row = [];
+  };
+
+  while (i < text.length && rows.length < maxRows) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (c === '"') quoted = false;
+      else field += c;
+      if (c === '\n' || (c === '\r' && text[i + 1] !== '\n')) line += 1;
+      i += 1;
+      continue;
+    }
+    if (c === '"' && field === '') quoted = true;
+    else if (c === delimiter) endField();
+    else if (c === '\r' || c === '\n') {
+      endRow();
+      if (c === '\r' && text[i + 1] === '\n') i += 1;
+      line += 1;
+      rowLine = line;
+    } else field += c;
+    i += 1;
+  }
+  if (rows.length < maxRows && (field !== '' || row.length)) endRow();
+  return rows;
+}
+
+export function describeDelimiter(d) {
+  return d === '\t' ? 'tab' : `“${d}”`;
+}
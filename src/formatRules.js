@@ -0,0 +1,162 @@
+import { filterValueKey, isCountAggregation } from './pivotConfig.js';
+
+// Conditional formatting shared by the on-screen table and the exports:
+// red/amber/green bands on target progress, a heatmap over the pivot columns
+// and highlight rules such as "Rejected > 10% of row". Every style also has a
+// symbol, weight or lightness difference so it survives grayscale printing.
+// Colors are RRGGBB without "#", as the XLSX writer wants them.
+
+export const DEFAULT_FORMAT_RULES = {
+  // Progress below `red` % is red, below `amber` % amber, the rest green.
+  rag: { enabled: true, red: 60, amber: 90 },
+  heatmap: false,
+  // { column, op, value, of: 'row' | 'value' }: `of` 'row' compares the cell's
+  // % of its row total, 'value' the value itself.
+  highlights: []
+};
+
+export const RAG_BANDS = {
+  green: { label: 'On target', symbol: '●', fill: 'C6EFCE', color: '006100' },
+  amber: { label: 'Close', symbol: '◐', fill: 'FFEB9C', color: '9C5700' },
+  red: { label: 'Behind', symbol: '○', fill: 'FFC7CE', color: '9C0006' }
+};
+
+export const HIGHLIGHT_OPS = [
+  { id: '>', label: '>' },
+  { id: '>=', label: '≥' },
+  { id: '<', label: '<' },
+  { id: '<=', label: '≤' }
+];
+
+export const HIGHLIGHT_STYLE = { fill: 'FFD8A8', color: '7A3B00', bold: true, outline: true };
+
+const HEAT_FROM = [0xf4, 0xf7, 0xfc];
+const HEAT_TO = [0x1f, 0x4e, 0x99];
+
+function finiteOr(v, fallback) {
+  const n = Number(v);
+  return v !== null && v !== '' && Number.isFinite(n) ? n : fallback;
+}
+
+// Fills in defaults and drops malformed highlight rules (saved views may come
+// from older versions or be edited by hand).
+export function normalizeFormatRules(raw) {
+  const rules = raw && typeof raw === 'object' ? raw : {};
+  const rag = rules.rag && typeof rules.rag === 'object' ? rules.rag : {};
+  const red = finiteOr(rag.red, DEFAULT_FORMAT_RULES.rag.red);
+  const amber = Math.max(red, finiteOr(rag.amber, DEFAULT_FORMAT_RULES.rag.amber));
+  const highlights = [];
+  for (const h of Array.isArray(rules.highlights) ? rules.highlights : []) {
+    const value = finiteOr(h?.value, null);
+    if (typeof h?.column !== 'string' || !h.column || value === null) continue;
+    if (!HIGHLIGHT_OPS.some((o) => o.id === h.op)) continue;
+    highlights.push({ column: h.column, op: h.op, value, of: h.of === 'value' ? 'value' : 'row' });
+  }
+  return {
+    rag: { enabled: rag.enabled !== false, red, amber },
+    heatmap: rules.heatmap === true,
+    highlights
+  };
+}
+
+export function ragBand(progress, rag) {
+  if (!rag?.enabled || progress === null || progress === undefined || !Number.isFinite(progress)) return null;
+  const pct = progress * 100;
+  if (pct < rag.red) return 'red';
+  if (pct < rag.amber) return 'amber';
+  return 'green';
+}
+
+// Heatmap shades run from near white to dark blue, so they stay in order in
+// grayscale; text turns white on the darker half.
+export function heatStyle(share) {
+  if (share === null || !(share > 0)) return null;
+  const t = Math.min(share, 1);
+  const hex = HEAT_FROM.map((from, i) => Math.round(from + (HEAT_TO[i] - from) * t).toString(16).padStart(2, '0'));
+  return { fill: hex.join('').toUpperCase(), color: t > 0.55 ? 'FFFFFF' : null };
+}
+
+export function describeHighlight(rule) {
+  const op = HIGHLIGHT_OPS.find((o) => o.id === rule.op)?.label ?? rule.op;
+  return `${rule.column} ${op} ${rule.of === 'row' ? `${rule.value}% of row` : rule.value}`;
+}
+
+function compare(v, op, limit) {
+  if (op === '>') return v > limit;
+  if (op === '>=') return v >= limit;
+  if (op === '<') return v < limit;
+  return v <= limit;
+}
+
+// Heatmap shares only mean something when values add up to the row total.
+export function heatmapAvailable(pivot) {
+  const agg = pivot?.config?.value?.agg;
+  return !!pivot?.columns?.length && (isCountAggregation(agg) || agg === 'sum');
+}
+
+// The pivot column, bucket or Total a pivotValueColumns() column shows, or
+// null for computed columns (changes, measures).
+function columnOperand(column) {
+  const drill = column.drill;
+  if (!drill) return null;
+  if (drill.bucket) return drill.bucket;
+  return drill.column ?? 'Total';
+}
+
+/**
+ * Returns `style(column, row)` for pivotValueColumns() columns and
+ * collectPivotRows() rows: { fill, color, bold, outline } or null. Highlight
+ * rules win over the heatmap.
+ */
+export function pivotCellFormatter(pivot, rules) {
+  const heatmap = rules.heatmap && heatmapAvailable(pivot);
+  const highlights = rules.highlights.map((h) => ({ ...h, key: filterValueKey(h.column) }));
+  if (!heatmap && !highlights.length) return () => null;
+  const isTotal = new Set(['total', 'grand total']);
+
+  return (column, row) => {
+    const operand = columnOperand(column);
+    if (operand === null) return null;
+    const agg = column.drill.year === 'prev' ? row.prevAgg : row.agg;
+    const v = column.value(row);
+    if (v === null || v === undefined) return null;
+    const total = agg?.total;
+    const share = total ? v / total : null;
+
+    const key = filterValueKey(operand);
+    for (const h of highlights) {
+      const matches = h.key === key || (isTotal.has(h.key) && operand === 'Total');
+      if (!matches) continue;
+      const subject = h.of === 'row' ? (share === null ? null : share * 100) : v;
+      if (subject !== null && compare(subject, h.op, h.value)) return HIGHLIGHT_STYLE;
+    }
+    if (heatmap && column.drill.column) return heatStyle(share);
+    return null;
+  };
+}
+
+/**
+ * Legend entries for the rules that show: { symbol, fill, color, bold,
+ * text }, or { gradient, text } with a few heatStyle() steps for the heatmap.
+ */
+export function formatLegend(pivot, rules, { showTarget }) {
+  const out = [];
+  if (showTarget && rules.rag.enabled) {
+    const { red, amber } = rules.rag;
+    const ranges = { green: `${amber}% or more`, amber: `${red}% to under ${amber}%`, red: `under ${red}%` };
+    for (const [band, range] of Object.entries(ranges)) {
+      const b = RAG_BANDS[band];
+      out.push({ symbol: b.symbol, fill: b.fill, color: b.color, text: `${b.label}: progress ${range}` });
+    }
+  }
+  if (rules.heatmap && heatmapAvailable(pivot)) {
+    out.push({
+      gradient: [0.1, 0.5, 1].map(heatStyle),
+      text: 'Heatmap: darker cells hold a larger share of their row total'
+    });
+  }
+  for (const h of rules.highlights) {
+    out.push({ ...HIGHLIGHT_STYLE, symbol: '!', text: `Highlighted: ${describeHighlight(h)}` });
+  }
+  return out;
+}
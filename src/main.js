@@ -1,42 +1,124 @@
 import './styles.css';
-import * as XLSX from 'xlsx';
 import { toJpeg, toPng } from 'html-to-image';
+import {
+  FIELD_DEFS,
+  autoDetectMapping,
+  guessColumns,
+  sheetHasMappedColumns,
+  validateMapping,
+  workbookShapeKey
+} from './columnMapping.js';
+import {
+  AGGREGATIONS,
+  DEFAULT_DATA_OPTIONS,
+  DEFAULT_PIVOT_CONFIG,
+  DEFAULT_SLICER_FIELDS,
+  DUPLICATE_RULES,
+  activeFilters,
+  clonePivotConfig,
+  fieldLabel,
+  filterValueKey,
+  headerLayout,
+  isCountAggregation,
+  nodePathKey,
+  normalizePivotConfig
+} from './pivotConfig.js';
+import {
+  DEFAULT_STATUS_SETTINGS,
+  canonicalStatus,
+  normalizeStatusSettings,
+  sortStatuses,
+  sortStatusesByStage,
+  statusBucket
+} from './statusSettings.js';
+import {
+  TARGET_SOURCE_LABELS,
+  createPrevBase,
+  createTargetSettings,
+  importedTargets,
+  prevBaseFor,
+  resolveGrandTarget,
+  resolveRowTarget,
+  resolveTarget,
+  targetProgress
+} from './targets.js';
+import {
+  DEFAULT_ROW_ORDER,
+  DEFAULT_VALUE_DISPLAY,
+  RANK_MODES,
+  ROW_SORT_KEYS,
+  SHOW_VALUES_AS,
+  SNAPSHOT_COLUMNS,
+  SNAPSHOT_OU_HEADER,
+  YEAR_CHANGE_HEADER,
+  arrangePivotRows,
+  buildPivotReport,
+  collectPivotRows,
+  describeSnapshotDiff,
+  filterCaption,
+  formatCell,
+  formatNumber,
+  formatValue,
+  pivotValueColumns,
+  reportSettingRows,
+  rowHeaderLabel,
+  rowSortOptions,
+  snapshotOuLabel,
+  snapshotOuRows,
+  snapshotTransitionTable,
+  sortKey,
+  yearBadgeText,
+  yearChangeRows
+} from './pivotReport.js';
+import {
+  attainmentSeries,
+  chartAvailability,
+  paceSeries,
+  renderAttainmentChart,
+  renderPaceChart,
+  renderStatusChart,
+  statusBarSeries
+} from './charts.js';
+import {
+  DEFAULT_FORMAT_RULES,
+  HIGHLIGHT_OPS,
+  RAG_BANDS,
+  describeHighlight,
+  formatLegend,
+  heatmapAvailable,
+  normalizeFormatRules,
+  pivotCellFormatter,
+  ragBand
+} from './formatRules.js';
+import { MEASURE_FORMATS, compileFormula, compileMeasures, measureOperands, normalizeMeasures } from './measures.js';
+import {
+  MONTH_NAMES,
+  describePacing,
+  hasDateRange,
+  normalizeCycleStart,
+  normalizeDateRange,
+  weeklyPaceTable
+} from './pacing.js';
+import { reportToPdf } from './pdfReport.js';
+import { consumeLaunchedFiles, registerServiceWorker } from './pwa.js';
+import { rowsToCsv } from './reportFormats.js';
+import { normalizeView, parseViewsFile, viewsToJson } from './savedViews.js';
+import { clearSession, deleteView, listViews, putView, readSession, writeSession } from './sessionStore.js';
+
+function startPivotWorker() {
+  return new Worker(new URL('./xlsxWorker.js', import.meta.url), { type: 'module' });
+}
 
-const pivotWorker = new Worker(new URL('./xlsxWorker.js', import.meta.url), { type: 'module' });
+let pivotWorker = startPivotWorker();
 let activeProcessId = 0;
+// The activeProcessId of the running re-aggregation, if that is what Cancel
+// would stop.
+let aggregateProcessId = 0;
+let workerRequestSeq = 0;
+// Request id → reject, for every request the worker has not answered yet.
+const pendingRequests = new Map();
 
-const SHEET_NAME = 'Dashboard';
-const REQUIRED_COLUMNS = [
-  'OU Level 0',
-  'OU Level 1',
-  'OU Level 2',
-  'Application Key',
-  'Submission Status'
-];
-
-const STATUS_PRIORITY = [
-  'Draft',
-  'Submitted',
-  'Approved',
-  'Rejected',
-  'Returned',
-  'In Review',
-  'In-Review',
-  'Resubmitted',
-  'Cancelled'
-];
-
-function normalizeHeader(v) {
-  return String(v ?? '')
-    .trim()
-    .replace(/\s+/g, ' ')
-    .toLowerCase();
-}
-
-function normalizeCell(v) {
-  const s = String(v ?? '').trim();
-  return s.length ? s : '(blank)';
-}
+const MAPPING_STORAGE_KEY = 'offline-xlsx-pivot:column-mappings';
 
 function setStatus(message, kind = 'info') {
   const el = document.getElementById('status');
@@ -49,215 +131,369 @@ function setExportEnabled(enabled) {
   if (btn) btn.disabled = !enabled;
 }
 
+function setTreeControlsEnabled(enabled) {
+  for (const id of ['expandAllBtn', 'collapseAllBtn', 'rankMode']) {
+    const btn = document.getElementById(id);
+    if (btn) btn.disabled = !enabled;
+  }
+  for (const id of ['rankN', 'rankKey']) {
+    const el = document.getElementById(id);
+    if (el) el.disabled = !enabled || rowOrder.rankMode === 'all';
+  }
+}
+
 function clearOutput() {
   const wrap = document.getElementById('tableWrap');
   wrap.innerHTML = '';
+  wrap.onscroll = null;
+  tableWindow = null;
+  lastPivot = null;
+  duplicateReport = null;
+  ouChanges = null;
+  qualityReport = null;
+  renderQualityReport();
+  weeklyPace = null;
+  renderPacingPanel();
+  snapshotDiff = null;
+  renderSnapshotDiff();
+  drillDetail = null;
+  renderDrillDetail();
+  renderDuplicateReport();
+  renderYearChanges();
+  renderTargetsPanel();
+  renderCharts();
+  renderMeasuresPanel();
+  renderFormattingPanel();
   setExportEnabled(false);
+  setTreeControlsEnabled(false);
 }
 
 let currentFile = null;
 let prevYearFile = null;
-
-const prevTargets = {
-  perOU0: new Map(),
-  grand: null,
-  available: false
+// An earlier extract of the current year, diffed against the current file.
+let snapshotFile = null;
+
+// Sheets/headers reported by the worker and the column mapping in use, per
+// upload slot. Both are reset whenever that slot gets a new file.
+const sources = {
+  current: { label: 'Current Year', sheets: null, format: null, mapping: null, sheetNames: [] },
+  prev: { label: 'Prev Year', sheets: null, format: null, mapping: null, sheetNames: [] },
+  snapshot: { label: 'Snapshot', sheets: null, format: null, mapping: null, sheetNames: [] }
 };
 
-function assertDashboardSheet(workbook) {
-  const sheet = workbook.Sheets?.[SHEET_NAME];
-  if (!sheet) {
-    const available = (workbook.SheetNames || []).join(', ');
-    throw new Error(`Sheet “${SHEET_NAME}” not found. Available sheets: ${available || '(none)'}`);
-  }
-  return sheet;
+function resetSource(slot) {
+  sources[slot].sheets = null;
+  sources[slot].format = null;
+  sources[slot].mapping = null;
+  sources[slot].sheetNames = [];
 }
 
-function readRowsFromSheet(sheet) {
-  const rows = XLSX.utils.sheet_to_json(sheet, {
-    defval: '',
-    raw: false
-  });
-
-  if (!Array.isArray(rows) || rows.length === 0) return [];
-
-  const headerMap = new Map();
-  for (const key of Object.keys(rows[0])) {
-    headerMap.set(normalizeHeader(key), key);
-  }
-
-  const resolved = {};
-  const missing = [];
-  for (const req of REQUIRED_COLUMNS) {
-    const actual = headerMap.get(normalizeHeader(req));
-    if (!actual) missing.push(req);
-    else resolved[req] = actual;
-  }
-
-  if (missing.length) {
-    throw new Error(`Missing required columns in “${SHEET_NAME}”: ${missing.join(', ')}`);
-  }
+function describeSource(slot) {
+  const { format, mapping, sheetNames } = sources[slot];
+  if (format?.type === 'csv') return `CSV, ${format.delimiter}-separated, ${format.encoding}`;
+  if (sheetNames.length > 1) return `${sheetNames.length} sheets combined`;
+  return `sheet “${mapping?.sheet ?? ''}”`;
+}
 
-  return rows.map((r) => ({
-    ou0: normalizeCell(r[resolved['OU Level 0']]),
-    ou1: normalizeCell(r[resolved['OU Level 1']]),
-    ou2: normalizeCell(r[resolved['OU Level 2']]),
-    applicationKey: String(r[resolved['Application Key']] ?? '').trim(),
-    status: normalizeCell(r[resolved['Submission Status']])
-  }));
+function slotFile(slot) {
+  if (slot === 'snapshot') return snapshotFile;
+  return slot === 'prev' ? prevYearFile : currentFile;
 }
 
-function sortStatuses(statuses) {
-  const unique = Array.from(new Set(statuses));
+// Last pivot received from the worker, kept so expand/collapse can re-render
+// without another round trip. Expanded nodes are keyed by their OU path.
+let lastPivot = null;
+const expandedNodes = new Set();
+
+// Tables with more rows than the threshold only build the rows near the
+// scroll position, plus the overscan on either side (see createRowWindow()).
+// Until rows have been measured they count as the estimate, in pixels.
+const ROW_WINDOW_THRESHOLD = 200;
+const ROW_WINDOW_OVERSCAN = 20;
+const ROW_HEIGHT_ESTIMATE = 28;
+// Measured row heights by row kind and path, kept while the same pivot is
+// re-rendered so expanding a row does not move the rows around it.
+const rowHeights = new Map();
+let renderedPivot = null;
+let tableWindow = null;
+
+// Rows/Columns/Values layout chosen in the field list, and the fields the
+// loaded dataset offers for it.
+let pivotConfig = clonePivotConfig(DEFAULT_PIVOT_CONFIG);
+let pivotFields = [];
+
+// Dataset-level options applied before aggregation (e.g. one row per
+// application), and the duplicate-key report from the last load.
+let dataOptions = { ...DEFAULT_DATA_OPTIONS };
+let duplicateReport = null;
+
+// "Show values as" mode of the table and exports; needs no re-aggregation.
+let valueDisplay = { ...DEFAULT_VALUE_DISPLAY };
+
+// Calculated measures ({ name, formula, format }) added after the value
+// columns; see measures.js.
+let measures = [];
+
+// RAG bands, heatmap and highlight rules; see formatRules.js.
+let formatRules = normalizeFormatRules(DEFAULT_FORMAT_RULES);
+
+// Header-click sort and Top/Bottom N of the rows; see arrangePivotRows().
+let rowOrder = { ...DEFAULT_ROW_ORDER };
+
+// Fields with a slicer card, and the values each one offers (field →
+// [{ value, count }]) as reported with the last pivot.
+let slicerFields = [...DEFAULT_SLICER_FIELDS];
+let slicerValues = {};
+
+// Status values as spelled in the files ([{ value, count }]), for the status
+// editor.
+let rawStatuses = [];
+
+// Validation report per year ({ current, prev }) from the last aggregation.
+let qualityReport = null;
+
+// Cumulative applications per week and OU0 from the last aggregation, and the
+// OU0 the pace chart shows (null: all rows); see pacing.js.
+let weeklyPace = null;
+let paceOu = null;
+
+// OUs found in only one of the two years (new, disappeared or renamed); null
+// without a prev-year file.
+let ouChanges = null;
+
+// Prev-year application counts (the target base) and the user's target
+// settings. Overrides and imported targets are keyed by OU0 or OU0/OU1 path.
+let prevBase = createPrevBase(null);
+const targetSettings = createTargetSettings();
+
+let ouIndex = [];
+
+function resetPrevBase() {
+  prevBase = createPrevBase(null);
+}
 
-  const prioIndex = new Map();
-  STATUS_PRIORITY.forEach((s, i) => prioIndex.set(normalizeHeader(s), i));
+function targetContext() {
+  return { prevBase, settings: targetSettings, ou0Keys: lastPivot?.ou0Keys ?? [] };
+}
 
-  unique.sort((a, b) => {
-    const ai = prioIndex.has(normalizeHeader(a)) ? prioIndex.get(normalizeHeader(a)) : 9999;
-    const bi = prioIndex.has(normalizeHeader(b)) ? prioIndex.get(normalizeHeader(b)) : 9999;
-    if (ai !== bi) return ai - bi;
-    return a.localeCompare(b);
+// `onProgress` receives the { stage, slot, done, total } updates the worker
+// posts before its reply.
+function requestWorker(message, transfer = [], onProgress = null) {
+  const reqId = ++workerRequestSeq;
+  const worker = pivotWorker;
+  return new Promise((resolve, reject) => {
+    const settle = () => {
+      worker.removeEventListener('message', onMessage);
+      worker.removeEventListener('error', onError);
+      pendingRequests.delete(reqId);
+    };
+    const onMessage = (ev) => {
+      const data = ev.data;
+      if (!data || data.id !== reqId) return;
+      if (data.progress) {
+        onProgress?.(data.progress);
+        return;
+      }
+      settle();
+      resolve(data);
+    };
+    const onError = (err) => {
+      settle();
+      reject(err);
+    };
+    pendingRequests.set(reqId, (err) => {
+      settle();
+      reject(err);
+    });
+    worker.addEventListener('message', onMessage);
+    worker.addEventListener('error', onError);
+    worker.postMessage({ ...message, id: reqId }, transfer);
   });
-
-  return unique;
 }
 
-function newAgg(statusList) {
-  const byStatus = new Map();
-  for (const s of statusList) byStatus.set(s, 0);
-  return {
-    byStatus,
-    total: 0
-  };
+function isCancellation(err) {
+  return err?.name === 'AbortError';
 }
 
-function addToAgg(agg, status, inc = 1) {
-  agg.total += inc;
-  agg.byStatus.set(status, (agg.byStatus.get(status) ?? 0) + inc);
+// Terminating is the only way to stop a parse that is already running; the
+// dataset the worker held goes with it. Unanswered requests reject with an
+// AbortError.
+function restartWorker() {
+  pivotWorker.terminate();
+  pivotWorker = startPivotWorker();
+  for (const reject of [...pendingRequests.values()]) reject(new DOMException('Cancelled.', 'AbortError'));
 }
 
-function buildPivot(rows) {
-  const filtered = rows.filter((r) => r.applicationKey.length > 0);
-  const statuses = sortStatuses(filtered.map((r) => r.status)).filter(
-    (s) => normalizeHeader(s) !== normalizeHeader('Draft')
-  );
-
-  const root = {
-    children: new Map(),
-    agg: newAgg(statuses)
-  };
-
-  for (const r of filtered) {
-    addToAgg(root.agg, r.status, 1);
-
-    if (!root.children.has(r.ou0)) {
-      root.children.set(r.ou0, {
-        key: r.ou0,
-        children: new Map(),
-        agg: newAgg(statuses)
-      });
-    }
-    const n0 = root.children.get(r.ou0);
-    addToAgg(n0.agg, r.status, 1);
+function describeProgress({ stage, slot, done, total }) {
+  const file = slot ? `the ${sources[slot].label} file` : 'the files';
+  if (stage === 'reading') return `Reading ${file}...`;
+  if (stage === 'parsing') {
+    return total ? `Parsing ${file}: ${formatNumber(done)} of ${formatNumber(total)} rows...` : `Parsing ${file}...`;
+  }
+  if (stage === 'aggregating') return `Aggregating ${formatNumber(total)} rows...`;
+  return 'Processing files...';
+}
 
-    if (!n0.children.has(r.ou1)) {
-      n0.children.set(r.ou1, {
-        key: r.ou1,
-        children: new Map(),
-        agg: newAgg(statuses)
-      });
-    }
-    const n1 = n0.children.get(r.ou1);
-    addToAgg(n1.agg, r.status, 1);
+function showProgress(progress) {
+  setStatus(describeProgress(progress), 'info');
+  const bar = document.getElementById('progressBar');
+  if (!bar) return;
+  if (progress.stage === 'parsing' && progress.total) bar.value = progress.done / progress.total;
+  else bar.removeAttribute('value');
+}
 
-    if (!n1.children.has(r.ou2)) {
-      n1.children.set(r.ou2, {
-        key: r.ou2,
-        children: new Map(),
-        agg: newAgg(statuses)
-      });
-    }
-    const n2 = n1.children.get(r.ou2);
-    addToAgg(n2.agg, r.status, 1);
+// Shows the progress bar and Cancel button while a load or re-aggregation runs.
+function setBusy(busy) {
+  const bar = document.getElementById('progressBar');
+  if (bar) {
+    bar.hidden = !busy;
+    bar.removeAttribute('value');
   }
+  const cancel = document.getElementById('cancelBtn');
+  if (cancel) cancel.hidden = !busy;
+  if (busy) setRetryVisible(false);
+}
 
-  return { root, statuses };
+function setRetryVisible(visible) {
+  const retry = document.getElementById('retryBtn');
+  if (retry) retry.hidden = !visible;
 }
 
-function formatNumber(n) {
-  return new Intl.NumberFormat('en-US').format(n);
+function cancelProcessing() {
+  // A re-aggregation runs on the loaded dataset, so the worker is left to
+  // finish it and its reply is ignored; the previous pivot stays up.
+  if (lastPivot && aggregateProcessId === activeProcessId) {
+    activeProcessId += 1;
+    setBusy(false);
+    setStatus('Cancelled. Showing the previous pivot.', 'info');
+    return;
+  }
+  activeProcessId += 1;
+  restartWorker();
+  clearOutput();
+  setBusy(false);
+  setStatus('Cancelled.', 'info');
+  setRetryVisible(!!currentFile);
 }
 
-function computeTarget(total) {
-  const t = Number(total ?? 0);
-  return Math.ceil(t * 1.1);
+function loadRememberedMappings() {
+  try {
+    return JSON.parse(localStorage.getItem(MAPPING_STORAGE_KEY) || '{}') || {};
+  } catch {
+    return {};
+  }
 }
 
-function resetPrevTargets() {
-  prevTargets.perOU0 = new Map();
-  prevTargets.grand = null;
-  prevTargets.available = false;
+function rememberMapping(sheets, mapping) {
+  const all = loadRememberedMappings();
+  all[workbookShapeKey(sheets)] = mapping;
+  try {
+    localStorage.setItem(MAPPING_STORAGE_KEY, JSON.stringify(all));
+  } catch {
+    // Storage can be unavailable (private mode, quota); the mapping still applies to this session.
+  }
 }
 
-async function parseWorkbookFromFile(file) {
-  const buf = await file.arrayBuffer();
-  return XLSX.read(buf, { type: 'array' });
+function findRememberedMapping(sheets) {
+  const mapping = loadRememberedMappings()[workbookShapeKey(sheets)];
+  return mapping && validateMapping(mapping, sheets).length === 0 ? mapping : null;
 }
 
-function computePrevYearTargets(prevRows) {
-  const perOU0Counts = new Map();
-  let grand = 0;
-  for (const r of prevRows) {
-    if (!r.applicationKey) continue;
-    grand += 1;
-    perOU0Counts.set(r.ou0, (perOU0Counts.get(r.ou0) ?? 0) + 1);
+async function inspectSource(slot) {
+  const info = sources[slot];
+  if (info.sheets) return info.sheets;
+
+  const file = slotFile(slot);
+  const buf = await file.arrayBuffer();
+  const result = await requestWorker({ type: 'inspect', buf, name: file.name }, [buf]);
+  if (!result.ok) {
+    throw new Error(result.error || `Failed to read ${file.name}.`);
   }
+  if (slotFile(slot) === file) {
+    info.sheets = result.sheets;
+    info.format = result.format;
+  }
+  return result.sheets;
+}
 
-  const perOU0Targets = new Map();
-  perOU0Counts.forEach((count, ou0) => perOU0Targets.set(ou0, Math.ceil(count * 1.1)));
+async function resolveMapping(slot) {
+  const info = sources[slot];
+  const sheets = await inspectSource(slot);
+  if (info.mapping && validateMapping(info.mapping, sheets).length === 0) return info.mapping;
 
-  return {
-    perOU0Targets,
-    grandTarget: Math.ceil(grand * 1.1),
-    grandCount: grand
-  };
+  let mapping = findRememberedMapping(sheets) ?? autoDetectMapping(sheets);
+  if (!mapping) {
+    mapping = await openMappingDialog(slot, sheets, null);
+    if (mapping) rememberMapping(sheets, mapping);
+  }
+  info.mapping = mapping;
+  return mapping;
 }
 
 async function processIfReady() {
+  try {
+    await processFiles();
+  } catch (err) {
+    if (!isCancellation(err)) throw err;
+  }
+}
+
+async function processFiles() {
   clearOutput();
+  setRetryVisible(false);
+  // A newer upload replaces whatever the worker is still busy with.
+  if (pendingRequests.size) restartWorker();
 
-  if (!currentFile || !prevYearFile) {
-    setStatus('Upload both files (Current Year and Prev Year) to generate the pivot.', 'info');
+  if (!currentFile) {
+    saveSessionFiles();
+    setStatus('Upload the Current Year file to generate the pivot. A Prev Year file is optional.', 'info');
     return;
   }
 
-  setStatus('Processing files...', 'info');
-  resetPrevTargets();
+  setStatus('Reading sheets...', 'info');
+  resetPrevBase();
 
   const myId = ++activeProcessId;
-  const [currentBuf, prevBuf] = await Promise.all([
-    currentFile.arrayBuffer(),
-    prevYearFile.arrayBuffer()
-  ]);
+  const slots = ['current'];
+  if (prevYearFile) slots.push('prev');
+  if (snapshotFile) slots.push('snapshot');
+  for (const slot of slots) {
+    const mapping = await resolveMapping(slot);
+    if (myId !== activeProcessId) return;
+    if (!mapping) {
+      setStatus(`Map the columns of the ${sources[slot].label} file to generate the pivot.`, 'info');
+      return;
+    }
+  }
+  saveSessionFiles();
 
-  const result = await new Promise((resolve, reject) => {
-    const onMessage = (ev) => {
-      const data = ev.data;
-      if (!data || data.id !== myId) return;
-      pivotWorker.removeEventListener('message', onMessage);
-      pivotWorker.removeEventListener('error', onError);
-      resolve(data);
-    };
-    const onError = (err) => {
-      pivotWorker.removeEventListener('message', onMessage);
-      pivotWorker.removeEventListener('error', onError);
-      reject(err);
-    };
-    pivotWorker.addEventListener('message', onMessage);
-    pivotWorker.addEventListener('error', onError);
-    pivotWorker.postMessage({ id: myId, currentBuf, prevBuf }, [currentBuf, prevBuf]);
-  });
+  setStatus('Processing files...', 'info');
+  setBusy(true);
+
+  // The worker reads the files itself, one at a time.
+  let result;
+  try {
+    result = await requestWorker(
+      {
+        type: 'load',
+        currentFile,
+        prevFile: prevYearFile,
+        snapshotFile,
+        currentMapping: sources.current.mapping,
+        prevMapping: prevYearFile ? sources.prev.mapping : null,
+        snapshotMapping: snapshotFile ? sources.snapshot.mapping : null,
+        config: pivotConfig,
+        options: dataOptions,
+        slicerFields
+      },
+      [],
+      (progress) => {
+        if (myId === activeProcessId) showProgress(progress);
+      }
+    );
+  } finally {
+    if (myId === activeProcessId) setBusy(false);
+  }
 
   if (myId !== activeProcessId) return;
 
@@ -265,120 +501,322 @@ async function processIfReady() {
     throw new Error(result.error || 'Failed to process files.');
   }
 
-  const { pivot, prev } = result;
-  prevTargets.perOU0 = new Map(Object.entries(prev.perOU0Targets || {}));
-  prevTargets.grand = prev.grandTarget;
-  prevTargets.available = true;
+  showPivotResult(result);
+}
+
+async function refreshPivot() {
+  if (!lastPivot) return;
+
+  const myId = ++activeProcessId;
+  aggregateProcessId = myId;
+  setStatus('Updating pivot...', 'info');
+  setBusy(true);
+  let result;
+  try {
+    result = await requestWorker(
+      { type: 'aggregate', config: pivotConfig, options: dataOptions, slicerFields },
+      [],
+      (progress) => {
+        if (myId === activeProcessId) showProgress(progress);
+      }
+    );
+  } catch (err) {
+    if (isCancellation(err)) return;
+    throw err;
+  } finally {
+    if (myId === activeProcessId) setBusy(false);
+  }
+  if (myId !== activeProcessId) return;
+
+  if (!result.ok) {
+    throw new Error(result.error || 'Failed to update the pivot.');
+  }
+
+  showPivotResult(result);
+}
 
-  renderPivotFlat(pivot);
+function showPivotResult(result) {
+  const { pivot, prev, fields } = result;
+  pivotFields = fields || [];
+  pivotConfig = clonePivotConfig(pivot.config);
+  slicerValues = result.slicers || {};
+  rawStatuses = result.rawStatuses || [];
+  renderPivotConfig();
+  renderFilters();
+  renderStatusEditor();
+  if (result.duplicates) {
+    duplicateReport = result.duplicates;
+    renderDuplicateReport();
+  }
 
+  ouChanges = result.ouChanges ?? null;
+  renderYearChanges();
+  qualityReport = result.quality ?? null;
+  renderQualityReport();
+  weeklyPace = result.weeklyPace ?? null;
+  snapshotDiff = result.snapshotDiff ?? null;
+  renderSnapshotDiff();
+
+  if (result.ouIndex) ouIndex = result.ouIndex;
+  if (result.sheetNames) {
+    sources.current.sheetNames = result.sheetNames.current;
+    sources.prev.sheetNames = result.sheetNames.prev;
+    sources.snapshot.sheetNames = result.sheetNames.snapshot;
+  }
+  prevBase = createPrevBase(prev);
+
+  lastPivot = pivot;
+  renderPivot(pivot);
+  renderTargetsPanel();
+  renderCharts();
+  renderPacingPanel();
+  renderMeasuresPanel();
+  renderFormattingPanel();
+  scheduleSessionSave();
+
+  const countNote = dataOptions.distinctApplications
+    ? `; ${formatNumber(pivot.filteredCount)} distinct applications`
+    : '';
+  const filterNote =
+    activeFilters(dataOptions.filters).length || pivot.dateRange
+      ? `; ${formatNumber(pivot.filteredCount)} after filters`
+      : '';
+  const grandTarget = resolveGrandTarget(targetContext());
+  const targetNote = prevBase.available
+    ? `Prev year base: ${formatNumber(prevBase.grand)} | Target (Grand): ${grandTarget.value === null ? 'none' : formatNumber(grandTarget.value)}.`
+    : `No prev-year file | Target (Grand): ${grandTarget.value === null ? 'none' : formatNumber(grandTarget.value)}.`;
   setStatus(
-    `Rendered current year (${pivot.totalCount} rows). Prev year base: ${formatNumber(prev.grandCount)} | Target (Grand): ${formatNumber(prev.grandTarget)}.`,
+    `Rendered current year (${formatNumber(pivot.totalCount)} rows; ${describeSource('current')}${countNote}${filterNote}). ${targetNote}`,
     'success'
   );
 }
 
-function renderPivotFlat(pivot) {
+function renderPivot(pivot) {
   const wrap = document.getElementById('tableWrap');
+  // Re-rendering the same pivot (expand, sort, formatting) keeps the scroll
+  // position and the measured row heights.
+  const scrollTop = pivot === renderedPivot ? wrap.scrollTop : 0;
+  if (pivot !== renderedPivot) rowHeights.clear();
+  renderedPivot = pivot;
+  tableWindow = null;
+  wrap.onscroll = null;
   wrap.innerHTML = '';
 
-  if (!pivot?.ou0Aggs?.length) {
-    wrap.innerHTML = '<div class="empty">No rows found with a non-empty Application Key.</div>';
+  if (!pivot?.filteredCount) {
+    wrap.innerHTML = activeFilters(dataOptions.filters).length
+      ? '<div class="empty">No rows match the current filters.</div>'
+      : '<div class="empty">No rows found with a non-empty Application Key.</div>';
     setExportEnabled(false);
+    setTreeControlsEnabled(false);
     return;
   }
 
-  const statuses = Array.isArray(pivot.statuses) ? pivot.statuses : [];
-
-  const table = document.createElement('table');
-  table.className = 'pivot';
+  const valueColumns = pivotValueColumns(pivot, { showAs: valueDisplay.showAs, measures });
+  renderRankControls(valueColumns, isCountAggregation((pivot.config ?? DEFAULT_PIVOT_CONFIG).value.agg));
+  const { table, thead, tbody, pivotRows, rowElement, columnCount, legend } = pivotTable(pivot, valueColumns);
+
+  thead.addEventListener('click', (e) => {
+    const btn = e.target.closest('button.sort-btn');
+    if (!btn) return;
+    rowOrder = { ...rowOrder, ...nextSort(btn.dataset.sort) };
+    renderPivot(pivot);
+    renderCharts();
+    scheduleSessionSave();
+  });
 
-  const thead = document.createElement('thead');
-  const htr = document.createElement('tr');
+  tbody.addEventListener('click', (e) => {
+    const cell = e.target.closest('td.drillable');
+    if (cell) {
+      const row = pivotRows[Number(cell.closest('tr').dataset.row)];
+      openDrill(row, valueColumns[Number(cell.dataset.col)]).catch((err) => {
+        if (isCancellation(err)) return;
+        setStatus(err?.message ? String(err.message) : 'Failed to load the rows.', 'error');
+      });
+      return;
+    }
+    const toggle = e.target.closest('button.node-toggle');
+    if (!toggle) return;
+    const pathKey = toggle.dataset.path;
+    if (expandedNodes.has(pathKey)) expandedNodes.delete(pathKey);
+    else expandedNodes.add(pathKey);
+    renderPivot(pivot);
+    scheduleSessionSave();
+  });
 
-  const h0 = document.createElement('th');
-  h0.textContent = 'BG-Unit-Subunit';
-  h0.className = 'row-header';
-  htr.appendChild(h0);
+  wrap.appendChild(table);
+  if (legend) wrap.appendChild(legend);
 
-  for (const s of statuses) {
-    const th = document.createElement('th');
-    th.textContent = s;
-    htr.appendChild(th);
+  const shownRows = [];
+  pivotRows.forEach((row, index) => {
+    if (!row.hidden) shownRows.push({ index, key: `${row.kind}:${row.node ? nodePathKey(row.node.path) : ''}` });
+  });
+  if (shownRows.length > ROW_WINDOW_THRESHOLD) {
+    tableWindow = createRowWindow(wrap, tbody, shownRows, rowElement, columnCount);
+    wrap.onscroll = tableWindow.schedule;
+  } else {
+    for (const { index } of shownRows) tbody.appendChild(rowElement(index));
   }
+  stickHeaderRows(thead);
+  wrap.scrollTop = scrollTop;
+  tableWindow?.update();
 
-  const thGT = document.createElement('th');
-  thGT.textContent = 'Grand Total';
-  thGT.className = 'grand-total';
-  htr.appendChild(thGT);
+  setExportEnabled(true);
+  setTreeControlsEnabled(true);
+}
 
-  const thTarget = document.createElement('th');
-  thTarget.textContent = 'Target';
-  thTarget.className = 'target-header';
-  htr.appendChild(thTarget);
+/**
+ * The pivot <table> with its header and an empty body, for `valueColumns`
+ * from pivotValueColumns(). `rowElement(i)` builds the <tr> of `pivotRows[i]`,
+ * so the caller decides which rows go in; `legend` is the formatting legend
+ * element, if any.
+ */
+function pivotTable(pivot, valueColumns) {
+  const config = pivot.config ?? DEFAULT_PIVOT_CONFIG;
+  const showTarget = isCountAggregation(config.value.agg);
+  const headerRows = headerLayout(valueColumns);
+  const shown = arrangePivotRows(pivot, rowOrder, { columns: valueColumns, targets: targetContext() });
+  const cellFormat = pivotCellFormatter(shown, formatRules);
 
-  thead.appendChild(htr);
+  const table = document.createElement('table');
+  table.className = 'pivot';
+
+  const caption = filterCaption(pivot, dataOptions.filters, pivotFields, slicerValues);
+  if (caption) {
+    table.createCaption().textContent = caption;
+  }
+
+  const thead = document.createElement('thead');
+  headerRows.forEach((cells, level) => {
+    const htr = document.createElement('tr');
+    if (level === 0) {
+      const h0 = document.createElement('th');
+      h0.appendChild(sortButton(rowHeaderLabel(config, pivotFields), ROW_SORT_KEYS.label, h0));
+      h0.className = 'row-header';
+      h0.rowSpan = headerRows.length;
+      htr.appendChild(h0);
+    }
+    for (const cell of cells) {
+      const th = document.createElement('th');
+      // Only headers that sit over a single column sort.
+      if (cell.isGroup) th.textContent = cell.text;
+      else th.appendChild(sortButton(cell.text, sortKey(cell.column), th));
+      th.colSpan = cell.colSpan;
+      th.rowSpan = cell.rowSpan;
+      const className = cell.isGroup ? cell.column.groupClassName : cell.column.className;
+      if (className) th.className = className;
+      htr.appendChild(th);
+    }
+    if (level === 0 && showTarget) {
+      const thTarget = document.createElement('th');
+      thTarget.appendChild(sortButton('Target', ROW_SORT_KEYS.target, thTarget));
+      thTarget.appendChild(sortButton('Progress', ROW_SORT_KEYS.progress, thTarget));
+      thTarget.className = 'target-header';
+      thTarget.rowSpan = headerRows.length;
+      htr.appendChild(thTarget);
+    }
+    thead.appendChild(htr);
+  });
   table.appendChild(thead);
 
   const tbody = document.createElement('tbody');
+  table.appendChild(tbody);
 
-  const getCount = (agg, status) => Number(agg?.byStatus?.[status] ?? 0);
-  const getTotal = (agg) => Number(agg?.total ?? 0);
+  const pivotRows = collectPivotRows(shown, isNodeExpanded);
 
-  function appendRow(label, level, agg, rowKind = 'normal') {
+  function rowElement(rowIndex) {
+    const row = pivotRows[rowIndex];
+    const { node, label, level, kind: rowKind } = row;
     const tr = document.createElement('tr');
     tr.dataset.level = String(level);
     tr.dataset.kind = rowKind;
+    tr.dataset.row = String(rowIndex);
+    if (pivot.compare && node?.presence) tr.dataset.presence = node.presence;
+    if (node?.folded) tr.dataset.others = String(node.folded.length);
 
     const tdLabel = document.createElement('td');
     tdLabel.className = 'label';
     tdLabel.style.paddingLeft = `${8 + level * 18}px`;
-    tdLabel.textContent = label;
+    if (node?.children?.length) {
+      const pathKey = nodePathKey(node.path);
+      const expanded = expandedNodes.has(pathKey);
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'node-toggle';
+      toggle.dataset.path = pathKey;
+      toggle.textContent = expanded ? '−' : '+';
+      toggle.setAttribute('aria-expanded', String(expanded));
+      toggle.setAttribute('aria-label', `${expanded ? 'Collapse' : 'Expand'} ${label}`);
+      tdLabel.appendChild(toggle);
+    } else if (node) {
+      const spacer = document.createElement('span');
+      spacer.className = 'node-toggle-spacer';
+      tdLabel.appendChild(spacer);
+    }
+    tdLabel.appendChild(document.createTextNode(label));
+    const badge = yearBadgeText(node, shown, ouChanges);
+    if (badge) {
+      const tag = document.createElement('span');
+      tag.className = 'year-badge';
+      tag.textContent = badge;
+      tdLabel.appendChild(tag);
+    }
     tr.appendChild(tdLabel);
 
-    for (const s of statuses) {
+    valueColumns.forEach((c, i) => {
+      const v = c.value(row);
       const td = document.createElement('td');
-      td.className = 'num';
-      td.textContent = formatNumber(getCount(agg, s));
+      td.className = c.className ? `num ${c.className}` : 'num';
+      if (c.signed && v) td.classList.add(v > 0 ? 'delta-up' : 'delta-down');
+      // Others has no single bucket of rows to list.
+      if (c.drill && v && !node?.folded) {
+        td.classList.add('drillable');
+        td.dataset.col = String(i);
+        td.title = 'Show the rows behind this value';
+      }
+      td.textContent = formatCell(c, row, valueDisplay);
+      if (c.title) td.title = c.title(row);
+      applyCellFormat(td, cellFormat(c, row));
       tr.appendChild(td);
-    }
+    });
 
-    const tdTotal = document.createElement('td');
-    tdTotal.className = 'num grand-total';
-    tdTotal.textContent = formatNumber(getTotal(agg));
-    tr.appendChild(tdTotal);
+    if (!showTarget) return tr;
 
-    const current = getTotal(agg);
-    let target;
-    if (prevTargets.available && rowKind === 'grand' && typeof prevTargets.grand === 'number') {
-      target = prevTargets.grand;
-    } else if (prevTargets.available && rowKind === 'group0' && prevTargets.perOU0.has(label)) {
-      target = prevTargets.perOU0.get(label);
-    } else {
-      target = computeTarget(current);
+    const current = Number(row.agg?.total ?? 0);
+    const resolved = resolveRowTarget(node, rowKind, config, targetContext());
+
+    const tdTarget = document.createElement('td');
+    tdTarget.className = 'target';
+    tdTarget.dataset.source = resolved.source;
+
+    if (resolved.value === null) {
+      tdTarget.classList.add('target-none');
+      tdTarget.textContent = '—';
+      tdTarget.title = `Current: ${formatNumber(current)} | ${TARGET_SOURCE_LABELS.none}`;
+      tr.appendChild(tdTarget);
+      return tr;
     }
-    const rawRatio = target > 0 ? current / target : 1;
-    const progress = Math.max(0, Math.min(rawRatio, 1));
+
+    const target = resolved.value;
+    const progress = targetProgress(current, target);
     const progressPct = Math.round(progress * 100);
     const markerPos = Math.min(Math.max(progress * 100, 4), 92);
     const markerCssPos = progressPct >= 100 ? 'calc(100% - 13px)' : `${markerPos}%`;
 
-    const tdTarget = document.createElement('td');
-    tdTarget.className = 'target';
-    tdTarget.title = `Current: ${formatNumber(current)} | Target: ${formatNumber(target)} | Progress: ${progressPct}%`;
+    tdTarget.title = `Current: ${formatNumber(current)} | Target: ${formatNumber(target)} (${TARGET_SOURCE_LABELS[resolved.source]}) | Progress: ${progressPct}%`;
     const track = document.createElement('div');
     track.className = 'target-track';
     track.style.setProperty('--p', markerCssPos);
 
+    const band = ragBand(progress, formatRules.rag);
     const pill = document.createElement('div');
-    pill.className = 'target-pill';
+    pill.className = band ? `target-pill rag-${band}` : 'target-pill';
 
     const marker = document.createElement('div');
     marker.className = 'target-golf';
 
     const pct = document.createElement('div');
     pct.className = 'target-golf-label';
-    pct.textContent = `${progressPct}%`;
+    pct.textContent = band ? `${RAG_BANDS[band].symbol} ${progressPct}%` : `${progressPct}%`;
     marker.appendChild(pct);
 
     const pointer = document.createElement('div');
@@ -393,156 +831,2263 @@ function renderPivotFlat(pivot) {
     track.appendChild(marker);
     tdTarget.appendChild(track);
 
+    const meta = document.createElement('div');
+    meta.className = 'target-meta';
+    meta.textContent = `${formatNumber(target)} · ${TARGET_SOURCE_LABELS[resolved.source]}`;
+    tdTarget.appendChild(meta);
+
     tr.appendChild(tdTarget);
-    tbody.appendChild(tr);
+    return tr;
   }
 
-  for (const row of pivot.ou0Aggs) {
-    appendRow(row.key, 0, row.agg, 'group0');
+  const legend = formatLegend(pivot, formatRules, { showTarget });
+  return {
+    table,
+    thead,
+    tbody,
+    pivotRows,
+    rowElement,
+    columnCount: 1 + valueColumns.length + (showTarget ? 1 : 0),
+    legend: legend.length ? renderLegend(legend) : null
+  };
+}
+
+// Sticky header rows stack: each sticks below the ones above it.
+function stickHeaderRows(thead) {
+  let top = 0;
+  for (const tr of thead.rows) {
+    for (const th of tr.cells) th.style.top = `${top}px`;
+    top += tr.getBoundingClientRect().height;
   }
+}
 
-  appendRow('Grand Total', 0, pivot.grandAgg, 'grand');
+/**
+ * Keeps only the rows around the scroll position of `wrap` in `tbody`, with
+ * spacer rows standing in for the rest. `rows` are { index, key } in table
+ * order; heights are estimated until a row has been on screen, then taken
+ * from rowHeights. Call `update()` after scrolling, or `schedule()` to do it
+ * on the next frame.
+ */
+function createRowWindow(wrap, tbody, rows, rowElement, columnCount) {
+  const spacer = () => {
+    const tr = document.createElement('tr');
+    tr.className = 'row-spacer';
+    tr.setAttribute('aria-hidden', 'true');
+    const td = document.createElement('td');
+    td.colSpan = columnCount;
+    tr.appendChild(td);
+    return tr;
+  };
+  const above = spacer();
+  const below = spacer();
+  let offsets = null;
+  let range = null;
+  let frame = 0;
+
+  // offsets[i] is the top of rows[i] within the body; unmeasured rows count
+  // as the average measured height.
+  const layout = () => {
+    let sum = 0;
+    let count = 0;
+    for (const r of rows) {
+      const h = rowHeights.get(r.key);
+      if (h !== undefined) {
+        sum += h;
+        count += 1;
+      }
+    }
+    const estimate = count ? sum / count : ROW_HEIGHT_ESTIMATE;
+    offsets = new Float64Array(rows.length + 1);
+    rows.forEach((r, i) => {
+      offsets[i + 1] = offsets[i] + (rowHeights.get(r.key) ?? estimate);
+    });
+  };
+  const sizeSpacers = () => {
+    above.firstChild.style.height = `${range ? offsets[range.first] : 0}px`;
+    below.firstChild.style.height = `${offsets[rows.length] - (range ? offsets[range.last] : 0)}px`;
+  };
+  // Index of the row at `y` pixels into the body.
+  const rowAt = (y) => {
+    let lo = 0;
+    let hi = rows.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (offsets[mid] <= y) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  };
 
-  table.appendChild(tbody);
-  wrap.appendChild(table);
+  const update = () => {
+    const bodyTop = tbody.getBoundingClientRect().top - wrap.getBoundingClientRect().top + wrap.scrollTop;
+    const viewTop = wrap.scrollTop - bodyTop;
+    const viewHeight = wrap.clientHeight || window.innerHeight;
+    const first = Math.max(0, rowAt(viewTop) - ROW_WINDOW_OVERSCAN);
+    const last = Math.min(rows.length, rowAt(viewTop + viewHeight) + 1 + ROW_WINDOW_OVERSCAN);
+    if (range?.first === first && range?.last === last) return;
+    range = { first, last };
+    const built = [];
+    for (let i = first; i < last; i++) built.push(rowElement(rows[i].index));
+    tbody.replaceChildren(above, ...built, below);
+
+    let measured = false;
+    built.forEach((tr, i) => {
+      const h = tr.getBoundingClientRect().height;
+      const key = rows[first + i].key;
+      if (h > 0 && rowHeights.get(key) !== h) {
+        rowHeights.set(key, h);
+        measured = true;
+      }
+    });
+    if (measured) layout();
+    sizeSpacers();
+  };
 
-  setExportEnabled(true);
-}
+  const schedule = () => {
+    if (frame) return;
+    frame = requestAnimationFrame(() => {
+      frame = 0;
+      update();
+    });
+  };
 
-function renderPivot({ root, statuses }) {
-  const wrap = document.getElementById('tableWrap');
-  wrap.innerHTML = '';
+  // Full height up front, so the scroll position can be restored before the
+  // first window is built.
+  layout();
+  sizeSpacers();
+  tbody.replaceChildren(above, below);
+  return { update, schedule };
+}
 
-  if (!root.children.size) {
-    wrap.innerHTML = '<div class="empty">No rows found with a non-empty Application Key.</div>';
-    setExportEnabled(false);
-    return;
+// A header button that sorts the rows by `key`, with an arrow while active.
+function sortButton(text, key, th) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'sort-btn';
+  btn.dataset.sort = key;
+  const active = rowOrder.sortKey === key;
+  btn.textContent = active ? `${text} ${rowOrder.sortDir === 'asc' ? '▲' : '▼'}` : text;
+  btn.title = `Sort rows by ${text}`;
+  if (active) {
+    btn.classList.add('active');
+    th.setAttribute('aria-sort', rowOrder.sortDir === 'asc' ? 'ascending' : 'descending');
   }
+  return btn;
+}
 
-  const table = document.createElement('table');
-  table.className = 'pivot';
+// Clicking a header cycles largest first → smallest first → data order; the
+// row labels start A–Z instead.
+function nextSort(key) {
+  const first = key === ROW_SORT_KEYS.label ? 'asc' : 'desc';
+  if (rowOrder.sortKey !== key) return { sortKey: key, sortDir: first };
+  if (rowOrder.sortDir === first) return { sortDir: first === 'asc' ? 'desc' : 'asc' };
+  return { sortKey: null, sortDir: DEFAULT_ROW_ORDER.sortDir };
+}
 
-  const thead = document.createElement('thead');
-  const htr = document.createElement('tr');
+function renderRankControls(valueColumns, showTarget) {
+  const options = rowSortOptions(valueColumns, { showTarget }).map((o) => ({ value: o.key, label: o.label }));
+  // A key saved without the year selects the current year's column.
+  const rankKey =
+    options.find((o) => o.value === rowOrder.rankKey) ??
+    options.find((o) => o.value.startsWith(`${rowOrder.rankKey} / `));
+  fillSelect(document.getElementById('rankKey'), options, rankKey?.value);
+  fillSelect(
+    document.getElementById('rankMode'),
+    RANK_MODES.map((m) => ({ value: m.id, label: m.label })),
+    rowOrder.rankMode
+  );
+  document.getElementById('rankN').value = String(rowOrder.rankN);
+}
 
-  const h0 = document.createElement('th');
-  h0.textContent = 'BG-Unit-Subunit';
-  h0.className = 'row-header';
-  htr.appendChild(h0);
+// The last pivot in the current row order, for the charts.
+function arrangedPivot(pivot) {
+  if (!pivot?.filteredCount) return pivot;
+  const columns = pivotValueColumns(pivot, { showAs: valueDisplay.showAs, measures });
+  return arrangePivotRows(pivot, rowOrder, { columns, targets: targetContext() });
+}
 
-  for (const s of statuses) {
-    const th = document.createElement('th');
-    th.textContent = s;
-    htr.appendChild(th);
+function initRankControls() {
+  const apply = (next) => {
+    rowOrder = { ...rowOrder, ...next };
+    if (!lastPivot) return;
+    renderPivot(lastPivot);
+    renderCharts();
+    scheduleSessionSave();
+  };
+  document.getElementById('rankMode')?.addEventListener('change', (e) => apply({ rankMode: e.target.value }));
+  document.getElementById('rankKey')?.addEventListener('change', (e) => apply({ rankKey: e.target.value }));
+  document.getElementById('rankN')?.addEventListener('change', (e) => {
+    const n = Number(e.target.value);
+    if (Number.isInteger(n) && n > 0) apply({ rankN: n });
+    else e.target.value = String(rowOrder.rankN);
+  });
+}
+
+function applyCellFormat(td, format) {
+  if (!format) return;
+  if (format.fill) td.style.background = `#${format.fill}`;
+  if (format.color) td.style.color = `#${format.color}`;
+  if (format.bold) td.style.fontWeight = '700';
+  if (format.outline) td.classList.add('cell-highlight');
+}
+
+// Legend under the table, so image exports carry it too.
+function renderLegend(legend) {
+  const list = document.createElement('ul');
+  list.className = 'pivot-legend';
+  for (const entry of legend) {
+    const item = document.createElement('li');
+    for (const step of entry.gradient ?? [entry]) {
+      const swatch = document.createElement('span');
+      swatch.className = 'legend-swatch';
+      swatch.textContent = step.symbol ?? '';
+      applyCellFormat(swatch, step);
+      item.appendChild(swatch);
+    }
+    const text = document.createElement('span');
+    text.textContent = entry.text;
+    item.appendChild(text);
+    list.appendChild(item);
   }
+  return list;
+}
+
+// Rows behind the last clicked value: { title, header, rows } from the worker
+// plus the search text and sort column applied in the detail panel.
+let drillDetail = null;
+const DRILL_ROW_LIMIT = 500;
+
+async function openDrill(row, column) {
+  const path = row.node ? row.node.path : [];
+  const result = await requestWorker({ type: 'drill', path, ...column.drill });
+  if (!result.ok) throw new Error(result.error || 'Failed to load the rows.');
+
+  const where = row.node ? row.node.path.join(' / ') : 'Grand Total';
+  const what = column.drill.bucket ? `${column.drill.bucket} subtotal` : column.drill.column ?? 'Grand Total';
+  const year = column.drill.year === 'prev' ? 'Prev Year' : 'Current Year';
+  drillDetail = {
+    title: [...new Set([where, what])].concat(year).join(' · '),
+    header: result.header,
+    rows: result.rows,
+    search: '',
+    sortIndex: null,
+    sortDir: 1
+  };
+  document.getElementById('detailSearch').value = '';
+  renderDrillDetail();
+  document.getElementById('detailPanel').scrollIntoView?.({ block: 'nearest' });
+}
 
-  const thGT = document.createElement('th');
-  thGT.textContent = 'Grand Total';
-  thGT.className = 'grand-total';
-  htr.appendChild(thGT);
+function visibleDrillRows() {
+  if (!drillDetail) return [];
+  const needle = drillDetail.search.trim().toLowerCase();
+  let rows = needle
+    ? drillDetail.rows.filter((r) => r.some((v) => String(v).toLowerCase().includes(needle)))
+    : drillDetail.rows.slice();
+  const { sortIndex, sortDir } = drillDetail;
+  if (sortIndex !== null) {
+    rows = rows.sort(
+      (a, b) => sortDir * String(a[sortIndex]).localeCompare(String(b[sortIndex]), undefined, { numeric: true })
+    );
+  }
+  return rows;
+}
 
-  const thTarget = document.createElement('th');
-  thTarget.textContent = 'Target';
-  thTarget.className = 'target-header';
-  htr.appendChild(thTarget);
+function renderDrillDetail() {
+  const panel = document.getElementById('detailPanel');
+  if (!panel) return;
+  panel.hidden = !drillDetail;
+  const body = document.getElementById('detailBody');
+  body.innerHTML = '';
+  if (!drillDetail) return;
+
+  const rows = visibleDrillRows();
+  document.getElementById('detailTitle').textContent = drillDetail.title;
+  const count = `${formatNumber(rows.length)} ${rows.length === 1 ? 'row' : 'rows'}`;
+  const shown = rows.length === drillDetail.rows.length ? '' : ` (${formatNumber(drillDetail.rows.length)} before search)`;
+  document.getElementById('detailNote').textContent =
+    rows.length > DRILL_ROW_LIMIT
+      ? `${count}${shown}. Showing the first ${DRILL_ROW_LIMIT}; export for the full list.`
+      : `${count}${shown}.`;
 
+  const table = document.createElement('table');
+  table.className = 'report-table';
+  const thead = document.createElement('thead');
+  const htr = document.createElement('tr');
+  drillDetail.header.forEach((h, i) => {
+    const th = document.createElement('th');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'sort-btn';
+    btn.dataset.index = String(i);
+    const arrow = drillDetail.sortIndex === i ? (drillDetail.sortDir > 0 ? ' ▲' : ' ▼') : '';
+    btn.textContent = `${h}${arrow}`;
+    th.appendChild(btn);
+    htr.appendChild(th);
+  });
   thead.appendChild(htr);
   table.appendChild(thead);
 
   const tbody = document.createElement('tbody');
-
-  function appendRow(label, level, agg, rowKind = 'normal') {
+  for (const r of rows.slice(0, DRILL_ROW_LIMIT)) {
     const tr = document.createElement('tr');
-    tr.dataset.level = String(level);
-    tr.dataset.kind = rowKind;
-
-    const tdLabel = document.createElement('td');
-    tdLabel.className = 'label';
-    tdLabel.style.paddingLeft = `${8 + level * 18}px`;
-    tdLabel.textContent = label;
-    tr.appendChild(tdLabel);
-
-    for (const s of statuses) {
+    for (const v of r) {
       const td = document.createElement('td');
-      td.className = 'num';
-      td.textContent = formatNumber(agg.byStatus.get(s) ?? 0);
+      td.textContent = String(v ?? '');
       tr.appendChild(td);
     }
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+  body.appendChild(table);
+}
 
-    const tdTotal = document.createElement('td');
-    tdTotal.className = 'num grand-total';
-    tdTotal.textContent = formatNumber(agg.total ?? 0);
-    tr.appendChild(tdTotal);
+function closeDrillDetail() {
+  drillDetail = null;
+  renderDrillDetail();
+}
 
-    const current = Number(agg.total ?? 0);
-    let target;
-    if (prevTargets.available && rowKind === 'grand' && typeof prevTargets.grand === 'number') {
-      target = prevTargets.grand;
-    } else if (prevTargets.available && rowKind === 'group0' && prevTargets.perOU0.has(label)) {
-      target = prevTargets.perOU0.get(label);
-    } else {
-      target = computeTarget(current);
-    }
-    const rawRatio = target > 0 ? current / target : 1;
-    const progress = Math.max(0, Math.min(rawRatio, 1));
-    const progressPct = Math.round(progress * 100);
-    const markerPos = Math.min(Math.max(progress * 100, 4), 92);
-    const markerCssPos = progressPct >= 100 ? 'calc(100% - 13px)' : `${markerPos}%`;
+async function exportDrillRows(format) {
+  if (!drillDetail) return;
+  const rows = visibleDrillRows();
+  const base = 'pivot_rows';
+  if (format === 'csv') {
+    const csv = rowsToCsv([drillDetail.header, ...rows]);
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), defaultExportFileName('csv', base));
+    return;
+  }
+  const settings = [['Value', drillDetail.title], ...reportSettings(lastPivot)];
+  if (drillDetail.search.trim()) settings.splice(1, 0, ['Search', drillDetail.search.trim()]);
+  const { writeTableWorkbook } = await loadXlsxWriter();
+  const buf = writeTableWorkbook({ name: 'Rows', header: drillDetail.header, rows, settings });
+  downloadBlob(
+    new Blob([buf], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+    defaultExportFileName('xlsx', base)
+  );
+}
 
-    const tdTarget = document.createElement('td');
-    tdTarget.className = 'target';
-    tdTarget.title = `Current: ${formatNumber(current)} | Target: ${formatNumber(target)} | Progress: ${progressPct}%`;
-    const track = document.createElement('div');
-    track.className = 'target-track';
-    track.style.setProperty('--p', markerCssPos);
+function initDrillPanel() {
+  const panel = document.getElementById('detailPanel');
+  if (!panel) return;
 
-    const pill = document.createElement('div');
-    pill.className = 'target-pill';
+  document.getElementById('detailSearch')?.addEventListener('input', (e) => {
+    if (!drillDetail) return;
+    drillDetail.search = e.target.value;
+    renderDrillDetail();
+  });
 
-    const marker = document.createElement('div');
-    marker.className = 'target-golf';
+  document.getElementById('detailBody')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('button.sort-btn');
+    if (!btn || !drillDetail) return;
+    const index = Number(btn.dataset.index);
+    if (drillDetail.sortIndex === index) drillDetail.sortDir = -drillDetail.sortDir;
+    else {
+      drillDetail.sortIndex = index;
+      drillDetail.sortDir = 1;
+    }
+    renderDrillDetail();
+  });
 
-    const pct = document.createElement('div');
-    pct.className = 'target-golf-label';
-    pct.textContent = `${progressPct}%`;
-    marker.appendChild(pct);
+  for (const [id, format] of [
+    ['detailCsvBtn', 'csv'],
+    ['detailXlsxBtn', 'xlsx']
+  ]) {
+    document.getElementById(id)?.addEventListener('click', async () => {
+      try {
+        await exportDrillRows(format);
+      } catch (err) {
+        setStatus(err?.message ? String(err.message) : 'Export failed.', 'error');
+      }
+    });
+  }
 
-    const pointer = document.createElement('div');
-    pointer.className = 'target-golf-pointer';
-    marker.appendChild(pointer);
+  document.getElementById('detailCloseBtn')?.addEventListener('click', closeDrillDetail);
+}
 
-    const ball = document.createElement('div');
-    ball.className = 'target-golf-ball';
-    marker.appendChild(ball);
+function setAllExpanded(expanded) {
+  if (!lastPivot) return;
+  expandedNodes.clear();
+  if (expanded) {
+    const visit = (node) => {
+      if (!node.children?.length) return;
+      expandedNodes.add(nodePathKey(node.path));
+      node.children.forEach(visit);
+    };
+    lastPivot.rowNodes.forEach(visit);
+  }
+  renderPivot(lastPivot);
+  scheduleSessionSave();
+}
 
-    track.appendChild(pill);
-    track.appendChild(marker);
-    tdTarget.appendChild(track);
+function configChip(field, from) {
+  const chip = document.createElement('span');
+  chip.className = 'config-chip';
+  chip.draggable = true;
+  chip.dataset.field = field;
+  chip.dataset.from = from;
+  chip.textContent = fieldLabel(pivotFields, field);
+  if (from !== 'fields') {
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'chip-remove';
+    remove.textContent = '×';
+    remove.setAttribute('aria-label', `Remove ${chip.textContent}`);
+    chip.appendChild(remove);
+  }
+  return chip;
+}
 
-    tr.appendChild(tdTarget);
+function renderPivotConfig() {
+  const panel = document.getElementById('pivotConfig');
+  if (!panel) return;
+  panel.hidden = pivotFields.length === 0;
+
+  const used = new Set([...pivotConfig.rows, pivotConfig.column, pivotConfig.value.field]);
+  const fieldList = document.getElementById('fieldList');
+  fieldList.innerHTML = '';
+  for (const f of pivotFields) {
+    const chip = configChip(f.key, 'fields');
+    chip.classList.toggle('in-use', used.has(f.key));
+    fieldList.appendChild(chip);
+  }
 
-    tbody.appendChild(tr);
+  const rowsZone = document.getElementById('rowsZone');
+  rowsZone.innerHTML = '';
+  for (const k of pivotConfig.rows) rowsZone.appendChild(configChip(k, 'rows'));
+
+  const columnsZone = document.getElementById('columnsZone');
+  columnsZone.innerHTML = '';
+  if (pivotConfig.column) columnsZone.appendChild(configChip(pivotConfig.column, 'column'));
+
+  const valuesZone = document.getElementById('valuesZone');
+  valuesZone.innerHTML = '';
+  if (pivotConfig.value.field) valuesZone.appendChild(configChip(pivotConfig.value.field, 'value'));
+
+  const distinctToggle = document.getElementById('distinctToggle');
+  if (distinctToggle) distinctToggle.checked = dataOptions.distinctApplications;
+  const ruleSelect = document.getElementById('duplicateRule');
+  if (ruleSelect) {
+    fillSelect(
+      ruleSelect,
+      DUPLICATE_RULES.map((r) => ({ value: r.id, label: r.label })),
+      dataOptions.duplicateRule
+    );
+    ruleSelect.disabled = !dataOptions.distinctApplications;
+  }
+  const compareToggle = document.getElementById('compareToggle');
+  if (compareToggle) {
+    compareToggle.checked = dataOptions.compareYears && !!prevYearFile;
+    compareToggle.disabled = !prevYearFile;
   }
 
-  const ou0Keys = Array.from(root.children.keys()).sort((a, b) => a.localeCompare(b));
-  for (const ou0 of ou0Keys) {
-    const n0 = root.children.get(ou0);
-    appendRow(n0.key, 0, n0.agg, 'group0');
+  const showAsSelect = document.getElementById('showAsSelect');
+  if (showAsSelect) {
+    fillSelect(
+      showAsSelect,
+      SHOW_VALUES_AS.map((m) => ({ value: m.id, label: m.label })),
+      valueDisplay.showAs
+    );
+    const withValue = document.getElementById('withValueToggle');
+    withValue.checked = valueDisplay.withValue;
+    withValue.disabled = valueDisplay.showAs === 'value';
   }
 
-  appendRow('Grand Total', 0, root.agg, 'grand');
+  const aggSelect = document.getElementById('aggSelect');
+  fillSelect(
+    aggSelect,
+    AGGREGATIONS.filter((a) => pivotConfig.value.field || isCountAggregation(a.id)).map((a) => ({
+      value: a.id,
+      label: a.label
+    })),
+    pivotConfig.value.agg
+  );
+}
 
-  table.appendChild(tbody);
-  wrap.appendChild(table);
+function moveConfigField(field, from, to, beforeField = null) {
+  const next = clonePivotConfig(pivotConfig);
+
+  if (from === 'rows' || to === 'rows' || to === 'column') next.rows = next.rows.filter((k) => k !== field);
+  if (from === 'column' || (to === 'rows' && next.column === field)) next.column = null;
+  if (from === 'value' && to !== 'value') next.value.field = null;
+
+  if (to === 'rows') {
+    const at = beforeField ? next.rows.indexOf(beforeField) : -1;
+    if (at >= 0) next.rows.splice(at, 0, field);
+    else next.rows.push(field);
+  } else if (to === 'column') {
+    next.column = field;
+  } else if (to === 'value') {
+    next.value.field = field;
+  }
 
-  setExportEnabled(true);
+  return applyPivotConfig(next);
+}
+
+async function applyPivotConfig(next) {
+  pivotConfig = normalizePivotConfig(next, pivotFields);
+  expandedNodes.clear();
+  renderPivotConfig();
+  await refreshPivot();
+}
+
+function initPivotConfigPanel() {
+  const panel = document.getElementById('pivotConfig');
+  if (!panel) return;
+
+  const run = async (fn) => {
+    try {
+      await fn();
+    } catch (err) {
+      setStatus(err?.message ? String(err.message) : 'Failed to update the pivot.', 'error');
+    }
+  };
+
+  panel.addEventListener('dragstart', (e) => {
+    const chip = e.target.closest?.('.config-chip');
+    if (!chip) return;
+    e.dataTransfer.setData('text/plain', JSON.stringify({ field: chip.dataset.field, from: chip.dataset.from }));
+    e.dataTransfer.effectAllowed = 'move';
+  });
+
+  for (const zone of panel.querySelectorAll('.config-chips')) {
+    zone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      zone.classList.add('drag-over');
+    });
+    zone.addEventListener('dragleave', () => zone.classList.remove('drag-over'));
+    zone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      zone.classList.remove('drag-over');
+      let payload;
+      try {
+        payload = JSON.parse(e.dataTransfer.getData('text/plain'));
+      } catch {
+        return;
+      }
+      if (!payload?.field) return;
+      const before = e.target.closest?.('.config-chip')?.dataset.field ?? null;
+      run(() => moveConfigField(payload.field, payload.from, zone.dataset.zone, before));
+    });
+  }
+
+  panel.addEventListener('click', (e) => {
+    const remove = e.target.closest?.('.chip-remove');
+    if (!remove) return;
+    const chip = remove.closest('.config-chip');
+    run(() => moveConfigField(chip.dataset.field, chip.dataset.from, 'fields'));
+  });
+
+  document.getElementById('aggSelect')?.addEventListener('change', (e) => {
+    const next = clonePivotConfig(pivotConfig);
+    next.value.agg = e.target.value;
+    run(() => applyPivotConfig(next));
+  });
+
+  document.getElementById('distinctToggle')?.addEventListener('change', (e) => {
+    dataOptions = { ...dataOptions, distinctApplications: e.target.checked };
+    renderPivotConfig();
+    run(refreshPivot);
+  });
+
+  document.getElementById('duplicateRule')?.addEventListener('change', (e) => {
+    dataOptions = { ...dataOptions, duplicateRule: e.target.value };
+    run(refreshPivot);
+  });
+
+  document.getElementById('compareToggle')?.addEventListener('change', (e) => {
+    dataOptions = { ...dataOptions, compareYears: e.target.checked };
+    run(refreshPivot);
+  });
+
+  const applyValueDisplay = (next) => {
+    valueDisplay = { ...valueDisplay, ...next };
+    renderPivotConfig();
+    if (lastPivot) renderPivot(lastPivot);
+    scheduleSessionSave();
+  };
+  document.getElementById('showAsSelect')?.addEventListener('change', (e) => {
+    applyValueDisplay({ showAs: e.target.value });
+  });
+  document.getElementById('withValueToggle')?.addEventListener('change', (e) => {
+    applyValueDisplay({ withValue: e.target.checked });
+  });
+
+  document.getElementById('presetBtn')?.addEventListener('click', () => {
+    run(() => applyPivotConfig(DEFAULT_PIVOT_CONFIG));
+  });
+}
+
+function renderFilters() {
+  const panel = document.getElementById('filtersPanel');
+  if (!panel) return;
+  panel.hidden = pivotFields.length === 0;
+
+  const active = activeFilters(dataOptions.filters).length + (hasDateRange(dataOptions.dateRange) ? 1 : 0);
+  document.getElementById('filtersSummary').textContent = active ? `Filters (${active} active)` : 'Filters';
+  document.getElementById('countHiddenToggle').checked = dataOptions.countHiddenStatuses;
+  // The date range needs a mapped Submission Date.
+  document.getElementById('dateRangeControls').hidden = !isDated();
+  document.getElementById('dateFromInput').value = dataOptions.dateRange.from ?? '';
+  document.getElementById('dateToInput').value = dataOptions.dateRange.to ?? '';
+
+  fillSelect(
+    document.getElementById('slicerFieldSelect'),
+    [
+      { value: '', label: 'Add slicer…' },
+      ...pivotFields.filter((f) => !slicerFields.includes(f.key)).map((f) => ({ value: f.key, label: f.label }))
+    ],
+    ''
+  );
+
+  const list = document.getElementById('slicerList');
+  list.innerHTML = '';
+  for (const field of slicerFields) {
+    const values = slicerValues[field];
+    if (!values) continue;
+    const excluded = new Set((dataOptions.filters[field] || []).map(filterValueKey));
+
+    const card = document.createElement('div');
+    card.className = 'slicer';
+    card.dataset.field = field;
+
+    const head = document.createElement('div');
+    head.className = 'slicer-head';
+    const title = document.createElement('span');
+    title.className = 'slicer-title';
+    title.textContent = fieldLabel(pivotFields, field);
+    head.appendChild(title);
+    for (const [action, text] of [
+      ['all', 'All'],
+      ['none', 'None'],
+      ['remove', '×']
+    ]) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'slicer-btn';
+      btn.dataset.action = action;
+      btn.textContent = text;
+      if (action === 'remove') btn.setAttribute('aria-label', `Remove ${title.textContent} slicer`);
+      head.appendChild(btn);
+    }
+    card.appendChild(head);
+
+    const body = document.createElement('div');
+    body.className = 'slicer-values';
+    for (const { value, count } of values) {
+      const label = document.createElement('label');
+      label.className = 'config-check';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = value;
+      box.checked = !excluded.has(filterValueKey(value));
+      label.appendChild(box);
+      const text = document.createElement('span');
+      text.textContent = `${value} (${formatNumber(count)})`;
+      label.appendChild(text);
+      body.appendChild(label);
+    }
+    card.appendChild(body);
+    list.appendChild(card);
+  }
+}
+
+async function applyFilters(filters) {
+  const next = {};
+  for (const [field, values] of activeFilters(filters)) {
+    if (slicerFields.includes(field)) next[field] = values;
+  }
+  dataOptions = { ...dataOptions, filters: next };
+  renderFilters();
+  await refreshPivot();
+}
+
+function isDated() {
+  return pivotFields.some((f) => f.key === 'submittedAt');
+}
+
+function initFiltersPanel() {
+  const panel = document.getElementById('filtersPanel');
+  if (!panel) return;
+
+  const run = async (fn) => {
+    try {
+      await fn();
+    } catch (err) {
+      setStatus(err?.message ? String(err.message) : 'Failed to apply filters.', 'error');
+    }
+  };
+
+  const list = document.getElementById('slicerList');
+  list.addEventListener('change', (e) => {
+    const card = e.target.closest('.slicer');
+    if (!card) return;
+    const excluded = Array.from(card.querySelectorAll('input[type="checkbox"]'))
+      .filter((box) => !box.checked)
+      .map((box) => box.value);
+    run(() => applyFilters({ ...dataOptions.filters, [card.dataset.field]: excluded }));
+  });
+
+  list.addEventListener('click', (e) => {
+    const btn = e.target.closest('button.slicer-btn');
+    if (!btn) return;
+    const field = btn.closest('.slicer').dataset.field;
+    const filters = { ...dataOptions.filters };
+    if (btn.dataset.action === 'all') delete filters[field];
+    else if (btn.dataset.action === 'none') filters[field] = (slicerValues[field] || []).map((v) => v.value);
+    else slicerFields = slicerFields.filter((k) => k !== field);
+    run(() => applyFilters(filters));
+  });
+
+  document.getElementById('slicerFieldSelect')?.addEventListener('change', (e) => {
+    const field = e.target.value;
+    if (!field || slicerFields.includes(field)) return;
+    slicerFields = [...slicerFields, field];
+    run(refreshPivot);
+  });
+
+  document.getElementById('countHiddenToggle')?.addEventListener('change', (e) => {
+    dataOptions = { ...dataOptions, countHiddenStatuses: e.target.checked };
+    run(refreshPivot);
+  });
+
+  document.getElementById('dateRangeControls')?.addEventListener('change', () => {
+    const dateRange = normalizeDateRange({
+      from: document.getElementById('dateFromInput').value || null,
+      to: document.getElementById('dateToInput').value || null
+    });
+    dataOptions = { ...dataOptions, dateRange };
+    renderFilters();
+    run(refreshPivot);
+  });
+
+  document.getElementById('resetFiltersBtn')?.addEventListener('click', () => {
+    slicerFields = [...DEFAULT_SLICER_FIELDS];
+    dataOptions = {
+      ...dataOptions,
+      filters: DEFAULT_DATA_OPTIONS.filters,
+      countHiddenStatuses: DEFAULT_DATA_OPTIONS.countHiddenStatuses,
+      dateRange: DEFAULT_DATA_OPTIONS.dateRange
+    };
+    run(refreshPivot);
+  });
+}
+
+// Canonical statuses in column order: the configured order, then statuses
+// only found in the files.
+function editorStatuses(settings) {
+  const found = rawStatuses.map((s) => canonicalStatus(s.value, settings));
+  return sortStatuses([...settings.order, ...found], settings);
 }
 
-function defaultExportFileName(ext) {
+// The editor's statuses furthest first, for the Stage column.
+function editorStages(settings) {
+  return sortStatusesByStage(editorStatuses(settings), settings);
+}
+
+function renderStatusEditor() {
+  const panel = document.getElementById('statusPanel');
+  if (!panel) return;
+  panel.hidden = pivotFields.length === 0;
+
+  const settings = dataOptions.statuses;
+  const statuses = editorStatuses(settings);
+  const stages = editorStages(settings);
+  const hidden = new Set((dataOptions.filters.status || []).map(filterValueKey));
+  const counts = new Map();
+  for (const { value, count } of rawStatuses) {
+    const key = filterValueKey(canonicalStatus(value, settings));
+    counts.set(key, (counts.get(key) ?? 0) + count);
+  }
+  const aliasRows = [
+    ...new Set([...Object.keys(settings.aliases), ...rawStatuses.map((s) => s.value)].map(filterValueKey))
+  ]
+    .filter((key) => settings.aliases[key])
+    .map((key) => ({
+      value: rawStatuses.find((s) => filterValueKey(s.value) === key)?.value ?? key,
+      count: rawStatuses.filter((s) => filterValueKey(s.value) === key).reduce((n, s) => n + s.count, 0)
+    }));
+
+  const bucketList = document.getElementById('bucketList');
+  bucketList.innerHTML = '';
+  for (const b of settings.buckets) {
+    const chip = document.createElement('span');
+    chip.className = 'config-chip';
+    chip.textContent = `${b.name}: ${b.statuses.join(' + ') || '(empty)'}`;
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'chip-remove';
+    remove.dataset.bucket = b.name;
+    remove.textContent = '×';
+    remove.setAttribute('aria-label', `Remove bucket ${b.name}`);
+    chip.appendChild(remove);
+    bucketList.appendChild(chip);
+  }
+
+  const body = document.getElementById('statusBody');
+  body.innerHTML = '';
+  const table = document.createElement('table');
+  table.className = 'report-table status-table';
+  const thead = document.createElement('thead');
+  const htr = document.createElement('tr');
+  for (const h of ['Order', 'Status', 'Rows', 'Counted as', 'Hidden', 'Bucket', 'Stage']) {
+    const th = document.createElement('th');
+    th.textContent = h;
+    htr.appendChild(th);
+  }
+  thead.appendChild(htr);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  const bucketOptions = [{ value: '', label: '(none)' }, ...settings.buckets.map((b) => ({ value: b.name, label: b.name }))];
+  const appendRow = (status, count, { alias = null, index = -1 } = {}) => {
+    const tr = document.createElement('tr');
+    tr.dataset.status = status;
+
+    const tdOrder = document.createElement('td');
+    if (!alias) {
+      for (const [dir, text] of [
+        ['up', '▲'],
+        ['down', '▼']
+      ]) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'slicer-btn';
+        btn.dataset.move = dir;
+        btn.textContent = text;
+        btn.disabled = dir === 'up' ? index === 0 : index === statuses.length - 1;
+        btn.setAttribute('aria-label', `Move ${status} ${dir}`);
+        tdOrder.appendChild(btn);
+      }
+    }
+    tr.appendChild(tdOrder);
+
+    const tdName = document.createElement('td');
+    tdName.textContent = status;
+    tr.appendChild(tdName);
+
+    const tdCount = document.createElement('td');
+    tdCount.className = 'num';
+    tdCount.textContent = formatNumber(count);
+    tr.appendChild(tdCount);
+
+    const tdAlias = document.createElement('td');
+    const aliasSelect = document.createElement('select');
+    aliasSelect.className = 'export-format';
+    aliasSelect.dataset.role = 'alias';
+    aliasSelect.setAttribute('aria-label', `Count ${status} as`);
+    fillSelect(
+      aliasSelect,
+      [
+        { value: '', label: '(itself)' },
+        ...statuses.filter((s) => s !== status).map((s) => ({ value: s, label: s }))
+      ],
+      alias ?? ''
+    );
+    tdAlias.appendChild(aliasSelect);
+    tr.appendChild(tdAlias);
+
+    const tdHidden = document.createElement('td');
+    const tdBucket = document.createElement('td');
+    if (!alias) {
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.dataset.role = 'hidden';
+      box.checked = hidden.has(filterValueKey(status));
+      // Hiding goes through the Submission Status slicer.
+      box.disabled = !slicerFields.includes('status');
+      box.setAttribute('aria-label', `Hide ${status}`);
+      tdHidden.appendChild(box);
+
+      const bucketSelect = document.createElement('select');
+      bucketSelect.className = 'export-format';
+      bucketSelect.dataset.role = 'bucket';
+      bucketSelect.setAttribute('aria-label', `Bucket of ${status}`);
+      bucketSelect.disabled = settings.buckets.length === 0;
+      fillSelect(bucketSelect, bucketOptions, statusBucket(status, settings) ?? '');
+      tdBucket.appendChild(bucketSelect);
+    }
+    tr.appendChild(tdHidden);
+    tr.appendChild(tdBucket);
+
+    const tdStage = document.createElement('td');
+    if (!alias) {
+      const stage = stages.indexOf(status);
+      tdStage.append(`${stage + 1} `);
+      for (const [dir, text] of [
+        ['up', '▲'],
+        ['down', '▼']
+      ]) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'slicer-btn';
+        btn.dataset.stage = dir;
+        btn.textContent = text;
+        btn.disabled = dir === 'up' ? stage === 0 : stage === stages.length - 1;
+        btn.setAttribute('aria-label', `Move ${status} ${dir} a stage`);
+        tdStage.appendChild(btn);
+      }
+    }
+    tr.appendChild(tdStage);
+    tbody.appendChild(tr);
+  };
+
+  statuses.forEach((status, index) => appendRow(status, counts.get(filterValueKey(status)) ?? 0, { index }));
+  for (const a of aliasRows) appendRow(a.value, a.count, { alias: settings.aliases[filterValueKey(a.value)] });
+  table.appendChild(tbody);
+  body.appendChild(table);
+}
+
+async function applyStatusSettings(next) {
+  dataOptions = { ...dataOptions, statuses: normalizeStatusSettings(next) };
+  renderStatusEditor();
+  await refreshPivot();
+}
+
+// Makes `status` count as `target` (or as itself when `target` is empty).
+function setStatusAlias(settings, status, target) {
+  const key = filterValueKey(status);
+  const aliases = { ...settings.aliases };
+  if (!target) {
+    delete aliases[key];
+    return { ...settings, aliases, order: [...editorStatuses(settings), status] };
+  }
+  // Statuses that were counted as `status` follow it to the new target.
+  for (const [alias, to] of Object.entries(aliases)) {
+    if (filterValueKey(to) === key) aliases[alias] = target;
+  }
+  aliases[key] = target;
+  return { ...settings, aliases, order: editorStatuses(settings).filter((s) => filterValueKey(s) !== key) };
+}
+
+function initStatusEditor() {
+  const panel = document.getElementById('statusPanel');
+  if (!panel) return;
+
+  const run = async (fn) => {
+    try {
+      await fn();
+    } catch (err) {
+      setStatus(err?.message ? String(err.message) : 'Failed to update statuses.', 'error');
+    }
+  };
+  const settings = () => dataOptions.statuses;
+
+  // ▲▼ move a status in the column order, or in the stages with data-stage.
+  document.getElementById('statusBody').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-move], button[data-stage]');
+    if (!btn) return;
+    const status = btn.closest('tr').dataset.status;
+    const byStage = !!btn.dataset.stage;
+    const list = byStage ? editorStages(settings()) : editorStatuses(settings());
+    const from = list.indexOf(status);
+    const to = (btn.dataset.stage ?? btn.dataset.move) === 'up' ? from - 1 : from + 1;
+    if (from < 0 || to < 0 || to >= list.length) return;
+    list.splice(to, 0, ...list.splice(from, 1));
+    run(() => applyStatusSettings({ ...settings(), [byStage ? 'stages' : 'order']: list }));
+  });
+
+  document.getElementById('statusBody').addEventListener('change', (e) => {
+    const status = e.target.closest('tr')?.dataset.status;
+    if (status === undefined) return;
+    const role = e.target.dataset.role;
+    if (role === 'alias') {
+      run(() => applyStatusSettings(setStatusAlias(settings(), status, e.target.value)));
+    } else if (role === 'hidden') {
+      const key = filterValueKey(status);
+      const others = (dataOptions.filters.status || []).filter((v) => filterValueKey(v) !== key);
+      run(() => applyFilters({ ...dataOptions.filters, status: e.target.checked ? [...others, status] : others }));
+    } else if (role === 'bucket') {
+      const key = filterValueKey(status);
+      const buckets = settings().buckets.map((b) => ({
+        name: b.name,
+        statuses: [...b.statuses.filter((s) => filterValueKey(s) !== key), ...(b.name === e.target.value ? [status] : [])]
+      }));
+      run(() => applyStatusSettings({ ...settings(), buckets }));
+    }
+  });
+
+  document.getElementById('bucketList').addEventListener('click', (e) => {
+    const remove = e.target.closest('button.chip-remove');
+    if (!remove) return;
+    const buckets = settings().buckets.filter((b) => b.name !== remove.dataset.bucket);
+    run(() => applyStatusSettings({ ...settings(), buckets }));
+  });
+
+  document.getElementById('addBucketBtn').addEventListener('click', () => {
+    const input = document.getElementById('bucketNameInput');
+    const name = input.value.trim();
+    if (!name) return;
+    if (settings().buckets.some((b) => filterValueKey(b.name) === filterValueKey(name))) {
+      setStatus(`There is already a bucket named “${name}”.`, 'error');
+      return;
+    }
+    input.value = '';
+    run(() => applyStatusSettings({ ...settings(), buckets: [...settings().buckets, { name, statuses: [] }] }));
+  });
+
+  document.getElementById('resetStatusesBtn').addEventListener('click', () => {
+    run(() => applyStatusSettings(DEFAULT_STATUS_SETTINGS));
+  });
+}
+
+function targetEditorRows() {
+  const rows = [];
+  const seen = new Set();
+  const add = (path) => {
+    const key = nodePathKey(path);
+    if (seen.has(key)) return;
+    seen.add(key);
+    rows.push(path);
+  };
+  for (const n of ouIndex) {
+    add([n.key]);
+    for (const ou1 of n.children) add([n.key, ou1]);
+  }
+  for (const map of [targetSettings.imported, targetSettings.overrides]) {
+    map.forEach((_, key) => add(key.split('\u001f')));
+  }
+  return rows;
+}
+
+function renderTargetsPanel() {
+  const panel = document.getElementById('targetsPanel');
+  if (!panel) return;
+  panel.hidden = !lastPivot;
+
+  const growth = document.getElementById('growthInput');
+  if (growth && document.activeElement !== growth) growth.value = String(targetSettings.growthPct);
+
+  document.getElementById('targetsNote').textContent = targetSettings.importName
+    ? `Imported ${formatNumber(targetSettings.imported.size)} targets from ${targetSettings.importName}.`
+    : 'Import a sheet with columns OU Level 0, OU Level 1 (optional) and Target.';
+  document.getElementById('clearImportBtn').disabled = !targetSettings.imported.size;
+  document.getElementById('clearOverridesBtn').disabled = !targetSettings.overrides.size;
+
+  const body = document.getElementById('targetsBody');
+  body.innerHTML = '';
+  if (!lastPivot) return;
+
+  const table = document.createElement('table');
+  table.className = 'report-table targets-table';
+  const htr = document.createElement('tr');
+  for (const h of ['OU', 'Prev Year Base', 'Imported', 'Override', 'Target', 'Source']) {
+    const th = document.createElement('th');
+    th.textContent = h;
+    htr.appendChild(th);
+  }
+  const thead = document.createElement('thead');
+  thead.appendChild(htr);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  for (const path of targetEditorRows()) {
+    const key = nodePathKey(path);
+    const resolved = resolveTarget(path, targetContext());
+    const tr = document.createElement('tr');
+    tr.dataset.level = String(path.length - 1);
+
+    const tdName = document.createElement('td');
+    tdName.style.paddingLeft = `${8 + (path.length - 1) * 18}px`;
+    tdName.textContent = path[path.length - 1];
+    tr.appendChild(tdName);
+
+    const base = prevBaseFor(path, prevBase);
+    const imported = targetSettings.imported.get(key);
+    for (const v of [base, imported]) {
+      const td = document.createElement('td');
+      td.className = 'num';
+      td.textContent = v === null || v === undefined ? '' : formatNumber(v);
+      tr.appendChild(td);
+    }
+
+    const tdOverride = document.createElement('td');
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = '1';
+    input.className = 'target-override';
+    input.dataset.path = key;
+    input.placeholder = '—';
+    input.value = targetSettings.overrides.has(key) ? String(targetSettings.overrides.get(key)) : '';
+    input.setAttribute('aria-label', `Target override for ${path.join(' / ')}`);
+    tdOverride.appendChild(input);
+    tr.appendChild(tdOverride);
+
+    const tdTarget = document.createElement('td');
+    tdTarget.className = 'num';
+    tdTarget.textContent = resolved.value === null ? '' : formatNumber(resolved.value);
+    tr.appendChild(tdTarget);
+
+    const tdSource = document.createElement('td');
+    tdSource.textContent = TARGET_SOURCE_LABELS[resolved.source];
+    tr.appendChild(tdSource);
+
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+  body.appendChild(table);
+}
+
+function refreshTargets() {
+  renderTargetsPanel();
+  if (lastPivot) renderPivot(lastPivot);
+  renderCharts();
+  scheduleSessionSave();
+}
+
+async function importTargets(file) {
+  if (!file) return;
+  setStatus(`Importing targets from ${file.name}...`, 'info');
+  const buf = await file.arrayBuffer();
+  const result = await requestWorker({ type: 'targets', buf, name: file.name }, [buf]);
+  if (!result.ok) {
+    throw new Error(result.error || `Failed to import targets from ${file.name}.`);
+  }
+
+  targetSettings.imported = importedTargets(result.entries);
+  targetSettings.importName = file.name;
+  refreshTargets();
+
+  const skipped = result.skipped ? ` Skipped ${formatNumber(result.skipped)} rows without an OU or numeric target.` : '';
+  setStatus(`Imported ${formatNumber(result.entries.length)} targets from “${result.sheetName}”.${skipped}`, 'success');
+}
+
+function initTargetsPanel() {
+  const growth = document.getElementById('growthInput');
+  growth?.addEventListener('change', () => {
+    const v = Number(growth.value);
+    if (!Number.isFinite(v)) {
+      growth.value = String(targetSettings.growthPct);
+      return;
+    }
+    targetSettings.growthPct = v;
+    refreshTargets();
+  });
+
+  const fileInput = document.getElementById('targetsFileInput');
+  fileInput?.addEventListener('change', async (e) => {
+    try {
+      await importTargets(e.target.files?.[0]);
+    } catch (err) {
+      setStatus(err?.message ? String(err.message) : 'Failed to import targets.', 'error');
+    } finally {
+      fileInput.value = '';
+    }
+  });
+
+  document.getElementById('clearImportBtn')?.addEventListener('click', () => {
+    targetSettings.imported = new Map();
+    targetSettings.importName = null;
+    refreshTargets();
+  });
+
+  document.getElementById('clearOverridesBtn')?.addEventListener('click', () => {
+    targetSettings.overrides = new Map();
+    refreshTargets();
+  });
+
+  document.getElementById('targetsBody')?.addEventListener('change', (e) => {
+    const input = e.target.closest?.('input.target-override');
+    if (!input) return;
+    const raw = input.value.trim();
+    const v = Number(raw);
+    if (!raw.length) targetSettings.overrides.delete(input.dataset.path);
+    else if (Number.isFinite(v) && v >= 0) targetSettings.overrides.set(input.dataset.path, v);
+    refreshTargets();
+  });
+}
+
+// Row level the charts show a bar per (0 = first Rows field), and whether
+// they show percentages instead of counts.
+const chartSettings = { level: 0, percent: false };
+
+function chartMessage(figure, text) {
+  const note = document.createElement('div');
+  note.className = 'report-note';
+  note.textContent = text;
+  figure.appendChild(note);
+}
+
+function renderCharts() {
+  const panel = document.getElementById('chartsPanel');
+  if (!panel) return;
+  const pivot = arrangedPivot(lastPivot);
+  panel.hidden = !pivot?.filteredCount;
+  const statusFigure = document.getElementById('statusChart');
+  const attainmentFigure = document.getElementById('attainmentChart');
+  statusFigure.innerHTML = '';
+  attainmentFigure.innerHTML = '';
+  if (panel.hidden) return;
+
+  const config = pivot.config ?? DEFAULT_PIVOT_CONFIG;
+  chartSettings.level = Math.max(0, Math.min(chartSettings.level, config.rows.length - 1));
+  const levelSelect = document.getElementById('chartLevel');
+  fillSelect(
+    levelSelect,
+    config.rows.map((k, i) => ({ value: String(i), label: `Bars per ${fieldLabel(pivotFields, k)}` })),
+    String(chartSettings.level)
+  );
+  levelSelect.disabled = config.rows.length < 2;
+  document.getElementById('chartMode').value = chartSettings.percent ? 'percent' : 'count';
+
+  if (!config.rows.length) {
+    chartMessage(statusFigure, 'Add a field to Rows to chart it.');
+    return;
+  }
+  const rowLabel = fieldLabel(pivotFields, config.rows[chartSettings.level]);
+  const available = chartAvailability(pivot);
+
+  if (available.stacked) {
+    const series = statusBarSeries(pivot, chartSettings.level);
+    const columnLabel = config.column ? fieldLabel(pivotFields, config.column) : 'Total';
+    const title = `${columnLabel} per ${rowLabel}${chartSettings.percent ? ' (share of each bar)' : ''}`;
+    statusFigure.appendChild(renderStatusChart({ title, ...series, percent: chartSettings.percent }));
+  } else {
+    chartMessage(statusFigure, 'Stacked bars need values that add up: use Count, Distinct Count or Sum.');
+  }
+
+  if (available.attainment) {
+    const series = attainmentSeries(pivot, chartSettings.level, targetContext());
+    const title = `Target attainment per ${rowLabel}`;
+    attainmentFigure.appendChild(renderAttainmentChart({ title, ...series, percent: chartSettings.percent }));
+  } else {
+    chartMessage(attainmentFigure, 'Targets apply to counts only.');
+  }
+}
+
+function initChartsPanel() {
+  document.getElementById('chartLevel')?.addEventListener('change', (e) => {
+    chartSettings.level = Number(e.target.value);
+    renderCharts();
+  });
+  document.getElementById('chartMode')?.addEventListener('change', (e) => {
+    chartSettings.percent = e.target.value === 'percent';
+    renderCharts();
+  });
+}
+
+function renderPacingPanel() {
+  const panel = document.getElementById('pacingPanel');
+  if (!panel) return;
+  panel.hidden = !lastPivot || !isDated();
+  const figure = document.getElementById('paceChart');
+  figure.innerHTML = '';
+  if (panel.hidden) return;
+
+  const [month, day] = dataOptions.cycleStart.split('-');
+  fillSelect(
+    document.getElementById('cycleMonth'),
+    MONTH_NAMES.map((name, i) => ({ value: String(i + 1).padStart(2, '0'), label: name })),
+    month
+  );
+  document.getElementById('cycleDay').value = String(Number(day));
+
+  const ous = (weeklyPace?.series || []).filter((s) => s.key !== null).map((s) => s.key);
+  if (!ous.includes(paceOu)) paceOu = null;
+  fillSelect(
+    document.getElementById('paceOu'),
+    [{ value: '', label: 'All OU Level 0' }, ...ous.map((k) => ({ value: k, label: k }))],
+    paceOu ?? ''
+  );
+  document.getElementById('paceCsvBtn').disabled = !weeklyPace;
+
+  const pacing = lastPivot.pacing;
+  document.getElementById('paceNote').textContent = pacing
+    ? `${describePacing(pacing)}. The Pace column divides each row's applications to date by the prev year's.`
+    : 'No row has a readable Submission Date.';
+  const series = paceSeries(weeklyPace, paceOu);
+  if (!series) return;
+  const title = `Cumulative applications per week — ${series.label}`;
+  figure.appendChild(renderPaceChart({ title, ...series }));
+}
+
+function downloadWeeklyPace() {
+  const { header, rows } = weeklyPaceTable(weeklyPace);
+  const csv = rowsToCsv([header, ...rows]);
+  downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), defaultExportFileName('csv', 'weekly_pace'));
+}
+
+function initPacingPanel() {
+  const run = async (fn) => {
+    try {
+      await fn();
+    } catch (err) {
+      setStatus(err?.message ? String(err.message) : 'Failed to update pacing.', 'error');
+    }
+  };
+
+  const applyCycleStart = () => {
+    const month = document.getElementById('cycleMonth').value;
+    // A day past the end of the month means its last day (no 29 February).
+    const last = new Date(Date.UTC(2001, Number(month), 0)).getUTCDate();
+    const day = Math.min(Math.max(Math.trunc(Number(document.getElementById('cycleDay').value)) || 1, 1), last);
+    const cycleStart = normalizeCycleStart(`${month}-${String(day).padStart(2, '0')}`);
+    if (cycleStart === dataOptions.cycleStart) {
+      renderPacingPanel();
+      return;
+    }
+    dataOptions = { ...dataOptions, cycleStart };
+    run(refreshPivot);
+  };
+  document.getElementById('cycleMonth')?.addEventListener('change', applyCycleStart);
+  document.getElementById('cycleDay')?.addEventListener('change', applyCycleStart);
+
+  document.getElementById('paceOu')?.addEventListener('change', (e) => {
+    paceOu = e.target.value || null;
+    renderPacingPanel();
+  });
+  document.getElementById('paceCsvBtn')?.addEventListener('click', () => {
+    if (weeklyPace) downloadWeeklyPace();
+  });
+}
+
+function renderMeasuresPanel() {
+  const panel = document.getElementById('measuresPanel');
+  if (!panel) return;
+  panel.hidden = pivotFields.length === 0;
+
+  const problems = new Map(
+    lastPivot ? compileMeasures(measures, lastPivot).problems.map((p) => [p.name, p.message]) : []
+  );
+  const body = document.getElementById('measureList');
+  body.innerHTML = '';
+  if (!measures.length) return;
+  const table = document.createElement('table');
+  table.className = 'report-table measure-table';
+  const thead = document.createElement('thead');
+  const htr = document.createElement('tr');
+  for (const h of ['Measure', 'Formula', 'Format', '']) {
+    const th = document.createElement('th');
+    th.textContent = h;
+    htr.appendChild(th);
+  }
+  thead.appendChild(htr);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  for (const m of measures) {
+    const tr = document.createElement('tr');
+    tr.dataset.measure = m.name;
+    const tdName = document.createElement('td');
+    tdName.textContent = m.name;
+    const tdFormula = document.createElement('td');
+    tdFormula.className = 'measure-formula';
+    tdFormula.textContent = m.formula;
+    const problem = problems.get(m.name);
+    if (problem) {
+      // Kept, but left out of the table until the formula fits the pivot.
+      const note = document.createElement('div');
+      note.className = 'mapping-error';
+      note.textContent = `Not shown: ${problem}`;
+      tdFormula.appendChild(note);
+    }
+    const tdFormat = document.createElement('td');
+    tdFormat.textContent = MEASURE_FORMATS.find((f) => f.id === m.format)?.label ?? m.format;
+    const tdActions = document.createElement('td');
+    for (const [action, text] of [
+      ['edit', 'Edit'],
+      ['remove', 'Remove']
+    ]) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'tree-btn';
+      btn.dataset.action = action;
+      btn.textContent = text;
+      btn.setAttribute('aria-label', `${text} ${m.name}`);
+      tdActions.appendChild(btn);
+    }
+    tr.append(tdName, tdFormula, tdFormat, tdActions);
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+  body.appendChild(table);
+}
+
+function applyMeasures(next) {
+  measures = normalizeMeasures(next);
+  renderMeasuresPanel();
+  if (lastPivot) renderPivot(lastPivot);
+  scheduleSessionSave();
+}
+
+// Adds the measure in the editor, or replaces the one with the same name.
+function saveMeasure() {
+  const nameInput = document.getElementById('measureNameInput');
+  const formulaInput = document.getElementById('measureFormulaInput');
+  const error = document.getElementById('measureError');
+  const name = nameInput.value.trim();
+  const formula = formulaInput.value.trim();
+  error.textContent = '';
+  try {
+    if (!name) throw new Error('Give the measure a name.');
+    compileFormula(formula, measureOperands(lastPivot));
+  } catch (err) {
+    error.textContent = err?.message ? String(err.message) : 'The formula is not valid.';
+    return;
+  }
+  const format = document.getElementById('measureFormat').value;
+  const key = filterValueKey(name);
+  const index = measures.findIndex((m) => filterValueKey(m.name) === key);
+  const next = [...measures];
+  if (index < 0) next.push({ name, formula, format });
+  else next[index] = { name, formula, format };
+  nameInput.value = '';
+  formulaInput.value = '';
+  applyMeasures(next);
+  setStatus(`${index < 0 ? 'Added' : 'Updated'} measure “${name}”.`, 'success');
+}
+
+function initMeasuresPanel() {
+  if (!document.getElementById('measuresPanel')) return;
+  document.getElementById('saveMeasureBtn').addEventListener('click', saveMeasure);
+  document.getElementById('measureFormulaInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveMeasure();
+  });
+  document.getElementById('measureList').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const name = btn.closest('tr').dataset.measure;
+    const measure = measures.find((m) => m.name === name);
+    if (!measure) return;
+    if (btn.dataset.action === 'remove') {
+      applyMeasures(measures.filter((m) => m !== measure));
+      return;
+    }
+    document.getElementById('measureNameInput').value = measure.name;
+    document.getElementById('measureFormulaInput').value = measure.formula;
+    document.getElementById('measureFormat').value = measure.format;
+    document.getElementById('measureError').textContent = '';
+  });
+}
+
+function renderFormattingPanel() {
+  const panel = document.getElementById('formattingPanel');
+  if (!panel) return;
+  panel.hidden = pivotFields.length === 0;
+  document.getElementById('ragToggle').checked = formatRules.rag.enabled;
+  document.getElementById('ragRedInput').value = String(formatRules.rag.red);
+  document.getElementById('ragAmberInput').value = String(formatRules.rag.amber);
+  const heatmap = document.getElementById('heatmapToggle');
+  heatmap.checked = formatRules.heatmap;
+  heatmap.disabled = !!lastPivot && !heatmapAvailable(lastPivot);
+
+  // Columns a rule can name: the pivot's, its buckets and Grand Total.
+  const names = [...(lastPivot?.columns || []), ...(lastPivot?.columnBuckets || []).map((b) => b.name), 'Grand Total'];
+  const column = document.getElementById('highlightColumn');
+  fillSelect(
+    column,
+    names.map((n) => ({ value: n, label: n })),
+    names.includes(column.value) ? column.value : names[0]
+  );
+  const op = document.getElementById('highlightOp');
+  if (!op.options.length) fillSelect(op, HIGHLIGHT_OPS.map((o) => ({ value: o.id, label: o.label })), '>');
+
+  const list = document.getElementById('highlightList');
+  list.innerHTML = '';
+  formatRules.highlights.forEach((h, i) => {
+    const chip = document.createElement('span');
+    chip.className = 'config-chip';
+    chip.textContent = describeHighlight(h);
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'chip-remove';
+    remove.dataset.index = String(i);
+    remove.textContent = '×';
+    remove.setAttribute('aria-label', `Remove rule ${describeHighlight(h)}`);
+    chip.appendChild(remove);
+    list.appendChild(chip);
+  });
+}
+
+function applyFormatRules(next) {
+  formatRules = normalizeFormatRules(next);
+  renderFormattingPanel();
+  if (lastPivot) renderPivot(lastPivot);
+  scheduleSessionSave();
+}
+
+function initFormattingPanel() {
+  if (!document.getElementById('formattingPanel')) return;
+  const rag = () => ({
+    enabled: document.getElementById('ragToggle').checked,
+    red: document.getElementById('ragRedInput').value,
+    amber: document.getElementById('ragAmberInput').value
+  });
+  for (const id of ['ragToggle', 'ragRedInput', 'ragAmberInput']) {
+    document.getElementById(id).addEventListener('change', () => applyFormatRules({ ...formatRules, rag: rag() }));
+  }
+  document.getElementById('heatmapToggle').addEventListener('change', (e) => {
+    applyFormatRules({ ...formatRules, heatmap: e.target.checked });
+  });
+
+  document.getElementById('addHighlightBtn').addEventListener('click', () => {
+    const input = document.getElementById('highlightValue');
+    const value = Number(input.value);
+    if (input.value.trim() === '' || !Number.isFinite(value)) {
+      setStatus('Enter the number the rule compares with.', 'error');
+      return;
+    }
+    const rule = {
+      column: document.getElementById('highlightColumn').value,
+      op: document.getElementById('highlightOp').value,
+      value,
+      of: document.getElementById('highlightOf').value
+    };
+    input.value = '';
+    applyFormatRules({ ...formatRules, highlights: [...formatRules.highlights, rule] });
+  });
+
+  document.getElementById('highlightList').addEventListener('click', (e) => {
+    const remove = e.target.closest('button.chip-remove');
+    if (!remove) return;
+    const index = Number(remove.dataset.index);
+    applyFormatRules({ ...formatRules, highlights: formatRules.highlights.filter((_, i) => i !== index) });
+  });
+}
+
+const DUPLICATE_REPORT_LIMIT = 200;
+
+function renderDuplicateReport() {
+  const panel = document.getElementById('duplicatesPanel');
+  if (!panel) return;
+
+  const current = duplicateReport?.current ?? [];
+  const prev = duplicateReport?.prev ?? [];
+  panel.hidden = !duplicateReport;
+  document.getElementById('duplicatesSummary').textContent =
+    `Duplicate applications: ${formatNumber(current.length)} keys in Current Year, ${formatNumber(prev.length)} in Prev Year`;
+  document.getElementById('duplicatesCsvBtn').disabled = !current.length && !prev.length;
+
+  const body = document.getElementById('duplicatesBody');
+  body.innerHTML = '';
+  if (!duplicateReport) return;
+
+  for (const [label, list] of [
+    ['Current Year', current],
+    ['Prev Year', prev]
+  ]) {
+    const heading = document.createElement('div');
+    heading.className = 'report-heading';
+    heading.textContent = `${label}: ${formatNumber(list.length)} duplicated keys`;
+    body.appendChild(heading);
+    if (!list.length) continue;
+
+    const table = document.createElement('table');
+    table.className = 'report-table';
+    const htr = document.createElement('tr');
+    for (const h of ['Application Key', 'Source', 'Sheet Row', 'OU Level 0', 'OU Level 1', 'OU Level 2', 'Submission Status']) {
+      const th = document.createElement('th');
+      th.textContent = h;
+      htr.appendChild(th);
+    }
+    const thead = document.createElement('thead');
+    thead.appendChild(htr);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    for (const dup of list.slice(0, DUPLICATE_REPORT_LIMIT)) {
+      dup.rows.forEach((r, i) => {
+        const tr = document.createElement('tr');
+        if (i === 0) {
+          const tdKey = document.createElement('td');
+          tdKey.rowSpan = dup.rows.length;
+          tdKey.textContent = `${dup.key} (×${dup.rows.length})`;
+          tr.appendChild(tdKey);
+        }
+        for (const v of [r.source, r.rowNumber, r.ou0, r.ou1, r.ou2, r.status]) {
+          const td = document.createElement('td');
+          td.textContent = String(v);
+          tr.appendChild(td);
+        }
+        tbody.appendChild(tr);
+      });
+    }
+    table.appendChild(tbody);
+    body.appendChild(table);
+
+    if (list.length > DUPLICATE_REPORT_LIMIT) {
+      const more = document.createElement('div');
+      more.className = 'report-note';
+      more.textContent = `Showing the first ${DUPLICATE_REPORT_LIMIT} of ${formatNumber(list.length)} keys. Download the CSV for the full list.`;
+      body.appendChild(more);
+    }
+  }
+}
+
+function exportDuplicateReport() {
+  if (!duplicateReport) return;
+  const aoa = [
+    ['Year', 'Source', 'Application Key', 'Occurrences', 'Sheet Row', 'OU Level 0', 'OU Level 1', 'OU Level 2', 'Submission Status']
+  ];
+  for (const [label, list] of [
+    ['Current Year', duplicateReport.current],
+    ['Prev Year', duplicateReport.prev]
+  ]) {
+    for (const dup of list) {
+      for (const r of dup.rows) {
+        aoa.push([label, r.source, dup.key, dup.rows.length, r.rowNumber, r.ou0, r.ou1, r.ou2, r.status]);
+      }
+    }
+  }
+  const csv = rowsToCsv(aoa);
+  downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), defaultExportFileName('csv', 'duplicate_applications'));
+}
+
+const QUALITY_SAMPLE_HEADER = [
+  'Source',
+  'Sheet Row',
+  'Application Key',
+  'OU Level 0',
+  'OU Level 1',
+  'OU Level 2',
+  'Submission Status'
+];
+
+function renderQualityReport() {
+  const panel = document.getElementById('qualityPanel');
+  if (!panel) return;
+  panel.hidden = !qualityReport;
+
+  const body = document.getElementById('qualityBody');
+  body.innerHTML = '';
+  if (!qualityReport) return;
+
+  const years = [
+    ['Current Year', qualityReport.current],
+    ['Prev Year', qualityReport.prev]
+  ].filter(([, report]) => report);
+  const flagged = years.reduce((n, [, report]) => n + report.checks.filter((c) => c.count > 0).length, 0);
+  panel.dataset.kind = flagged ? 'warning' : 'ok';
+  document.getElementById('qualitySummary').textContent = flagged
+    ? `Data quality: ${flagged} ${flagged === 1 ? 'check' : 'checks'} flagged`
+    : 'Data quality: no issues found';
+
+  for (const [label, report] of years) {
+    const heading = document.createElement('div');
+    heading.className = 'report-heading';
+    heading.textContent = `${label} (${formatNumber(report.rowCount)} rows)`;
+    body.appendChild(heading);
+
+    const list = document.createElement('ul');
+    list.className = 'quality-checks';
+    for (const check of report.checks) {
+      const item = document.createElement('li');
+      item.dataset.flagged = String(check.count > 0);
+      const title = document.createElement('div');
+      title.className = 'quality-check-title';
+      title.textContent = `${check.label}: ${formatNumber(check.count)}`;
+      item.appendChild(title);
+
+      if (check.values?.length) {
+        const values = document.createElement('div');
+        values.className = 'report-note';
+        values.textContent = check.values.map((v) => `${v.value} (${formatNumber(v.count)})`).join(', ');
+        item.appendChild(values);
+      }
+      for (const group of check.groups || []) {
+        const variants = document.createElement('div');
+        variants.className = 'report-note';
+        variants.textContent = `${group.level}: ${group.variants.map((v) => `“${v.value}” (${formatNumber(v.count)})`).join(', ')}`;
+        item.appendChild(variants);
+      }
+      if (check.samples.length) {
+        const table = document.createElement('table');
+        table.className = 'report-table';
+        const thead = document.createElement('thead');
+        const htr = document.createElement('tr');
+        for (const h of QUALITY_SAMPLE_HEADER) {
+          const th = document.createElement('th');
+          th.textContent = h;
+          htr.appendChild(th);
+        }
+        thead.appendChild(htr);
+        table.appendChild(thead);
+        const tbody = document.createElement('tbody');
+        for (const r of check.samples) {
+          const tr = document.createElement('tr');
+          for (const v of [r.source, r.rowNumber, r.applicationKey, r.ou0, r.ou1, r.ou2, r.status]) {
+            const td = document.createElement('td');
+            td.textContent = String(v ?? '');
+            tr.appendChild(td);
+          }
+          tbody.appendChild(tr);
+        }
+        table.appendChild(tbody);
+        item.appendChild(table);
+        if (check.count > check.samples.length) {
+          const more = document.createElement('div');
+          more.className = 'report-note';
+          more.textContent = `First ${check.samples.length} of ${formatNumber(check.count)} rows.`;
+          item.appendChild(more);
+        }
+      }
+      list.appendChild(item);
+    }
+    body.appendChild(list);
+  }
+}
+
+function renderYearChanges() {
+  const panel = document.getElementById('yearChangesPanel');
+  if (!panel) return;
+  panel.hidden = !ouChanges;
+
+  const body = document.getElementById('yearChangesBody');
+  body.innerHTML = '';
+  if (!ouChanges) return;
+
+  const count = (kind) => ouChanges.filter((c) => c.change === kind).length;
+  document.getElementById('yearChangesSummary').textContent =
+    `OU changes since prev year: ${formatNumber(count('new'))} new, ${formatNumber(count('gone'))} disappeared, ${formatNumber(count('renamed'))} renamed`;
+
+  if (!ouChanges.length) {
+    const note = document.createElement('div');
+    note.className = 'report-note';
+    note.textContent = 'Both years have the same OUs.';
+    body.appendChild(note);
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'report-table';
+  const thead = document.createElement('thead');
+  const htr = document.createElement('tr');
+  for (const h of YEAR_CHANGE_HEADER) {
+    const th = document.createElement('th');
+    th.textContent = h;
+    htr.appendChild(th);
+  }
+  thead.appendChild(htr);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  for (const values of yearChangeRows(ouChanges)) {
+    const tr = document.createElement('tr');
+    values.forEach((v, i) => {
+      const td = document.createElement('td');
+      td.textContent = i >= 4 ? formatNumber(v) : String(v);
+      if (i >= 4) td.className = 'num';
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+  body.appendChild(table);
+
+  const note = document.createElement('div');
+  note.className = 'report-note';
+  note.textContent =
+    'Renames are guessed from similar names or shared sub-units under the same parent. OUs below a new or disappeared OU are not listed separately.';
+  body.appendChild(note);
+}
+
+// Status transitions and per-OU deltas between the snapshot and the current
+// file (see summarizeSnapshots); null without a snapshot file.
+let snapshotDiff = null;
+
+function snapshotTableHead(table, labels) {
+  const thead = document.createElement('thead');
+  const htr = document.createElement('tr');
+  for (const h of labels) {
+    const th = document.createElement('th');
+    th.textContent = h;
+    htr.appendChild(th);
+  }
+  thead.appendChild(htr);
+  table.appendChild(thead);
+}
+
+// A count that opens the matching applications in the detail panel.
+function snapshotCountCell(count, selection, title) {
+  const td = document.createElement('td');
+  td.className = 'num';
+  td.textContent = formatNumber(count);
+  if (count) {
+    td.classList.add('drillable');
+    td.title = 'Show the applications';
+    td.addEventListener('click', () => {
+      openSnapshotDrill(selection, title).catch((err) => {
+        if (isCancellation(err)) return;
+        setStatus(err?.message ? String(err.message) : 'Failed to load the applications.', 'error');
+      });
+    });
+  }
+  return td;
+}
+
+function renderSnapshotDiff() {
+  const panel = document.getElementById('snapshotPanel');
+  if (!panel) return;
+  panel.hidden = !snapshotDiff;
+
+  const body = document.getElementById('snapshotBody');
+  body.innerHTML = '';
+  if (!snapshotDiff) return;
+
+  document.getElementById('snapshotSummary').textContent =
+    `Changes since the snapshot: ${describeSnapshotDiff(snapshotDiff)}`;
+
+  const heading = (text) => {
+    const el = document.createElement('div');
+    el.className = 'report-heading';
+    el.textContent = text;
+    body.appendChild(el);
+  };
+
+  heading('Status transitions');
+  const { header, rows } = snapshotTransitionTable(snapshotDiff);
+  const matrix = document.createElement('table');
+  matrix.className = 'report-table snapshot-table';
+  snapshotTableHead(matrix, header);
+  const mbody = document.createElement('tbody');
+  rows.forEach(([label, ...counts], i) => {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    th.textContent = label;
+    tr.appendChild(th);
+    const from = snapshotDiff.statuses[i] ?? null;
+    counts.forEach((count, j) => {
+      const to = snapshotDiff.statuses[j] ?? null;
+      const title = `${from ?? 'New'} → ${to ?? 'Removed'} · since the snapshot`;
+      tr.appendChild(snapshotCountCell(count, { from, to }, title));
+    });
+    mbody.appendChild(tr);
+  });
+  matrix.appendChild(mbody);
+  body.appendChild(matrix);
+
+  heading('Per OU');
+  const table = document.createElement('table');
+  table.className = 'report-table snapshot-table';
+  snapshotTableHead(table, SNAPSHOT_OU_HEADER);
+  const tbody = document.createElement('tbody');
+  for (const ou of snapshotDiff.ous) {
+    const tr = document.createElement('tr');
+    const label = document.createElement('td');
+    label.textContent = snapshotOuLabel(ou.path);
+    tr.appendChild(label);
+    for (const { measure, label: what } of SNAPSHOT_COLUMNS) {
+      const title = `${snapshotOuLabel(ou.path)} · ${what} · since the snapshot`;
+      tr.appendChild(snapshotCountCell(ou[measure], { path: ou.path, measure }, title));
+    }
+    const change = document.createElement('td');
+    change.className = 'num';
+    change.textContent = formatValue({ signed: true }, ou.after - ou.before);
+    tr.appendChild(change);
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+  body.appendChild(table);
+
+  const note = document.createElement('div');
+  note.className = 'report-note';
+  note.textContent =
+    'Applications are matched by Application Key, using the slicer filters but not the status filter. A moved application counts as moved out of its snapshot OU and into its current one; status changes are counted where it stayed.';
+  body.appendChild(note);
+}
+
+async function openSnapshotDrill(selection, title) {
+  const result = await requestWorker({ type: 'snapshotDrill', ...selection });
+  if (!result.ok) throw new Error(result.error || 'Failed to load the applications.');
+  drillDetail = { title, header: result.header, rows: result.rows, search: '', sortIndex: null, sortDir: 1 };
+  document.getElementById('detailSearch').value = '';
+  renderDrillDetail();
+  document.getElementById('detailPanel').scrollIntoView?.({ block: 'nearest' });
+}
+
+function snapshotSheets(diff) {
+  if (!diff) return [];
+  const transitions = snapshotTransitionTable(diff);
+  return [
+    { name: 'Status Transitions', header: transitions.header, rows: transitions.rows },
+    { name: 'Snapshot Changes', header: SNAPSHOT_OU_HEADER, rows: snapshotOuRows(diff) }
+  ];
+}
+
+function fillSelect(select, options, selected) {
+  select.innerHTML = '';
+  for (const { value, label } of options) {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    select.appendChild(opt);
+  }
+  select.value = options.some((o) => o.value === selected) ? selected : options[0]?.value ?? '';
+}
+
+function openMappingDialog(slot, sheets, initial) {
+  const dialog = document.getElementById('mappingDialog');
+  const form = document.getElementById('mappingForm');
+  const sheetSelect = document.getElementById('mappingSheet');
+  const fieldsWrap = document.getElementById('mappingFields');
+  const errorEl = document.getElementById('mappingError');
+  const combineRow = document.getElementById('mappingCombineRow');
+  const combineInput = document.getElementById('mappingCombine');
+  const combineLabel = document.getElementById('mappingCombineLabel');
+
+  document.getElementById('mappingTitle').textContent =
+    `Map columns — ${sources[slot].label}: ${slotFile(slot)?.name ?? ''}`;
+  errorEl.textContent = '';
+
+  const sheetByName = new Map(sheets.map((sh) => [sh.name, sh]));
+  const fallback = autoDetectMapping(sheets);
+  const startSheet = initial?.sheet ?? fallback?.sheet ?? sheets[0]?.name ?? '';
+
+  fillSelect(
+    sheetSelect,
+    sheets.map((sh) => ({ value: sh.name, label: sh.name })),
+    startSheet
+  );
+
+  const renderFields = () => {
+    const headers = sheetByName.get(sheetSelect.value)?.headers ?? [];
+    const columns =
+      initial && initial.sheet === sheetSelect.value ? initial.columns : guessColumns(headers);
+
+    fieldsWrap.innerHTML = '';
+    for (const f of FIELD_DEFS) {
+      const row = document.createElement('label');
+      row.className = 'mapping-row';
+
+      const name = document.createElement('span');
+      name.textContent = f.required ? `${f.label} *` : f.label;
+      row.appendChild(name);
+
+      const select = document.createElement('select');
+      select.name = f.id;
+      fillSelect(
+        select,
+        [
+          { value: '', label: '(not mapped)' },
+          ...headers.map((h) => ({ value: h, label: h }))
+        ],
+        columns?.[f.id] ?? ''
+      );
+      row.appendChild(select);
+      fieldsWrap.appendChild(row);
+    }
+  };
+
+  const readMapping = () => {
+    const columns = {};
+    for (const f of FIELD_DEFS) {
+      columns[f.id] = form.elements.namedItem(f.id)?.value ?? '';
+    }
+    return { sheet: sheetSelect.value, columns, combineSheets: combineInput.checked };
+  };
+
+  const renderCombine = () => {
+    const mapping = readMapping();
+    const others = sheets.filter(
+      (sh) => sh.name !== mapping.sheet && sheetHasMappedColumns(sh.headers, mapping)
+    ).length;
+    combineRow.hidden = sheets.length < 2;
+    combineInput.disabled = others === 0;
+    combineLabel.textContent = others
+      ? `Combine with ${others} other sheet${others === 1 ? ' that has' : 's that have'} these columns`
+      : 'No other sheet has these columns';
+  };
+
+  combineInput.checked = !!initial?.combineSheets;
+  renderFields();
+  renderCombine();
+  sheetSelect.onchange = () => {
+    errorEl.textContent = '';
+    renderFields();
+    renderCombine();
+  };
+  fieldsWrap.onchange = renderCombine;
+
+  return new Promise((resolve) => {
+    form.onsubmit = (e) => {
+      if (e.submitter?.value !== 'apply') return;
+      const problems = validateMapping(readMapping(), sheets);
+      if (problems.length) {
+        e.preventDefault();
+        errorEl.textContent = problems.join(' ');
+      }
+    };
+    dialog.onclose = () => {
+      form.onsubmit = null;
+      sheetSelect.onchange = null;
+      fieldsWrap.onchange = null;
+      dialog.onclose = null;
+      resolve(dialog.returnValue === 'apply' ? readMapping() : null);
+    };
+    dialog.returnValue = '';
+    dialog.showModal();
+  });
+}
+
+function closeMappingDialog() {
+  const dialog = document.getElementById('mappingDialog');
+  if (dialog?.open) dialog.close('cancel');
+}
+
+function setMappingButtonsEnabled() {
+  const current = document.getElementById('mapCurrentBtn');
+  if (current) current.disabled = !currentFile;
+  const prev = document.getElementById('mapPrevBtn');
+  if (prev) prev.disabled = !prevYearFile;
+  const snapshot = document.getElementById('mapSnapshotBtn');
+  if (snapshot) snapshot.disabled = !snapshotFile;
+}
+
+async function editMapping(slot) {
+  if (!slotFile(slot)) return;
+  const sheets = await inspectSource(slot);
+  const mapping = await openMappingDialog(slot, sheets, sources[slot].mapping);
+  if (!mapping) return;
+  rememberMapping(sheets, mapping);
+  sources[slot].mapping = mapping;
+  await processIfReady();
+}
+
+// Named views ({ name, savedAt, view }) and the one picked in the dropdown.
+let savedViews = [];
+let activeViewName = '';
+
+// Files and mappings last written to the session store, so restoring them
+// does not write the same files back.
+let storedSessionFiles = null;
+let sessionSaveTimer = null;
+const SESSION_SAVE_DELAY_MS = 300;
+
+function captureView() {
+  return normalizeView({
+    pivotConfig,
+    dataOptions,
+    slicerFields,
+    display: valueDisplay,
+    measures,
+    formatting: formatRules,
+    rowOrder,
+    expanded: [...expandedNodes],
+    targets: {
+      growthPct: targetSettings.growthPct,
+      overrides: [...targetSettings.overrides],
+      imported: [...targetSettings.imported],
+      importName: targetSettings.importName
+    }
+  });
+}
+
+function restoreView(view) {
+  const v = normalizeView(view);
+  pivotConfig = pivotFields.length ? normalizePivotConfig(v.pivotConfig, pivotFields) : v.pivotConfig;
+  dataOptions = { ...DEFAULT_DATA_OPTIONS, ...v.dataOptions };
+  slicerFields = v.slicerFields;
+  valueDisplay = v.display;
+  measures = v.measures;
+  formatRules = v.formatting;
+  rowOrder = v.rowOrder;
+  expandedNodes.clear();
+  for (const key of v.expanded) expandedNodes.add(key);
+  targetSettings.growthPct = v.targets.growthPct;
+  targetSettings.overrides = new Map(v.targets.overrides);
+  targetSettings.imported = new Map(v.targets.imported);
+  targetSettings.importName = v.targets.importName;
+}
+
+function scheduleSessionSave() {
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = setTimeout(() => {
+    writeSession('view', captureView()).catch(() => {
+      // Storage can be unavailable (private mode, quota); the view still applies to this session.
+    });
+  }, SESSION_SAVE_DELAY_MS);
+}
+
+function saveSessionFiles() {
+  const next = currentFile
+    ? {
+        current: currentFile,
+        prev: prevYearFile,
+        snapshot: snapshotFile,
+        currentMapping: sources.current.mapping,
+        prevMapping: prevYearFile ? sources.prev.mapping : null,
+        snapshotMapping: snapshotFile ? sources.snapshot.mapping : null
+      }
+    : null;
+  const mappings = (files) => JSON.stringify([files?.currentMapping, files?.prevMapping, files?.snapshotMapping]);
+  const same =
+    next?.current === storedSessionFiles?.current &&
+    next?.prev === storedSessionFiles?.prev &&
+    (next?.snapshot ?? null) === (storedSessionFiles?.snapshot ?? null) &&
+    mappings(next) === mappings(storedSessionFiles);
+  if (same) return;
+  storedSessionFiles = next;
+  renderSessionNote();
+  (next ? writeSession('files', next) : clearSession('files')).catch(() => {
+    storedSessionFiles = null;
+    renderSessionNote();
+  });
+}
+
+function renderSessionNote() {
+  const note = document.getElementById('sessionNote');
+  if (!note) return;
+  note.hidden = !storedSessionFiles;
+  const names = storedSessionFiles
+    ? [storedSessionFiles.current, storedSessionFiles.prev, storedSessionFiles.snapshot].filter(Boolean)
+    : [];
+  document.getElementById('sessionFiles').textContent = `Kept in this browser: ${names.map((f) => f.name).join(', ')}`;
+}
+
+async function forgetSessionFiles() {
+  await clearSession('files');
+  storedSessionFiles = null;
+  renderSessionNote();
+  setStatus('The uploaded files are no longer kept in this browser.', 'info');
+}
+
+// Puts back the view and files of the last visit and processes them again.
+async function restoreSession() {
+  let view;
+  let files;
+  try {
+    [view, files] = await Promise.all([readSession('view'), readSession('files')]);
+  } catch {
+    // Nothing to restore without storage.
+    return;
+  }
+  if (view) restoreView(view);
+  // A file opened with the app wins over the stored ones.
+  if (!files?.current || currentFile) return;
+  storedSessionFiles = files;
+  currentFile = files.current;
+  prevYearFile = files.prev ?? null;
+  snapshotFile = files.snapshot ?? null;
+  sources.current.mapping = files.currentMapping ?? null;
+  sources.prev.mapping = files.prevMapping ?? null;
+  sources.snapshot.mapping = files.snapshotMapping ?? null;
+  setMappingButtonsEnabled();
+  renderSessionNote();
+  setStatus(`Restoring ${currentFile.name} from the last session...`, 'info');
+  await processIfReady();
+}
+
+function renderViewControls() {
+  const select = document.getElementById('viewSelect');
+  if (!select) return;
+  if (!savedViews.some((v) => v.name === activeViewName)) activeViewName = '';
+  fillSelect(
+    select,
+    [
+      { value: '', label: savedViews.length ? 'Saved views…' : 'No saved views' },
+      ...savedViews.map((v) => ({ value: v.name, label: v.name }))
+    ],
+    activeViewName
+  );
+  document.getElementById('deleteViewBtn').disabled = !activeViewName;
+  document.getElementById('exportViewsBtn').disabled = savedViews.length === 0;
+}
+
+async function reloadViews() {
+  savedViews = await listViews();
+  renderViewControls();
+}
+
+async function applySavedView(name) {
+  const entry = savedViews.find((v) => v.name === name);
+  activeViewName = entry ? name : '';
+  renderViewControls();
+  if (!entry) return;
+  document.getElementById('viewNameInput').value = name;
+
+  restoreView(entry.view);
+  renderPivotConfig();
+  renderFilters();
+  renderStatusEditor();
+  renderTargetsPanel();
+  renderMeasuresPanel();
+  renderFormattingPanel();
+  if (!lastPivot) {
+    scheduleSessionSave();
+    setStatus(`View “${name}” will apply to the next upload.`, 'info');
+    return;
+  }
+  await refreshPivot();
+}
+
+async function saveCurrentView() {
+  const input = document.getElementById('viewNameInput');
+  const name = input.value.trim();
+  if (!name) {
+    setStatus('Enter a name for the view.', 'error');
+    return;
+  }
+  await putView({ name, savedAt: new Date().toISOString(), view: captureView() });
+  activeViewName = name;
+  await reloadViews();
+  setStatus(`Saved view “${name}”.`, 'success');
+}
+
+async function deleteSavedView() {
+  const name = activeViewName;
+  if (!name) return;
+  await deleteView(name);
+  document.getElementById('viewNameInput').value = '';
+  await reloadViews();
+  setStatus(`Deleted view “${name}”.`, 'info');
+}
+
+function exportSavedViews() {
+  if (!savedViews.length) return;
+  downloadBlob(
+    new Blob([viewsToJson(savedViews)], { type: 'application/json' }),
+    defaultExportFileName('json', 'pivot_views')
+  );
+}
+
+async function importSavedViews(file) {
+  if (!file) return;
+  const views = parseViewsFile(await file.text());
+  if (!views.length) throw new Error(`${file.name} has no views.`);
+  for (const v of views) await putView(v);
+  await reloadViews();
+  setStatus(`Imported ${formatNumber(views.length)} views from ${file.name}.`, 'success');
+}
+
+function initViewControls() {
+  const run = async (fn, fallback) => {
+    try {
+      await fn();
+    } catch (err) {
+      setStatus(err?.message ? String(err.message) : fallback, 'error');
+    }
+  };
+
+  document.getElementById('viewSelect')?.addEventListener('change', (e) => {
+    run(() => applySavedView(e.target.value), 'Failed to apply the view.');
+  });
+  document.getElementById('saveViewBtn')?.addEventListener('click', () => {
+    run(saveCurrentView, 'Failed to save the view.');
+  });
+  document.getElementById('deleteViewBtn')?.addEventListener('click', () => {
+    run(deleteSavedView, 'Failed to delete the view.');
+  });
+  document.getElementById('exportViewsBtn')?.addEventListener('click', () => {
+    run(exportSavedViews, 'Export failed.');
+  });
+
+  const fileInput = document.getElementById('viewsFileInput');
+  document.getElementById('importViewsBtn')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', async (e) => {
+    await run(() => importSavedViews(e.target.files?.[0]), 'Failed to import views.');
+    fileInput.value = '';
+  });
+
+  document.getElementById('forgetSessionBtn')?.addEventListener('click', () => {
+    run(forgetSessionFiles, 'Failed to forget the files.');
+  });
+}
+
+function defaultExportFileName(ext, base = 'dashboard_pivot') {
   const d = new Date();
   const pad = (n) => String(n).padStart(2, '0');
   const stamp = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}_${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
-  return `dashboard_pivot_${stamp}.${ext}`;
+  return `${base}_${stamp}.${ext}`;
 }
 
 function downloadDataUrl(dataUrl, filename) {
@@ -554,18 +3099,208 @@ function downloadDataUrl(dataUrl, filename) {
   a.remove();
 }
 
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  downloadDataUrl(url, filename);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// [name, value] pairs describing how the current view was produced; written
+// alongside exported reports.
+function reportSettings(pivot) {
+  const sourceName = (file, slot) =>
+    file ? `${file.name} (${describeSource(slot)})` : '(none)';
+  return [
+    ['Generated', new Date().toLocaleString()],
+    ['Current Year file', sourceName(currentFile, 'current')],
+    ['Prev Year file', sourceName(prevYearFile, 'prev')],
+    ...(snapshotFile && snapshotDiff
+      ? [
+          ['Snapshot file', sourceName(snapshotFile, 'snapshot')],
+          ['Since the snapshot', describeSnapshotDiff(snapshotDiff)]
+        ]
+      : []),
+    ...reportSettingRows({
+      pivot: { ...pivot, config: pivot.config ?? pivotConfig },
+      options: dataOptions,
+      fields: pivotFields,
+      slicerValues,
+      targets: targetContext(),
+      display: valueDisplay,
+      measures,
+      formatting: formatRules,
+      rowOrder
+    })
+  ];
+}
+
+function isNodeExpanded(node) {
+  return expandedNodes.has(nodePathKey(node.path));
+}
+
+// The pivot as the exports see it: shown rows follow the table's expansion.
+function currentReport(pivot) {
+  return buildPivotReport(pivot, {
+    fields: pivotFields,
+    ouChanges,
+    targets: targetContext(),
+    isExpanded: isNodeExpanded,
+    display: valueDisplay,
+    measures,
+    formatting: formatRules,
+    rowOrder
+  });
+}
+
+// The styled workbook writer bundles its own SheetJS, so it loads with the
+// first XLSX export instead of with the page.
+function loadXlsxWriter() {
+  return import('./xlsxExport.js');
+}
+
+async function exportPivotXlsx(pivot) {
+  const { writePivotWorkbook } = await loadXlsxWriter();
+  const buf = writePivotWorkbook({
+    ...currentReport(pivot),
+    caption: filterCaption(pivot, dataOptions.filters, pivotFields, slicerValues),
+    settings: reportSettings(pivot),
+    sheets: [
+      ...(ouChanges ? [{ name: 'OU Changes', header: YEAR_CHANGE_HEADER, rows: yearChangeRows(ouChanges) }] : []),
+      ...snapshotSheets(snapshotDiff)
+    ]
+  });
+  downloadBlob(
+    new Blob([buf], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+    defaultExportFileName('xlsx')
+  );
+}
+
+function dataUrlBytes(dataUrl) {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// The charts the current pivot has, as JPEGs for the PDF appendix.
+async function captureCharts() {
+  const charts = [];
+  for (const target of Object.values(EXPORT_TARGETS)) {
+    const node = target.title && document.getElementById(target.nodeId);
+    if (!node?.querySelector(target.content) || node.closest('[hidden]')) continue;
+    // A collapsed panel renders nothing to capture.
+    const panel = node.closest('details');
+    const wasOpen = panel?.open;
+    if (panel) panel.open = true;
+    try {
+      const dataUrl = await toJpeg(node, { backgroundColor: '#ffffff', pixelRatio: 2, cacheBust: true, quality: 0.92 });
+      charts.push({ title: target.title, jpeg: dataUrlBytes(dataUrl) });
+    } finally {
+      if (panel) panel.open = wasOpen;
+    }
+  }
+  return charts;
+}
+
+// Resolves to the characters the PDF fonts could not show, if any.
+async function exportPivotPdf(pivot) {
+  let unsupported = [];
+  const sources = [];
+  if (currentFile) sources.push(`Current Year: ${currentFile.name}`);
+  if (prevYearFile) sources.push(`Prev Year: ${prevYearFile.name}`);
+  if (snapshotFile) sources.push(`Snapshot: ${snapshotFile.name}`);
+  const pdf = reportToPdf(currentReport(pivot), {
+    title: 'Dashboard Pivot',
+    caption: filterCaption(pivot, dataOptions.filters, pivotFields, slicerValues),
+    settings: reportSettings(pivot),
+    sources,
+    pageSize: document.getElementById('pdfPageSize')?.value,
+    orientation: document.getElementById('pdfOrientation')?.value,
+    charts: await captureCharts(),
+    onUnsupported: (chars) => {
+      unsupported = chars;
+    }
+  });
+  downloadBlob(new Blob([pdf], { type: 'application/pdf' }), defaultExportFileName('pdf'));
+  return unsupported;
+}
+
+// What the Export button can capture: the table or one of the charts.
+const EXPORT_TARGETS = {
+  table: { nodeId: 'tableWrap', content: 'table', fileBase: 'dashboard_pivot' },
+  statusChart: { nodeId: 'statusChart', content: 'svg', fileBase: 'dashboard_status_chart', title: 'Status chart' },
+  attainmentChart: {
+    nodeId: 'attainmentChart',
+    content: 'svg',
+    fileBase: 'dashboard_attainment_chart',
+    title: 'Attainment chart'
+  },
+  paceChart: { nodeId: 'paceChart', content: 'svg', fileBase: 'dashboard_pace_chart', title: 'Pace chart' }
+};
+
+// Every shown row of the table, unscrolled, in an off-screen holder; the
+// holder's child is what gets captured.
+function fullTableForExport(pivot) {
+  const { table, tbody, pivotRows, rowElement, legend } = pivotTable(
+    pivot,
+    pivotValueColumns(pivot, { showAs: valueDisplay.showAs, measures })
+  );
+  pivotRows.forEach((row, i) => {
+    if (!row.hidden) tbody.appendChild(rowElement(i));
+  });
+  const copy = document.createElement('div');
+  copy.className = 'table-wrap table-export';
+  copy.appendChild(table);
+  if (legend) copy.appendChild(legend);
+  const holder = document.createElement('div');
+  holder.className = 'table-export-holder';
+  holder.appendChild(copy);
+  document.body.appendChild(holder);
+  return holder;
+}
+
 async function exportCurrentView() {
-  const node = document.getElementById('tableWrap');
+  const formatEl = document.getElementById('exportFormat');
+  const format = String(formatEl?.value ?? 'png').toLowerCase();
+  // The PDF holds the table with every chart, whatever Export is set to.
+  if (format === 'pdf') {
+    if (!lastPivot) {
+      setStatus('Nothing to export yet. Upload a file first.', 'info');
+      return;
+    }
+    setStatus('Exporting PDF...', 'info');
+    const unsupported = await exportPivotPdf(lastPivot);
+    if (unsupported.length) {
+      setStatus(`Export complete. The PDF fonts cannot show ${unsupported.join(' ')}; they print as ?.`, 'info');
+    } else {
+      setStatus('Export complete.', 'success');
+    }
+    return;
+  }
+
+  const target = EXPORT_TARGETS[document.getElementById('exportTarget')?.value] ?? EXPORT_TARGETS.table;
+  const node = document.getElementById(target.nodeId);
   if (!node) return;
 
-  const hasTable = !!node.querySelector('table');
-  if (!hasTable) {
-    setStatus('Nothing to export yet. Upload an .xlsx file first.', 'info');
+  const hasContent = !!node.querySelector(target.content);
+  if (!hasContent || !lastPivot) {
+    setStatus(
+      lastPivot ? 'This chart is not available for the current pivot.' : 'Nothing to export yet. Upload a file first.',
+      'info'
+    );
     return;
   }
 
-  const formatEl = document.getElementById('exportFormat');
-  const format = String(formatEl?.value ?? 'png').toLowerCase();
+  if (format === 'xlsx' && target !== EXPORT_TARGETS.table) {
+    setStatus('Charts export as PNG or JPEG.', 'error');
+    return;
+  }
+  if (format === 'xlsx') {
+    setStatus('Exporting workbook...', 'info');
+    await exportPivotXlsx(lastPivot);
+    setStatus('Export complete.', 'success');
+    return;
+  }
 
   const opts = {
     backgroundColor: '#ffffff',
@@ -574,26 +3309,72 @@ async function exportCurrentView() {
   };
 
   setStatus('Exporting image...', 'info');
+  // A collapsed panel renders nothing to capture.
+  const panel = node.closest('details');
+  if (panel) panel.open = true;
+
+  // The table on screen only holds the rows in view; capture a full copy.
+  const holder = target === EXPORT_TARGETS.table ? fullTableForExport(lastPivot) : null;
+  const captured = holder ? holder.firstChild : node;
+  let dataUrl;
+  try {
+    dataUrl =
+      format === 'jpeg'
+        ? await toJpeg(captured, { ...opts, quality: 0.95 })
+        : await toPng(captured, opts);
+  } finally {
+    holder?.remove();
+  }
 
-  const dataUrl =
-    format === 'jpeg'
-      ? await toJpeg(node, { ...opts, quality: 0.95 })
-      : await toPng(node, opts);
-
-  downloadDataUrl(dataUrl, defaultExportFileName(format === 'jpeg' ? 'jpg' : 'png'));
+  downloadDataUrl(dataUrl, defaultExportFileName(format === 'jpeg' ? 'jpg' : 'png', target.fileBase));
   setStatus('Export complete.', 'success');
 }
 
 async function onFileSelected(file) {
+  closeMappingDialog();
   currentFile = file ?? null;
+  resetSource('current');
+  setMappingButtonsEnabled();
   await processIfReady();
 }
 
 async function onPrevFileSelected(file) {
+  closeMappingDialog();
   prevYearFile = file ?? null;
+  resetSource('prev');
+  setMappingButtonsEnabled();
+  await processIfReady();
+}
+
+async function onSnapshotFileSelected(file) {
+  closeMappingDialog();
+  snapshotFile = file ?? null;
+  resetSource('snapshot');
+  setMappingButtonsEnabled();
+  await processIfReady();
+}
+
+// Files opened with the installed app: the first is the Current Year file, a
+// second one the Prev Year file.
+async function onLaunchedFiles(files) {
+  closeMappingDialog();
+  currentFile = files[0];
+  resetSource('current');
+  if (files.length > 1) {
+    prevYearFile = files[1];
+    resetSource('prev');
+  }
+  setMappingButtonsEnabled();
   await processIfReady();
 }
 
+function showUpdatePrompt(apply) {
+  const banner = document.getElementById('updateBanner');
+  if (!banner) return;
+  banner.hidden = false;
+  document.getElementById('updateReloadBtn').onclick = apply;
+}
+
 function init() {
   const input = document.getElementById('fileInput');
   input.addEventListener('change', async (e) => {
@@ -617,6 +3398,35 @@ function init() {
     }
   });
 
+  document.getElementById('snapshotFileInput')?.addEventListener('change', async (e) => {
+    const file = e.target.files?.[0];
+    try {
+      await onSnapshotFileSelected(file);
+    } catch (err) {
+      clearOutput();
+      setStatus(err?.message ? String(err.message) : 'Failed to process the snapshot file.', 'error');
+    }
+  });
+
+  document.getElementById('cancelBtn')?.addEventListener('click', cancelProcessing);
+  document.getElementById('retryBtn')?.addEventListener('click', async () => {
+    try {
+      await processIfReady();
+    } catch (err) {
+      clearOutput();
+      setStatus(err?.message ? String(err.message) : 'Failed to process files.', 'error');
+    }
+  });
+
+  const exportFormat = document.getElementById('exportFormat');
+  const syncPdfOptions = () => {
+    const pdf = exportFormat.value === 'pdf';
+    document.getElementById('pdfOptions').hidden = !pdf;
+    document.getElementById('exportTarget').disabled = pdf;
+  };
+  exportFormat?.addEventListener('change', syncPdfOptions);
+  if (exportFormat) syncPdfOptions();
+
   const exportBtn = document.getElementById('exportBtn');
   exportBtn?.addEventListener('click', async () => {
     try {
@@ -626,8 +3436,66 @@ function init() {
     }
   });
 
-  setStatus('Upload both .xlsx files (Current and Prev Year) to generate the pivot table.', 'info');
+  for (const [id, slot] of [
+    ['mapCurrentBtn', 'current'],
+    ['mapPrevBtn', 'prev'],
+    ['mapSnapshotBtn', 'snapshot']
+  ]) {
+    document.getElementById(id)?.addEventListener('click', async () => {
+      try {
+        await editMapping(slot);
+      } catch (err) {
+        clearOutput();
+        setStatus(err?.message ? String(err.message) : 'Failed to apply column mapping.', 'error');
+      }
+    });
+  }
+
+  initPivotConfigPanel();
+  initFiltersPanel();
+  initStatusEditor();
+  initTargetsPanel();
+  initDrillPanel();
+  initViewControls();
+  initChartsPanel();
+  initPacingPanel();
+  initMeasuresPanel();
+  initFormattingPanel();
+
+  document.getElementById('duplicatesCsvBtn')?.addEventListener('click', () => {
+    try {
+      exportDuplicateReport();
+    } catch (err) {
+      setStatus(err?.message ? String(err.message) : 'Export failed.', 'error');
+    }
+  });
+
+  document.getElementById('expandAllBtn')?.addEventListener('click', () => setAllExpanded(true));
+  document.getElementById('collapseAllBtn')?.addEventListener('click', () => setAllExpanded(false));
+  initRankControls();
+  window.addEventListener('resize', () => tableWindow?.schedule());
+
+  setStatus('Upload the Current Year file (and optionally the Prev Year file) to generate the pivot table.', 'info');
   setExportEnabled(false);
+  setTreeControlsEnabled(false);
+  setMappingButtonsEnabled();
+  renderViewControls();
+
+  reloadViews().catch(() => {
+    for (const id of ['viewSelect', 'saveViewBtn', 'importViewsBtn']) document.getElementById(id).disabled = true;
+  });
+  restoreSession().catch((err) => {
+    clearOutput();
+    setStatus(err?.message ? String(err.message) : 'Failed to restore the last session.', 'error');
+  });
+
+  consumeLaunchedFiles((files) => {
+    onLaunchedFiles(files).catch((err) => {
+      clearOutput();
+      setStatus(err?.message ? String(err.message) : 'Failed to process file.', 'error');
+    });
+  });
+  registerServiceWorker(showUpdatePrompt);
 }
 
 init();
@@ -0,0 +1,191 @@
+import { filterValueKey } from './pivotConfig.js';
+
+// Calculated measures: user formulas over a row's pivot values, e.g.
+// "Approved / (Submitted + Approved + Rejected)". Formulas are parsed into a
+// small tree and evaluated by walking it; nothing is ever passed to eval().
+//
+//   formula := term (("+" | "-") term)*
+//   term    := unary (("*" | "/") unary)*
+//   unary   := "-" unary | number | name | "[" any text "]" | "(" formula ")"
+//
+// A name is a pivot column, a status bucket (its subtotal) or Total (the
+// row's Grand Total); names with symbols go in brackets. Dividing by zero,
+// or using an empty value, leaves the result empty.
+
+export const MEASURE_FORMATS = [
+  { id: 'number', label: 'Number' },
+  { id: 'percent', label: 'Percent' }
+];
+
+const TOTAL_NAMES = ['Total', 'Grand Total'];
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+    } else if (/[0-9.]/.test(ch)) {
+      const m = /^(?:\d+(?:\.\d*)?|\.\d+)/.exec(text.slice(i));
+      if (!m) throw new Error(`“${ch}” at character ${i + 1} is not a number.`);
+      tokens.push({ type: 'number', value: Number(m[0]), at: i });
+      i += m[0].length;
+    } else if (ch === '[') {
+      const end = text.indexOf(']', i + 1);
+      if (end < 0) throw new Error(`Missing “]” for the “[” at character ${i + 1}.`);
+      tokens.push({ type: 'name', value: text.slice(i + 1, end).trim(), at: i });
+      i = end + 1;
+    } else if (/[\p{L}_]/u.test(ch)) {
+      // Bare names may contain spaces: "In Review".
+      const m = /^[\p{L}_][\p{L}\p{N}_ ]*/u.exec(text.slice(i));
+      tokens.push({ type: 'name', value: m[0].trim(), at: i });
+      i += m[0].length;
+    } else if ('+-*/()'.includes(ch)) {
+      tokens.push({ type: ch, at: i });
+      i += 1;
+    } else {
+      throw new Error(`Unexpected “${ch}” at character ${i + 1}.`);
+    }
+  }
+  return tokens;
+}
+
+function parse(text) {
+  const tokens = tokenize(text);
+  if (!tokens.length) throw new Error('Enter a formula.');
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const where = (token) => {
+    if (!token) return 'the end';
+    const text = token.type === 'name' || token.type === 'number' ? token.value : token.type;
+    return `“${text}” at character ${token.at + 1}`;
+  };
+
+  const binary = (next, ops) => {
+    let left = next();
+    while (peek() && ops.includes(peek().type)) {
+      const op = tokens[pos++].type;
+      left = { op, left, right: next() };
+    }
+    return left;
+  };
+  const formula = () => binary(term, ['+', '-']);
+  const term = () => binary(unary, ['*', '/']);
+  const unary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error('The formula ends too early.');
+    if (token.type === '-') return { op: 'neg', arg: unary() };
+    if (token.type === 'number') return { number: token.value };
+    if (token.type === 'name') {
+      if (!token.value) throw new Error(`Empty “[]” at character ${token.at + 1}.`);
+      return { name: token.value, at: token.at };
+    }
+    if (token.type === '(') {
+      const inner = formula();
+      if (peek()?.type !== ')') throw new Error(`Missing “)” for the “(” at character ${token.at + 1}.`);
+      pos += 1;
+      return inner;
+    }
+    throw new Error(`Expected a number, a column or “(” but found ${where(token)}.`);
+  };
+
+  const tree = formula();
+  if (pos < tokens.length) throw new Error(`Unexpected ${where(peek())}.`);
+  return tree;
+}
+
+function evaluate(node, read) {
+  if ('number' in node) return node.number;
+  if ('name' in node) {
+    const v = read(node.name);
+    return v === null || v === undefined || !Number.isFinite(Number(v)) ? null : Number(v);
+  }
+  if (node.op === 'neg') {
+    const v = evaluate(node.arg, read);
+    return v === null ? null : -v;
+  }
+  const a = evaluate(node.left, read);
+  const b = evaluate(node.right, read);
+  if (a === null || b === null) return null;
+  if (node.op === '+') return a + b;
+  if (node.op === '-') return a - b;
+  if (node.op === '*') return a * b;
+  return b === 0 ? null : a / b;
+}
+
+function collectNames(node, out = []) {
+  if ('name' in node) out.push(node);
+  if (node.arg) collectNames(node.arg, out);
+  if (node.left) collectNames(node.left, out);
+  if (node.right) collectNames(node.right, out);
+  return out;
+}
+
+/**
+ * The names a formula can use for `pivot`, each with `read(agg)` returning
+ * that value from a row's aggregate: pivot columns, bucket subtotals, Total.
+ */
+export function measureOperands(pivot) {
+  const operands = [];
+  for (const c of pivot?.columns || []) operands.push({ name: c, read: (agg) => agg?.byColumn?.[c] ?? null });
+  for (const b of pivot?.columnBuckets || []) {
+    operands.push({ name: b.name, read: (agg) => agg?.byBucket?.[b.name] ?? null });
+  }
+  for (const name of TOTAL_NAMES) operands.push({ name, read: (agg) => agg?.total ?? null });
+  return operands;
+}
+
+/**
+ * Parses `formula` against `operands` (see measureOperands()) and returns
+ * `evaluate(agg)`. Throws an Error saying what is wrong, and where.
+ */
+export function compileFormula(formula, operands) {
+  const tree = parse(String(formula ?? ''));
+  const byKey = new Map();
+  for (const o of operands) {
+    const key = filterValueKey(o.name);
+    if (!byKey.has(key)) byKey.set(key, o);
+  }
+  for (const ref of collectNames(tree)) {
+    if (!byKey.has(filterValueKey(ref.name))) {
+      const known = operands.filter((o) => o.name !== 'Grand Total').map((o) => o.name);
+      throw new Error(`Unknown column “${ref.name}” at character ${ref.at + 1}. Use one of: ${known.join(', ')}.`);
+    }
+  }
+  return (agg) => evaluate(tree, (name) => byKey.get(filterValueKey(name)).read(agg));
+}
+
+/**
+ * Splits `measures` ({ name, formula, format }) into the ones that work for
+ * `pivot`, with `evaluate(agg)`, and the `problems` ({ name, message }) of the
+ * rest, e.g. a formula naming a status the current files do not have.
+ */
+export function compileMeasures(measures, pivot) {
+  const operands = measureOperands(pivot);
+  const compiled = [];
+  const problems = [];
+  for (const m of measures || []) {
+    try {
+      compiled.push({ ...m, evaluate: compileFormula(m.formula, operands) });
+    } catch (err) {
+      problems.push({ name: m.name, message: err.message });
+    }
+  }
+  return { compiled, problems };
+}
+
+// Keeps measures with a name and a formula; a later measure with the same
+// name replaces the earlier one.
+export function normalizeMeasures(list) {
+  const byName = new Map();
+  for (const m of Array.isArray(list) ? list : []) {
+    const name = typeof m?.name === 'string' ? m.name.trim() : '';
+    const formula = typeof m?.formula === 'string' ? m.formula.trim() : '';
+    if (!name || !formula) continue;
+    const format = MEASURE_FORMATS.some((f) => f.id === m.format) ? m.format : 'number';
+    byName.delete(filterValueKey(name));
+    byName.set(filterValueKey(name), { name, formula, format });
+  }
+  return [...byName.values()];
+}
@@ -0,0 +1,181 @@
+// Dates and the year-over-year pacing built on them. Dates are kept as day
+// numbers (days since 1970-01-01, UTC) so they compare and subtract as plain
+// integers; the application cycle starts on the same month and day every
+// year (`cycleStart`, "MM-DD").
+
+export const DEFAULT_CYCLE_START = '01-01';
+
+export const MONTH_NAMES = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December'
+];
+
+const DAY_MS = 86400000;
+// Day number of the spreadsheet epoch, serial 0 (1899-12-30).
+const SERIAL_EPOCH = -25569;
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function makeDay(year, month, day) {
+  if (!(month >= 1 && month <= 12) || !(day >= 1 && day <= daysInMonth(year, month))) return null;
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+function dayParts(day) {
+  const d = new Date(day * DAY_MS);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+export function dayToIso(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+export function isoToDay(iso) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(iso ?? ''));
+  return m ? makeDay(Number(m[1]), Number(m[2]), Number(m[3])) : null;
+}
+
+// Spreadsheet serial number (days since 1899-12-30, time as the fraction).
+export function serialToDay(serial) {
+  return Number.isFinite(serial) && serial >= 1 ? Math.floor(serial) + SERIAL_EPOCH : null;
+}
+
+const MONTH_KEYS = MONTH_NAMES.map((m) => m.slice(0, 3).toLowerCase());
+
+function fullYear(y) {
+  if (y.length === 4) return Number(y);
+  const n = Number(y);
+  return n < 70 ? 2000 + n : 1900 + n;
+}
+
+/**
+ * Day number of a date cell's text or value, or null. Reads ISO dates (with
+ * or without a time), 2024/03/15, 15.03.2024, 15-Mar-2024, Mar 15, 2024,
+ * spreadsheet serial numbers and Date objects. Slashed dates are month first,
+ * as spreadsheets print them, unless the first number cannot be a month.
+ */
+export function parseDay(text) {
+  if (text instanceof Date) return makeDay(text.getFullYear(), text.getMonth() + 1, text.getDate());
+  const s = String(text ?? '').trim();
+  if (!s) return null;
+  if (/^\d+(\.\d+)?$/.test(s)) return serialToDay(Number(s));
+
+  let m = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:$|[T\s])/.exec(s);
+  if (m) return makeDay(Number(m[1]), Number(m[2]), Number(m[3]));
+
+  m = /^(\d{1,2})([./-])(\d{1,2})\2(\d{4}|\d{2})(?:$|\s)/.exec(s);
+  if (m) {
+    const [a, b] = [Number(m[1]), Number(m[3])];
+    const dayFirst = m[2] === '.' || a > 12;
+    return makeDay(fullYear(m[4]), dayFirst ? b : a, dayFirst ? a : b);
+  }
+
+  m = /^(\d{1,2})[\s-]([a-z]{3,})\.?[\s-,]+(\d{4}|\d{2})$/i.exec(s);
+  if (m) return makeDay(fullYear(m[3]), MONTH_KEYS.indexOf(m[2].slice(0, 3).toLowerCase()) + 1, Number(m[1]));
+  m = /^([a-z]{3,})\.?\s+(\d{1,2}),?\s+(\d{4})$/i.exec(s);
+  if (m) return makeDay(Number(m[3]), MONTH_KEYS.indexOf(m[1].slice(0, 3).toLowerCase()) + 1, Number(m[2]));
+  return null;
+}
+
+// The same date `years` later (earlier when negative); 29 February becomes
+// the 28th in other years.
+export function shiftYears(day, years) {
+  const p = dayParts(day);
+  const year = p.year + years;
+  return makeDay(year, p.month, Math.min(p.day, daysInMonth(year, p.month)));
+}
+
+// "MM-DD" of a real date outside leap days, or the default.
+export function normalizeCycleStart(value) {
+  const m = /^(\d{2})-(\d{2})$/.exec(String(value ?? ''));
+  return m && makeDay(2001, Number(m[1]), Number(m[2])) !== null ? value : DEFAULT_CYCLE_START;
+}
+
+// { from, to } as ISO dates or null; a reversed range is swapped.
+export function normalizeDateRange(range) {
+  let from = isoToDay(range?.from) === null ? null : range.from;
+  let to = isoToDay(range?.to) === null ? null : range.to;
+  if (from && to && from > to) [from, to] = [to, from];
+  return { from, to };
+}
+
+export function hasDateRange(range) {
+  return !!(range?.from || range?.to);
+}
+
+// `range` in day numbers, moved `years` (prev year: -1); open ends stay open.
+export function dayRange(range, years = 0) {
+  const shift = (iso) => {
+    const day = isoToDay(iso);
+    return day === null ? null : shiftYears(day, years);
+  };
+  return { from: shift(range?.from), to: shift(range?.to) };
+}
+
+export function describeDateRange(range) {
+  if (range.from && range.to) return `${range.from} to ${range.to}`;
+  return range.from ? `from ${range.from}` : `until ${range.to}`;
+}
+
+/**
+ * The cycle `asOf` falls in and the matching point of the one before:
+ * { start, end, prevStart, prevAsOf, dayOfCycle }, all day numbers but
+ * `dayOfCycle` (0 on the first day). `end` is the next cycle's first day.
+ */
+export function paceCycle(asOf, cycleStart) {
+  const [month, day] = normalizeCycleStart(cycleStart).split('-').map(Number);
+  const { year } = dayParts(asOf);
+  let start = makeDay(year, month, day);
+  if (start > asOf) start = makeDay(year - 1, month, day);
+  const prevStart = shiftYears(start, -1);
+  const dayOfCycle = asOf - start;
+  return {
+    start,
+    end: shiftYears(start, 1),
+    prevStart,
+    prevAsOf: Math.min(prevStart + dayOfCycle, start - 1),
+    dayOfCycle
+  };
+}
+
+// This year's count to date over the prev year's at the same point; null
+// without a prev-year count.
+export function paceRatio(pace) {
+  return pace && pace.prev ? pace.current / pace.prev : null;
+}
+
+// Cell tooltip for a row's { current, prev } counts to date.
+export function describePace(pace, pacing) {
+  return `${pace.current} applications to ${pacing.asOf}, ${pace.prev} to ${pacing.prevAsOf} the year before`;
+}
+
+export function describePacing(pacing) {
+  const day = `day ${pacing.dayOfCycle + 1} of the cycle from ${pacing.cycleStart}`;
+  const prev = pacing.compared ? `; prev year to ${pacing.prevAsOf}` : '; no dated prev-year rows';
+  return `Applications to ${pacing.asOf} (${day})${prev}`;
+}
+
+// The worker's weekly pace as a sheet: one row per OU0 (All first) and week.
+// Prev-year weeks past this year's as-of week have no this-year value.
+export function weeklyPaceTable(weekly) {
+  const header = ['OU Level 0', 'Week Starting', 'This Year (cumulative)', 'Prev Year (cumulative)'];
+  const rows = [];
+  for (const s of weekly.series) {
+    weekly.weekStarts.forEach((week, i) => {
+      rows.push([s.key ?? 'All', week, s.current[i] ?? '', s.prev ? s.prev[i] : '']);
+    });
+  }
+  return { header, rows };
+}
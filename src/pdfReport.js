@@ -0,0 +1,691 @@
+import { RAG_BANDS } from './formatRules.js';
+import { headerLayout } from './pivotConfig.js';
+import { formatNumber, formatValue } from './pivotReport.js';
+
+// Paginated PDF of a buildPivotReport() table, written without a PDF library:
+// text is set in the standard Helvetica fonts (never embedded) and charts come
+// in as JPEG images, so it works offline in the browser and the command-line
+// tool alike. Column headers repeat on every page. A table wider than the
+// page is set smaller first, then split into bands of columns that each
+// repeat the row labels. Filters, the legend, the report settings and any
+// charts follow on appendix pages.
+
+export const PDF_PAGE_SIZES = [
+  { id: 'a4', label: 'A4', width: 595.28, height: 841.89 },
+  { id: 'letter', label: 'Letter', width: 612, height: 792 }
+];
+
+export const PDF_ORIENTATIONS = [
+  { id: 'portrait', label: 'Portrait' },
+  { id: 'landscape', label: 'Landscape' }
+];
+
+const MARGIN = 36;
+const FONT_SIZE = 8;
+const MIN_FONT_SIZE = 6;
+const CELL_PAD = 4;
+// Widest a value column grows (at FONT_SIZE) before its text is cut off.
+const MAX_COLUMN_WIDTH = 120;
+const HEADER_TOP = MARGIN + 46;
+const FOOTER_HEIGHT = 24;
+
+// Same palette as the on-screen table (see styles.css).
+const ROW_FILLS = { group0: 'EEF2FB', group1: 'F6F8FE', grand: 'E6F0E6' };
+const HEADER_FILL = 'D9E2F3';
+const BORDER = '2F2F2F';
+const MUTED = '5A6477';
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// Advance widths (1/1000 em) of the printable ASCII characters, from the
+// Helvetica and Helvetica-Bold metrics; other characters use DEFAULT_WIDTH.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833,
+  722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556,
+  556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334,
+  260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833,
+  722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611,
+  556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389,
+  280, 389, 584
+];
+const DEFAULT_WIDTH = 556;
+const WIDE_CHARS = { 0x85: 1000, 0x97: 1000, 0x89: 1000, 0x99: 1000 };
+
+// Characters WinAnsiEncoding has outside Latin-1, by their code there.
+const WIN_ANSI = {
+  '€': 0x80,
+  '‚': 0x82,
+  'ƒ': 0x83,
+  '„': 0x84,
+  '…': 0x85,
+  '†': 0x86,
+  '‡': 0x87,
+  'ˆ': 0x88,
+  '‰': 0x89,
+  'Š': 0x8a,
+  '‹': 0x8b,
+  'Œ': 0x8c,
+  'Ž': 0x8e,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97,
+  '˜': 0x98,
+  '™': 0x99,
+  'š': 0x9a,
+  '›': 0x9b,
+  'œ': 0x9c,
+  'ž': 0x9e,
+  'Ÿ': 0x9f
+};
+
+// Stand-ins for characters the standard fonts lack. The RAG symbols are drawn
+// as shapes in the table and legend, so these only show in free text.
+const SUBSTITUTES = {
+  'Δ': 'Change',
+  '→': '->',
+  '≥': '>=',
+  '≤': '<=',
+  '−': '-',
+  '●': '*',
+  '◐': 'o',
+  '○': 'o'
+};
+
+// Characters encodeText() had to print as '?' while a report is being drawn.
+let unsupported = null;
+
+// `text` as WinAnsi character codes (one char per byte).
+function encodeText(text) {
+  let out = '';
+  for (const ch of String(text ?? '')) {
+    const code = ch.codePointAt(0);
+    if (code < 0x80 || (code >= 0xa0 && code <= 0xff)) out += ch;
+    else if (WIN_ANSI[ch]) out += String.fromCharCode(WIN_ANSI[ch]);
+    else if (SUBSTITUTES[ch]) out += SUBSTITUTES[ch];
+    else {
+      unsupported?.add(ch);
+      out += '?';
+    }
+  }
+  return out;
+}
+
+function textWidth(encoded, size, font = 'regular') {
+  const widths = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let units = 0;
+  for (let i = 0; i < encoded.length; i++) {
+    const code = encoded.charCodeAt(i);
+    units += (code >= 32 && code < 127 ? widths[code - 32] : WIDE_CHARS[code]) ?? DEFAULT_WIDTH;
+  }
+  return (units * size) / 1000;
+}
+
+// Cuts `encoded` with an ellipsis so it fits `width`.
+function fitText(encoded, width, size, font) {
+  if (textWidth(encoded, size, font) <= width) return encoded;
+  const ellipsis = '\x85';
+  let end = encoded.length;
+  while (end > 0 && textWidth(encoded.slice(0, end) + ellipsis, size, font) > width) end -= 1;
+  return end > 0 ? encoded.slice(0, end) + ellipsis : '';
+}
+
+// Lines of `text` no wider than `width`, broken at spaces where possible.
+function wrapText(text, width, size, font = 'regular') {
+  const lines = [];
+  for (const paragraph of encodeText(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(' ')) {
+      const next = line ? `${line} ${word}` : word;
+      if (!line || textWidth(next, size, font) <= width) {
+        line = next;
+        continue;
+      }
+      lines.push(line);
+      line = word;
+    }
+    while (textWidth(line, size, font) > width && line.length > 1) {
+      let end = line.length - 1;
+      while (end > 1 && textWidth(line.slice(0, end), size, font) > width) end -= 1;
+      lines.push(line.slice(0, end));
+      line = line.slice(end);
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function pdfString(encoded) {
+  let out = '(';
+  for (let i = 0; i < encoded.length; i++) {
+    const code = encoded.charCodeAt(i);
+    const ch = encoded[i];
+    if (ch === '(' || ch === ')' || ch === '\\') out += `\\${ch}`;
+    else if (code < 32 || code > 126) out += `\\${code.toString(8).padStart(3, '0')}`;
+    else out += ch;
+  }
+  return `${out})`;
+}
+
+function num(n) {
+  return String(Math.round(n * 100) / 100);
+}
+
+function rgb(hex) {
+  return [0, 2, 4].map((i) => num(parseInt(hex.slice(i, i + 2), 16) / 255)).join(' ');
+}
+
+/**
+ * Pixel size of a baseline or progressive JPEG, and whether it is RGB or
+ * grayscale: { width, height, components }.
+ */
+export function jpegSize(bytes) {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) throw new Error('Chart image is not a JPEG.');
+  let i = 2;
+  while (i + 9 < bytes.length) {
+    if (bytes[i] !== 0xff) break;
+    const marker = bytes[i + 1];
+    const length = (bytes[i + 2] << 8) | bytes[i + 3];
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return {
+        height: (bytes[i + 5] << 8) | bytes[i + 6],
+        width: (bytes[i + 7] << 8) | bytes[i + 8],
+        components: bytes[i + 9]
+      };
+    }
+    i += 2 + length;
+  }
+  throw new Error('Chart image has no JPEG frame header.');
+}
+
+// Pages as lists of content-stream operators, in top-down coordinates.
+function createCanvas(width, height) {
+  const pages = [];
+  const images = [];
+  const y = (top) => num(height - top);
+
+  const canvas = {
+    width,
+    height,
+    pages,
+    images,
+    addPage(section) {
+      const page = { section, ops: [] };
+      pages.push(page);
+      return page;
+    },
+    rect(page, x, top, w, h, { fill = null, stroke = null, lineWidth = 0.4 } = {}) {
+      const path = `${num(x)} ${y(top + h)} ${num(w)} ${num(h)} re`;
+      if (fill) page.ops.push(`${rgb(fill)} rg ${path} f`);
+      if (stroke) page.ops.push(`${rgb(stroke)} RG ${num(lineWidth)} w ${path} S`);
+    },
+    line(page, x1, top1, x2, top2, color = BORDER, lineWidth = 0.4) {
+      page.ops.push(`${rgb(color)} RG ${num(lineWidth)} w ${num(x1)} ${y(top1)} m ${num(x2)} ${y(top2)} l S`);
+    },
+    // `baseline` is the top-down position of the text's baseline; `encoded`
+    // comes from encodeText().
+    text(page, x, baseline, encoded, { size = FONT_SIZE, font = 'regular', color = '000000' } = {}) {
+      if (!encoded) return;
+      page.ops.push(`BT ${rgb(color)} rg /${FONTS[font]} ${num(size)} Tf ${num(x)} ${y(baseline)} Td ${pdfString(encoded)} Tj ET`);
+    },
+    // RAG symbol: a full, half or empty circle for green, amber and red.
+    bandSymbol(page, cx, ctop, r, band, color) {
+      const k = 0.5523 * r;
+      const cy = height - ctop;
+      const p = (px, py) => `${num(px)} ${num(py)}`;
+      const circle = [
+        `${p(cx, cy + r)} m`,
+        `${p(cx + k, cy + r)} ${p(cx + r, cy + k)} ${p(cx + r, cy)} c`,
+        `${p(cx + r, cy - k)} ${p(cx + k, cy - r)} ${p(cx, cy - r)} c`,
+        `${p(cx - k, cy - r)} ${p(cx - r, cy - k)} ${p(cx - r, cy)} c`,
+        `${p(cx - r, cy + k)} ${p(cx - k, cy + r)} ${p(cx, cy + r)} c`
+      ].join(' ');
+      const leftHalf = [
+        `${p(cx, cy + r)} m`,
+        `${p(cx - k, cy + r)} ${p(cx - r, cy + k)} ${p(cx - r, cy)} c`,
+        `${p(cx - r, cy - k)} ${p(cx - k, cy - r)} ${p(cx, cy - r)} c h`
+      ].join(' ');
+      const c = rgb(color);
+      if (band === 'green') page.ops.push(`${c} rg ${circle} f`);
+      if (band === 'amber') page.ops.push(`${c} rg ${leftHalf} f`);
+      page.ops.push(`${c} RG 0.8 w ${circle} S`);
+    },
+    // Draws a JPEG image; the same bytes are stored once per call.
+    image(page, bytes, x, top, w, h) {
+      const size = jpegSize(bytes);
+      images.push({ bytes, ...size });
+      page.ops.push(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${y(top + h)} cm /Im${images.length} Do Q`);
+    }
+  };
+  return canvas;
+}
+
+function latin1(text) {
+  const out = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) out[i] = text.charCodeAt(i) & 0xff;
+  return out;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+function pdfDate(d) {
+  return `D:${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+}
+
+// Local "YYYY-MM-DD HH:MM", as in the page headers.
+function stamp(d) {
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// Serializes the canvas: catalog, page tree, the two fonts, images, then a
+// page and a content stream per page, and the cross-reference table.
+function writePdf(canvas, { title, createdAt }) {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const push = (bytes) => {
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (n, body, stream = null) => {
+    offsets[n] = length;
+    push(latin1(`${n} 0 obj\n${body}\n`));
+    if (stream) {
+      push(latin1('stream\n'));
+      push(stream);
+      push(latin1('\nendstream\n'));
+    }
+    push(latin1('endobj\n'));
+  };
+
+  const fontBase = 3;
+  const imageBase = fontBase + 2;
+  const pageBase = imageBase + canvas.images.length;
+  const infoId = pageBase + canvas.pages.length * 2;
+  const pageIds = canvas.pages.map((_, i) => pageBase + i * 2);
+
+  push(latin1('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n'));
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+  ['Helvetica', 'Helvetica-Bold'].forEach((name, i) => {
+    object(fontBase + i, `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`);
+  });
+  canvas.images.forEach((img, i) => {
+    const space = img.components === 1 ? '/DeviceGray' : '/DeviceRGB';
+    object(
+      imageBase + i,
+      `<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace ${space} /BitsPerComponent 8 /Filter /DCTDecode /Length ${img.bytes.length} >>`,
+      img.bytes
+    );
+  });
+  const fonts = Object.values(FONTS)
+    .map((name, i) => `/${name} ${fontBase + i} 0 R`)
+    .join(' ');
+  const xobjects = canvas.images.map((_, i) => `/Im${i + 1} ${imageBase + i} 0 R`).join(' ');
+  canvas.pages.forEach((page, i) => {
+    const content = latin1(page.ops.join('\n'));
+    const resources = `/Font << ${fonts} >>${xobjects ? ` /XObject << ${xobjects} >>` : ''}`;
+    object(
+      pageIds[i],
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(canvas.width)} ${num(canvas.height)}] /Resources << ${resources} >> /Contents ${pageIds[i] + 1} 0 R >>`
+    );
+    object(pageIds[i] + 1, `<< /Length ${content.length} >>`, content);
+  });
+  object(infoId, `<< /Title ${pdfString(encodeText(title))} /CreationDate (${pdfDate(createdAt)}) >>`);
+
+  const xref = length;
+  const entries = offsets.slice(1).map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`);
+  push(
+    latin1(
+      `xref\n0 ${offsets.length}\n0000000000 65535 f \n${entries.join('')}trailer\n<< /Size ${offsets.length} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`
+    )
+  );
+
+  const out = new Uint8Array(length);
+  let at = 0;
+  for (const c of chunks) {
+    out.set(c, at);
+    at += c.length;
+  }
+  return out;
+}
+
+// Every printed column after the row labels: value columns, then the target
+// columns. `cell(row)` returns { text, format, band }.
+function tableColumns(report) {
+  const columns = report.columns.map((c, i) => ({
+    groups: c.groups || [],
+    label: c.label,
+    align: 'right',
+    cell: (r) => ({ text: formatValue(c, r.cells[i]), format: r.styles?.[i] ?? null })
+  }));
+  if (!report.showTarget) return columns;
+  return [
+    ...columns,
+    {
+      groups: [],
+      label: 'Target',
+      target: true,
+      align: 'right',
+      cell: (r) => ({ text: r.target === null ? '' : formatNumber(r.target) })
+    },
+    { groups: [], label: 'Target Source', align: 'left', target: true, cell: (r) => ({ text: r.targetSource ?? '' }) },
+    {
+      groups: [],
+      label: 'Progress %',
+      align: 'right',
+      target: true,
+      symbol: true,
+      cell: (r) =>
+        r.progress === null
+          ? { text: '' }
+          : { text: `${Math.round(r.progress * 100)}%`, format: RAG_BANDS[r.band] ?? null, band: r.band }
+    }
+  ];
+}
+
+const rowFont = (kind) => (kind === 'group0' || kind === 'grand' ? 'bold' : 'regular');
+
+/**
+ * Column widths and font size that fit the table across `available` points,
+ * with the value columns split into `bands` when even the smallest font is
+ * too wide. Widths are measured at FONT_SIZE and scaled.
+ */
+function fitTable(report, columns, rows, available) {
+  const indent = FONT_SIZE * 1.2;
+  let labelWidth = textWidth(encodeText(report.rowHeader), FONT_SIZE, 'bold');
+  for (const r of rows) {
+    labelWidth = Math.max(labelWidth, r.level * indent + textWidth(encodeText(r.label), FONT_SIZE, rowFont(r.kind)));
+  }
+  labelWidth = Math.min(Math.max(labelWidth + 2 * CELL_PAD, 60), available * 0.4);
+
+  const widths = columns.map((c) => {
+    let w = textWidth(encodeText(c.label), FONT_SIZE, 'bold');
+    for (const r of rows) w = Math.max(w, textWidth(encodeText(c.cell(r).text), FONT_SIZE, rowFont(r.kind)));
+    return Math.min(w + 2 * CELL_PAD + (c.symbol ? FONT_SIZE + 2 : 0), MAX_COLUMN_WIDTH);
+  });
+  // A group header wider than its columns widens them evenly.
+  for (const cells of headerLayout(columns)) {
+    for (const cell of cells.filter((c) => c.isGroup)) {
+      const need = textWidth(encodeText(cell.text), FONT_SIZE, 'bold') + 2 * CELL_PAD;
+      const span = widths.slice(cell.col, cell.col + cell.colSpan);
+      const extra = Math.min(need, MAX_COLUMN_WIDTH * cell.colSpan) - span.reduce((a, b) => a + b, 0);
+      if (extra > 0) span.forEach((w, i) => (widths[cell.col + i] = w + extra / cell.colSpan));
+    }
+  }
+
+  const total = labelWidth + widths.reduce((a, b) => a + b, 0);
+  const scale = Math.min(1, Math.max(available / total, MIN_FONT_SIZE / FONT_SIZE));
+  const scaled = widths.map((w) => w * scale);
+  const label = Math.min(labelWidth * scale, available * 0.4);
+
+  // The target columns stay together, in the last band.
+  const units = [];
+  columns.forEach((c, i) => {
+    if (c.target && units.at(-1)?.target) units.at(-1).columns.push(i);
+    else units.push({ target: !!c.target, columns: [i] });
+  });
+  const bands = [];
+  let band = [];
+  let used = label;
+  for (const unit of units) {
+    const w = unit.columns.reduce((sum, i) => sum + scaled[i], 0);
+    if (band.length && used + w > available + 0.01) {
+      bands.push(band);
+      band = [];
+      used = label;
+    }
+    band.push(...unit.columns);
+    used += w;
+  }
+  if (band.length) bands.push(band);
+  return { size: FONT_SIZE * scale, pad: CELL_PAD * scale, indent: indent * scale, labelWidth: label, widths: scaled, bands };
+}
+
+function cellText(canvas, page, text, x, width, baseline, { size, pad = CELL_PAD, font, color, align }) {
+  const fitted = fitText(encodeText(text), width - 2 * pad, size, font);
+  const w = textWidth(fitted, size, font);
+  let tx = x + pad;
+  if (align === 'right') tx = x + width - pad - w;
+  if (align === 'center') tx = x + (width - w) / 2;
+  canvas.text(page, tx, baseline, fitted, { size, font, color });
+}
+
+/**
+ * The report as PDF bytes. `pageSize` and `orientation` pick from
+ * PDF_PAGE_SIZES and PDF_ORIENTATIONS; every page is headed by `title`, the
+ * `sources` lines (file names) and the `generatedAt` date, and numbered.
+ * `caption` (the active filters) and `settings` ([name, value] pairs) go on
+ * the appendix, with `charts` ({ title, jpeg }) after them. The standard
+ * fonts only cover WinAnsi: any other characters print as '?' and are passed
+ * to `onUnsupported` once, in the order met.
+ */
+export function reportToPdf(
+  report,
+  {
+    title = 'Pivot',
+    caption = '',
+    settings = [],
+    sources = [],
+    generatedAt = new Date(),
+    pageSize = 'a4',
+    orientation = 'portrait',
+    charts = [],
+    onUnsupported = null
+  } = {}
+) {
+  unsupported = new Set();
+  try {
+    const pdf = drawReport(report, { title, caption, settings, sources, generatedAt, pageSize, orientation, charts });
+    if (unsupported.size && onUnsupported) onUnsupported([...unsupported]);
+    return pdf;
+  } finally {
+    unsupported = null;
+  }
+}
+
+function drawReport(report, { title, caption, settings, sources, generatedAt, pageSize, orientation, charts }) {
+  const paper = PDF_PAGE_SIZES.find((p) => p.id === pageSize) ?? PDF_PAGE_SIZES[0];
+  const landscape = orientation === 'landscape';
+  const canvas = createCanvas(
+    landscape ? paper.height : paper.width,
+    landscape ? paper.width : paper.height
+  );
+  const available = canvas.width - 2 * MARGIN;
+  const bottom = canvas.height - MARGIN - FOOTER_HEIGHT;
+
+  const columns = tableColumns(report);
+  const rows = report.rows.filter((r) => !r.hidden);
+  const fit = fitTable(report, columns, rows, available);
+  const { size, pad } = fit;
+  const rowHeight = size + 7;
+
+  fit.bands.forEach((band, bandIndex) => {
+    const bandColumns = band.map((i) => columns[i]);
+    const widths = band.map((i) => fit.widths[i]);
+    const lefts = [];
+    widths.reduce((x, w) => {
+      lefts.push(x);
+      return x + w;
+    }, MARGIN + fit.labelWidth);
+    const layout = headerLayout(bandColumns);
+    const headerHeight = layout.length * rowHeight;
+    const first = columns.indexOf(bandColumns[0]) + 1;
+    const last = first + bandColumns.length - 1;
+    let section = 'Pivot table';
+    if (fit.bands.length > 1) {
+      section = `${last > first ? `Columns ${first}–${last}` : `Column ${first}`} of ${columns.length}`;
+    }
+
+    let page;
+    let top;
+    const startPage = () => {
+      page = canvas.addPage(section);
+      top = HEADER_TOP;
+      const headerStyle = { size, pad, font: 'bold', color: '000000', align: 'center' };
+      canvas.rect(page, MARGIN, top, fit.labelWidth, headerHeight, { fill: HEADER_FILL, stroke: BORDER });
+      cellText(canvas, page, report.rowHeader, MARGIN, fit.labelWidth, top + headerHeight / 2 + size / 3, {
+        ...headerStyle,
+        align: 'left'
+      });
+      layout.forEach((cells, level) => {
+        for (const cell of cells) {
+          const x = lefts[cell.col];
+          const w = widths.slice(cell.col, cell.col + cell.colSpan).reduce((a, b) => a + b, 0);
+          const y = top + level * rowHeight;
+          const h = cell.rowSpan * rowHeight;
+          canvas.rect(page, x, y, w, h, { fill: HEADER_FILL, stroke: BORDER });
+          cellText(canvas, page, cell.text, x, w, y + h / 2 + size / 3, headerStyle);
+        }
+      });
+      top += headerHeight;
+    };
+
+    startPage();
+    for (const r of rows) {
+      if (top + rowHeight > bottom) startPage();
+      const font = rowFont(r.kind);
+      const fill = ROW_FILLS[r.kind] ?? null;
+      const baseline = top + rowHeight / 2 + size / 3;
+      canvas.rect(page, MARGIN, top, fit.labelWidth, rowHeight, { fill, stroke: BORDER });
+      const indent = r.level * fit.indent;
+      cellText(canvas, page, r.label, MARGIN + indent, fit.labelWidth - indent, baseline, {
+        size,
+        pad,
+        font,
+        color: '000000',
+        align: 'left'
+      });
+      bandColumns.forEach((c, i) => {
+        const { text, format, band: ragBand } = c.cell(r);
+        const x = lefts[i];
+        const w = widths[i];
+        canvas.rect(page, x, top, w, rowHeight, { fill: format?.fill ?? fill, stroke: BORDER });
+        if (format?.outline) {
+          canvas.rect(page, x + 1, top + 1, w - 2, rowHeight - 2, { stroke: format.color ?? BORDER, lineWidth: 1.2 });
+        }
+        const color = format?.color ?? '000000';
+        if (ragBand) canvas.bandSymbol(page, x + pad + size / 2, top + rowHeight / 2, size / 2.6, ragBand, color);
+        cellText(canvas, page, text, x, w, baseline, {
+          size,
+          pad,
+          font: format?.bold ? 'bold' : font,
+          color,
+          align: c.align
+        });
+      });
+      top += rowHeight;
+    }
+  });
+
+  writeAppendix(canvas, { caption, settings, legend: report.legend || [], charts, bottom });
+
+  // Page furniture goes on last, once the page count is known.
+  const subtitle = encodeText([...sources, `Generated ${stamp(generatedAt)}`].join('  ·  '));
+  const encodedTitle = encodeText(title);
+  canvas.pages.forEach((page, i) => {
+    const head = [];
+    const furniture = { ...page, ops: head };
+    canvas.text(furniture, MARGIN, MARGIN + 12, fitText(encodedTitle, available, 13, 'bold'), { size: 13, font: 'bold' });
+    canvas.text(furniture, MARGIN, MARGIN + 27, fitText(subtitle, available, 8, 'regular'), { size: 8, color: MUTED });
+    canvas.line(furniture, MARGIN, MARGIN + 34, canvas.width - MARGIN, MARGIN + 34, MUTED, 0.6);
+    const footY = canvas.height - MARGIN + 4;
+    canvas.text(furniture, MARGIN, footY, encodeText(page.section), { size: 8, color: MUTED });
+    const number = encodeText(`Page ${i + 1} of ${canvas.pages.length}`);
+    canvas.text(furniture, canvas.width - MARGIN - textWidth(number, 8), footY, number, { size: 8, color: MUTED });
+    page.ops.unshift(...head);
+  });
+
+  return writePdf(canvas, { title, createdAt: generatedAt });
+}
+
+// Filters, legend, settings and charts, flowing over as many pages as needed.
+function writeAppendix(canvas, { caption, settings, legend, charts, bottom }) {
+  const available = canvas.width - 2 * MARGIN;
+  const size = 9;
+  const lineHeight = size + 4;
+  let page = canvas.addPage('Appendix');
+  let top = HEADER_TOP;
+  const room = (h) => {
+    if (top + h <= bottom) return;
+    page = canvas.addPage('Appendix');
+    top = HEADER_TOP;
+  };
+  const heading = (text) => {
+    room(lineHeight * 4);
+    if (top > HEADER_TOP) top += lineHeight;
+    top += lineHeight;
+    canvas.text(page, MARGIN, top, encodeText(text), { size: 11, font: 'bold' });
+    top += lineHeight * 0.8;
+  };
+  const paragraph = (text, x = MARGIN, width = available, style = {}) => {
+    for (const line of wrapText(text, width, size, style.font)) {
+      room(lineHeight);
+      top += lineHeight;
+      canvas.text(page, x, top, line, { size, ...style });
+    }
+  };
+
+  heading('Filters');
+  paragraph(caption ? caption.replace(/^Filters: /, '') : 'No filters: every row of the files is counted.');
+
+  if (legend.length) {
+    heading('Legend');
+    const swatch = 16;
+    for (const entry of legend) {
+      room(lineHeight + 4);
+      top += lineHeight + 2;
+      let x = MARGIN;
+      for (const step of entry.gradient ?? [entry]) {
+        canvas.rect(page, x, top - size - 1, swatch, size + 4, { fill: step.fill ?? 'FFFFFF', stroke: BORDER });
+        const band = Object.keys(RAG_BANDS).find((b) => RAG_BANDS[b].symbol === step.symbol);
+        if (band) {
+          canvas.bandSymbol(page, x + swatch / 2, top - size / 2 + 1, size / 2.6, band, step.color ?? '000000');
+        } else if (step.symbol) {
+          const symbol = encodeText(step.symbol);
+          const sx = x + (swatch - textWidth(symbol, size, 'bold')) / 2;
+          canvas.text(page, sx, top, symbol, { size, font: 'bold', color: step.color ?? '000000' });
+        }
+        x += swatch + 2;
+      }
+      canvas.text(page, x + 6, top, fitText(encodeText(entry.text), MARGIN + available - x - 6, size), { size });
+    }
+  }
+
+  if (settings.length) {
+    heading('Report settings');
+    const keyWidth = Math.min(150, available * 0.3);
+    for (const [name, value] of settings) {
+      const lines = wrapText(String(value ?? ''), available - keyWidth, size);
+      room(lineHeight * Math.min(lines.length, 3));
+      canvas.text(page, MARGIN, top + lineHeight, fitText(encodeText(name), keyWidth - 8, size, 'bold'), {
+        size,
+        font: 'bold'
+      });
+      for (const line of lines) {
+        room(lineHeight);
+        top += lineHeight;
+        canvas.text(page, MARGIN + keyWidth, top, line, { size });
+      }
+    }
+  }
+
+  for (const chart of charts) {
+    const { width, height } = jpegSize(chart.jpeg);
+    const maxHeight = bottom - HEADER_TOP - lineHeight * 3;
+    const scale = Math.min(available / width, maxHeight / height, 1);
+    heading(chart.title);
+    room(height * scale + 6);
+    top += 6;
+    canvas.image(page, chart.jpeg, MARGIN, top, width * scale, height * scale);
+    top += height * scale;
+  }
+}
@@ -0,0 +1,177 @@
+import { FIELD_DEFS, normalizeHeader } from './columnMapping.js';
+import { DEFAULT_CYCLE_START } from './pacing.js';
+import { DEFAULT_STATUS_SETTINGS } from './statusSettings.js';
+
+export const AGGREGATIONS = [
+  { id: 'count', label: 'Count' },
+  { id: 'distinct', label: 'Distinct Count' },
+  { id: 'sum', label: 'Sum' },
+  { id: 'avg', label: 'Average' },
+  { id: 'min', label: 'Min' },
+  { id: 'max', label: 'Max' }
+];
+
+// Status-by-OU view the app has always shown: OU0 → OU1 → OU2 down the side,
+// one column per Submission Status, counting applications.
+export const DEFAULT_PIVOT_CONFIG = {
+  rows: ['ou0', 'ou1', 'ou2'],
+  column: 'status',
+  value: { field: 'applicationKey', agg: 'count' }
+};
+
+// Which row represents an application when its key appears more than once.
+export const DUPLICATE_RULES = [
+  { id: 'last', label: 'Last row in the file' },
+  { id: 'first', label: 'First row in the file' },
+  { id: 'stage', label: 'Furthest status (by the Stage column of Statuses)' }
+];
+
+export const DEFAULT_DATA_OPTIONS = {
+  distinctApplications: false,
+  duplicateRule: 'last',
+  // Adds prev-year values and the change next to every pivot value.
+  compareYears: false,
+  // Slicer values left out, per field. Draft has always been kept out of the
+  // status columns.
+  filters: { status: ['Draft'] },
+  // Rows of excluded statuses stay in Grand Total and targets and only leave
+  // the status columns.
+  countHiddenStatuses: false,
+  // Aliases, column order and buckets of Submission Status.
+  statuses: DEFAULT_STATUS_SETTINGS,
+  // Submission Date range (ISO dates, either end open); the prev year is
+  // filtered by the same range a year earlier.
+  dateRange: { from: null, to: null },
+  // Month and day ("MM-DD") the yearly application cycle starts on; pacing
+  // compares years from there.
+  cycleStart: DEFAULT_CYCLE_START
+};
+
+export const DEFAULT_SLICER_FIELDS = ['status', 'ou0', 'ou1', 'ou2'];
+
+// Slicer values match without regard to case or spacing.
+export function filterValueKey(v) {
+  return normalizeHeader(v);
+}
+
+export function activeFilters(filters) {
+  return Object.entries(filters || {}).filter(([, values]) => Array.isArray(values) && values.length > 0);
+}
+
+// One line per filtered field, e.g. "Submission Status: excluding Draft".
+// `valuesByField` (field → [{ value }]) lets a mostly-excluded field read as
+// "only …" instead.
+export function describeFilters(filters, fields, valuesByField = {}) {
+  return activeFilters(filters).map(([field, excluded]) => {
+    const out = new Set(excluded.map(filterValueKey));
+    const kept = (valuesByField[field] || []).map((v) => v.value).filter((v) => !out.has(filterValueKey(v)));
+    const label = fieldLabel(fields, field);
+    if (kept.length && kept.length < excluded.length) return `${label}: only ${kept.join(', ')}`;
+    return `${label}: excluding ${excluded.join(', ')}`;
+  });
+}
+
+// Stable string key for a row path such as [ou0, ou1]; used for expand state
+// and per-OU targets.
+export function nodePathKey(path) {
+  return path.join('\u001f');
+}
+
+const EXTRA_FIELD_PREFIX = 'col:';
+
+// Mapped columns are addressed by their logical id, every other sheet column by
+// its header.
+export function extraFieldKey(header) {
+  return `${EXTRA_FIELD_PREFIX}${header}`;
+}
+
+export function extraFieldHeader(key) {
+  return String(key).startsWith(EXTRA_FIELD_PREFIX) ? String(key).slice(EXTRA_FIELD_PREFIX.length) : null;
+}
+
+export function buildFieldList(mapping, headers) {
+  const fields = [];
+  const mapped = new Set();
+  for (const f of FIELD_DEFS) {
+    const col = mapping?.columns?.[f.id];
+    if (!col) continue;
+    mapped.add(col);
+    fields.push({ key: f.id, label: f.label });
+  }
+  for (const h of headers || []) {
+    if (!mapped.has(h)) fields.push({ key: extraFieldKey(h), label: h });
+  }
+  // File (and sheet) each row was read from; useful when sheets are combined.
+  fields.push({ key: 'source', label: 'Source' });
+  return fields;
+}
+
+export function fieldLabel(fields, key) {
+  return (fields || []).find((f) => f.key === key)?.label ?? extraFieldHeader(key) ?? String(key ?? '');
+}
+
+export function isCountAggregation(agg) {
+  return agg === 'count' || agg === 'distinct';
+}
+
+export function isDefaultPivotConfig(config) {
+  return JSON.stringify(config) === JSON.stringify(DEFAULT_PIVOT_CONFIG);
+}
+
+export function clonePivotConfig(config) {
+  return {
+    rows: [...(config?.rows || [])],
+    column: config?.column ?? null,
+    value: { field: config?.value?.field ?? null, agg: config?.value?.agg ?? 'count' }
+  };
+}
+
+// Drops fields the current dataset does not have, so a config built for one
+// workbook can be carried over to the next upload.
+export function normalizePivotConfig(config, fields) {
+  const known = new Set((fields || []).map((f) => f.key));
+  const next = clonePivotConfig(config);
+  next.rows = next.rows.filter((k, i) => known.has(k) && next.rows.indexOf(k) === i);
+  if (next.column && (!known.has(next.column) || next.rows.includes(next.column))) next.column = null;
+  if (next.value.field && !known.has(next.value.field)) next.value.field = null;
+  if (!AGGREGATIONS.some((a) => a.id === next.value.agg)) next.value.agg = 'count';
+  if (!isCountAggregation(next.value.agg) && !next.value.field) next.value.agg = 'count';
+  return next;
+}
+
+/**
+ * Header cells for value columns described as { groups, label }, where
+ * `groups` lists the headers above the label from the outside in. Returns one
+ * array per header row of { text, col, colSpan, rowSpan, column, isGroup }:
+ * neighbouring columns under the same groups share a group cell, and labels
+ * reach down to the last header row.
+ */
+export function headerLayout(columns) {
+  const paths = columns.map((c) => [...(c.groups || []), c.label]);
+  const depth = Math.max(1, ...paths.map((p) => p.length));
+  const rows = [];
+  for (let level = 0; level < depth; level++) {
+    const cells = [];
+    for (let i = 0; i < paths.length; i++) {
+      const path = paths[i];
+      if (level >= path.length) continue;
+      if (level === path.length - 1) {
+        cells.push({ text: path[level], col: i, colSpan: 1, rowSpan: depth - level, column: columns[i], isGroup: false });
+        continue;
+      }
+      const prefix = nodePathKey(path.slice(0, level + 1));
+      let end = i;
+      while (
+        end + 1 < paths.length &&
+        paths[end + 1].length - 1 > level &&
+        nodePathKey(paths[end + 1].slice(0, level + 1)) === prefix
+      ) {
+        end += 1;
+      }
+      cells.push({ text: path[level], col: i, colSpan: end - i + 1, rowSpan: 1, column: columns[i], isGroup: true });
+      i = end;
+    }
+    rows.push(cells);
+  }
+  return rows;
+}
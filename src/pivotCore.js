@@ -0,0 +1,1361 @@
+// Parsing and aggregation shared by the web worker and the command-line tool.
+// Nothing in here touches the DOM or worker globals; inputs are file bytes
+// (ArrayBuffer or Uint8Array) and plain objects.
+import * as XLSX from 'xlsx';
+import { FIELD_DEFS, normalizeHeader, sheetHasMappedColumns } from './columnMapping.js';
+import {
+  decodeText,
+  describeDelimiter,
+  detectDelimiter,
+  looksLikeDelimitedText,
+  parseDelimited
+} from './delimitedText.js';
+import {
+  DEFAULT_DATA_OPTIONS,
+  DEFAULT_PIVOT_CONFIG,
+  DEFAULT_SLICER_FIELDS,
+  activeFilters,
+  buildFieldList,
+  extraFieldHeader,
+  filterValueKey,
+  isCountAggregation,
+  nodePathKey,
+  normalizePivotConfig
+} from './pivotConfig.js';
+import {
+  dayRange,
+  dayToIso,
+  hasDateRange,
+  isoToDay,
+  normalizeCycleStart,
+  normalizeDateRange,
+  paceCycle,
+  parseDay
+} from './pacing.js';
+import {
+  DEFAULT_STATUS_SETTINGS,
+  canonicalStatus,
+  isKnownStatus,
+  normalizeStatusSettings,
+  sortStatuses,
+  statusBucket,
+  statusStageRank
+} from './statusSettings.js';
+
+function normalizeCell(v) {
+  const s = String(v ?? '').trim();
+  return s.length ? s : '(blank)';
+}
+
+function readHeaderRow(sheet) {
+  const [headerRow] = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false });
+  return (headerRow || []).map((h) => String(h ?? '').trim()).filter((h) => h.length > 0);
+}
+
+// CSV/TSV files become a one-sheet workbook named "CSV", so a remembered
+// mapping applies to every file of the same layout.
+const CSV_SHEET_NAME = 'CSV';
+
+function readWorkbook(buf, fileName, { headerOnly = false } = {}) {
+  const bytes = new Uint8Array(buf);
+  if (!looksLikeDelimitedText(bytes, fileName)) {
+    const workbook = XLSX.read(bytes, { type: 'array', ...(headerOnly ? { sheetRows: 1 } : {}) });
+    return { workbook, format: { type: workbook.bookType || 'workbook' } };
+  }
+
+  const { text, encoding } = decodeText(bytes);
+  const delimiter = detectDelimiter(text);
+  const aoa = parseDelimited(text, delimiter, headerOnly ? 1 : Infinity);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(aoa), CSV_SHEET_NAME);
+  return {
+    workbook,
+    format: { type: 'csv', encoding, delimiter: describeDelimiter(delimiter) }
+  };
+}
+
+export function inspectWorkbook(buf, fileName) {
+  const { workbook, format } = readWorkbook(buf, fileName, { headerOnly: true });
+  return {
+    format,
+    sheets: (workbook.SheetNames || []).map((name) => ({
+      name,
+      headers: readHeaderRow(workbook.Sheets[name])
+    }))
+  };
+}
+
+// The mapped sheet, plus every other sheet carrying all mapped columns when
+// the mapping asks to combine sheets.
+function getMappedSheets(workbook, mapping) {
+  const sheet = workbook.Sheets?.[mapping?.sheet];
+  if (!sheet) {
+    const available = (workbook.SheetNames || []).join(', ');
+    throw new Error(`Sheet “${mapping?.sheet ?? ''}” not found. Available sheets: ${available || '(none)'}`);
+  }
+  const sheets = [{ name: mapping.sheet, sheet }];
+  if (!mapping.combineSheets) return sheets;
+
+  for (const name of workbook.SheetNames || []) {
+    if (name === mapping.sheet) continue;
+    if (sheetHasMappedColumns(readHeaderRow(workbook.Sheets[name]), mapping)) {
+      sheets.push({ name, sheet: workbook.Sheets[name] });
+    }
+  }
+  return sheets;
+}
+
+// Cells of a dense sheet (an array of rows) as the text sheet_to_json gives
+// with `raw: false`, addressed by row and column index so only the needed
+// columns are formatted. `value` keeps number and date cells as they are
+// stored, whatever their display format; `rowNumber` is the row as the
+// spreadsheet numbers it.
+function sheetTable(sheet) {
+  const range = XLSX.utils.decode_range(sheet['!ref'] || 'A1');
+  return {
+    firstRow: range.s.r,
+    lastRow: range.e.r,
+    firstCol: range.s.c,
+    lastCol: range.e.c,
+    text(r, c) {
+      const cell = sheet[r]?.[c];
+      return cell ? XLSX.utils.format_cell(cell) : '';
+    },
+    value(r, c) {
+      const cell = sheet[r]?.[c];
+      return cell?.t === 'n' || cell?.t === 'd' ? cell.v : this.text(r, c);
+    },
+    rowNumber: (r) => r + 1
+  };
+}
+
+// Same shape for parsed CSV text, which never becomes a sheet when loading;
+// rows are numbered by the line they start on, blank lines included.
+function textTable(aoa, lines) {
+  return {
+    firstRow: 0,
+    lastRow: aoa.length - 1,
+    firstCol: 0,
+    lastCol: aoa.reduce((n, r) => Math.max(n, r.length), 0) - 1,
+    text: (r, c) => aoa[r]?.[c] ?? '',
+    value: (r, c) => aoa[r]?.[c] ?? '',
+    rowNumber: (r) => lines[r]
+  };
+}
+
+// Only the mapped sheet is parsed unless sheets are combined, into dense rows
+// of cells; formulas and rich-text HTML are never needed.
+function readMappedTables(buf, fileName, mapping) {
+  const bytes = new Uint8Array(buf);
+  if (looksLikeDelimitedText(bytes, fileName)) {
+    if (mapping?.sheet !== CSV_SHEET_NAME) {
+      throw new Error(`Sheet “${mapping?.sheet ?? ''}” not found. Available sheets: ${CSV_SHEET_NAME}`);
+    }
+    const { text } = decodeText(bytes);
+    const lines = [];
+    const table = textTable(parseDelimited(text, detectDelimiter(text), Infinity, lines), lines);
+    return { csv: true, tables: [{ name: CSV_SHEET_NAME, table }] };
+  }
+
+  const workbook = XLSX.read(bytes, {
+    type: 'array',
+    cellFormula: false,
+    cellHTML: false,
+    dense: true,
+    ...(mapping?.combineSheets ? {} : { sheets: mapping?.sheet })
+  });
+  const tables = getMappedSheets(workbook, mapping).map(({ name, sheet }) => ({ name, table: sheetTable(sheet) }));
+  return { csv: false, tables };
+}
+
+const PROGRESS_EVERY = 5000;
+
+/**
+ * Rows of the mapped columns of a file. Of the other columns only `extras`
+ * (headers) are read into each row's `extra`, all of them when null; see
+ * readExtraColumns() for adding more later. `headers` lists every column.
+ */
+export function readRowsFromWorkbook(buf, fileName, mapping, onProgress = () => {}, { extras = null } = {}) {
+  const { csv, tables } = readMappedTables(buf, fileName, mapping);
+  const intern = createInterner();
+  const rows = [];
+  let headers = null;
+  for (const { name, table } of tables) {
+    const source = csv ? fileName : `${fileName} › ${name}`;
+    const read = readRowsFromTable(table, { ...mapping, sheet: name }, source, intern, onProgress, extras);
+    headers ??= read.headers;
+    for (const r of read.rows) rows.push(r);
+  }
+  const extraHeaders = (headers || []).filter((h) => !Object.values(mapping.columns || {}).includes(h));
+  return {
+    rows,
+    headers,
+    sheetNames: tables.map((t) => t.name),
+    mapping,
+    extras: extras === null ? extraHeaders : extraHeaders.filter((h) => extras.includes(h))
+  };
+}
+
+/**
+ * Reads more unmapped columns (`headers`) of the file `read` came from into
+ * its rows, e.g. once a column is picked as a pivot field or slicer. The rows
+ * are matched in file order, as readRowsFromWorkbook() keeps them.
+ */
+export function readExtraColumns(read, buf, fileName, headers, onProgress = () => {}) {
+  const wanted = headers.filter((h) => read.headers.includes(h) && !read.extras.includes(h));
+  if (!wanted.length) return;
+  const { tables } = readMappedTables(buf, fileName, read.mapping);
+  const intern = createInterner();
+  let index = 0;
+  for (const { name, table } of tables) {
+    const { extraColumns } = mappedColumns(table, { ...read.mapping, sheet: name }, wanted);
+    forEachMappedRow(table, { ...read.mapping, sheet: name }, onProgress, (r) => {
+      const row = read.rows[index++];
+      if (!row) return;
+      if (row.extra === NO_EXTRA) row.extra = {};
+      for (const [header, col] of extraColumns) row.extra[header] = intern(String(table.text(r, col) ?? '').trim());
+    });
+  }
+  if (index !== read.rows.length) throw new Error(`${fileName} changed since it was loaded; load it again.`);
+  read.extras.push(...wanted);
+}
+
+// Extra fields the pivot, the slicers or their filters read.
+export function usedExtraHeaders(config, options, slicerFields) {
+  const keys = [
+    ...(config?.rows || []),
+    config?.column,
+    config?.value?.field,
+    ...(slicerFields || []),
+    ...activeFilters(options?.filters).map(([field]) => field)
+  ];
+  return [...new Set(keys.map((k) => (k ? extraFieldHeader(k) : null)).filter((h) => h !== null))];
+}
+
+// Repeated cell values (OUs, statuses, ...) share one string.
+function createInterner() {
+  const seen = new Map();
+  return (s) => {
+    const hit = seen.get(s);
+    if (hit !== undefined) return hit;
+    seen.set(s, s);
+    return s;
+  };
+}
+
+// Column indexes of the header row: every header, the mapped fields and the
+// unmapped columns asked for (all of them when `extras` is null).
+function mappedColumns(table, mapping, extras = null) {
+  const columnOf = new Map();
+  for (let c = table.firstCol; c <= table.lastCol; c++) {
+    const header = String(table.text(table.firstRow, c) ?? '').trim();
+    if (header && !columnOf.has(header)) columnOf.set(header, c);
+  }
+
+  const resolved = {};
+  const missing = [];
+  for (const f of FIELD_DEFS) {
+    const wanted = mapping.columns?.[f.id] ?? '';
+    const col = wanted ? columnOf.get(wanted) : undefined;
+    if (col !== undefined) resolved[f.id] = col;
+    else if (wanted || f.required) missing.push(wanted ? `${wanted} (${f.label})` : f.label);
+  }
+
+  if (missing.length && table.lastRow > table.firstRow) {
+    throw new Error(`Missing required columns in “${mapping.sheet}”: ${missing.join(', ')}`);
+  }
+
+  const mappedCols = new Set(Object.values(resolved));
+  const extraColumns = Array.from(columnOf.entries()).filter(
+    ([header, col]) => !mappedCols.has(col) && (extras === null || extras.includes(header))
+  );
+  return { headers: Array.from(columnOf.keys()), resolved, extraColumns };
+}
+
+// Calls `fn(r, values)` with the mapped cells of every data row that has any;
+// rows blank in all mapped columns are skipped.
+function forEachMappedRow(table, mapping, onProgress, fn) {
+  if (table.lastRow <= table.firstRow) return;
+  const { resolved } = mappedColumns(table, mapping);
+  const total = table.lastRow - table.firstRow;
+  for (let r = table.firstRow + 1; r <= table.lastRow; r++) {
+    const done = r - table.firstRow;
+    if (done % PROGRESS_EVERY === 0) onProgress(done, total);
+
+    const values = {};
+    let blank = true;
+    for (const f of FIELD_DEFS) {
+      values[f.id] = resolved[f.id] === undefined ? '' : String(table.text(r, resolved[f.id]) ?? '').trim();
+      if (values[f.id]) blank = false;
+    }
+    if (!blank) fn(r, values);
+  }
+  onProgress(total, total);
+}
+
+// Shared by the rows of files read without any unmapped column.
+const NO_EXTRA = Object.freeze({});
+
+function readRowsFromTable(table, mapping, source, intern, onProgress, extras) {
+  const { headers, resolved, extraColumns } = mappedColumns(table, mapping, extras);
+  const rows = [];
+  forEachMappedRow(table, mapping, onProgress, (r, values) => {
+    const extra = extraColumns.length ? {} : NO_EXTRA;
+    for (const [header, col] of extraColumns) extra[header] = intern(String(table.text(r, col) ?? '').trim());
+
+    const status = intern(normalizeCell(values.status));
+    // A date cell's text follows its display format (dd/mm or mm/dd), so the
+    // day comes from the stored serial where there is one.
+    const day = values.submittedAt ? parseDay(table.value(r, resolved.submittedAt)) : null;
+    rows.push({
+      source,
+      rowNumber: table.rowNumber(r),
+      ou0: intern(normalizeCell(values.ou0)),
+      ou1: intern(normalizeCell(values.ou1)),
+      ou2: intern(normalizeCell(values.ou2)),
+      applicationKey: values.applicationKey,
+      // `status` is the canonical name after aliases (see applyStatusAliases).
+      status,
+      rawStatus: status,
+      // Day number of the Submission Date (see pacing.js), null when blank or
+      // unreadable; the field itself reads as an ISO date where it parsed.
+      day,
+      submittedAt: day === null ? normalizeCell(values.submittedAt) : intern(dayToIso(day)),
+      extra
+    });
+  });
+  return { rows, headers };
+}
+
+function parseNumeric(v) {
+  const s = String(v ?? '')
+    .trim()
+    .replace(/[,\s]/g, '')
+    .replace(/^[$€£¥]/, '');
+  if (!s.length) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+function newAggCell(agg) {
+  return {
+    count: 0,
+    numCount: 0,
+    sum: 0,
+    min: null,
+    max: null,
+    distinct: agg === 'distinct' ? new Set() : null
+  };
+}
+
+function addToAggCell(cell, value) {
+  const s = String(value ?? '').trim();
+  if (!s.length) return;
+  cell.count += 1;
+  if (cell.distinct) {
+    cell.distinct.add(s);
+    return;
+  }
+  const n = parseNumeric(s);
+  if (n === null) return;
+  cell.numCount += 1;
+  cell.sum += n;
+  cell.min = cell.min === null ? n : Math.min(cell.min, n);
+  cell.max = cell.max === null ? n : Math.max(cell.max, n);
+}
+
+function finalizeAggCell(cell, agg) {
+  switch (agg) {
+    case 'distinct':
+      return cell.distinct.size;
+    case 'sum':
+      return cell.numCount ? cell.sum : null;
+    case 'avg':
+      return cell.numCount ? cell.sum / cell.numCount : null;
+    case 'min':
+      return cell.min;
+    case 'max':
+      return cell.max;
+    default:
+      return cell.count;
+  }
+}
+
+function newAggRecord(agg) {
+  return {
+    byColumn: new Map(),
+    byBucket: new Map(),
+    total: newAggCell(agg)
+  };
+}
+
+function addToAggRecord(record, agg, columnKey, value, bucket = null) {
+  addToAggCell(record.total, value);
+  if (columnKey === null) return;
+  if (!record.byColumn.has(columnKey)) record.byColumn.set(columnKey, newAggCell(agg));
+  addToAggCell(record.byColumn.get(columnKey), value);
+  if (bucket === null) return;
+  if (!record.byBucket.has(bucket)) record.byBucket.set(bucket, newAggCell(agg));
+  addToAggCell(record.byBucket.get(bucket), value);
+}
+
+function finalizeAggRecord(record, agg, columns, buckets) {
+  const empty = isCountAggregation(agg) ? 0 : null;
+  const byColumn = {};
+  for (const c of columns) {
+    const cell = record.byColumn.get(c);
+    byColumn[c] = cell ? finalizeAggCell(cell, agg) : empty;
+  }
+  const byBucket = {};
+  for (const b of buckets) {
+    const cell = record.byBucket.get(b.name);
+    byBucket[b.name] = cell ? finalizeAggCell(cell, agg) : empty;
+  }
+  return {
+    byColumn,
+    byBucket,
+    total: finalizeAggCell(record.total, agg)
+  };
+}
+
+function groupByApplicationKey(rows) {
+  const byKey = new Map();
+  for (const r of rows) {
+    if (!r.applicationKey) continue;
+    if (!byKey.has(r.applicationKey)) byKey.set(r.applicationKey, []);
+    byKey.get(r.applicationKey).push(r);
+  }
+  return byKey;
+}
+
+function findDuplicates(rows) {
+  const duplicates = [];
+  groupByApplicationKey(rows).forEach((list, key) => {
+    if (list.length < 2) return;
+    duplicates.push({
+      key,
+      rows: list.map((r) => ({
+        source: r.source,
+        rowNumber: r.rowNumber,
+        ou0: r.ou0,
+        ou1: r.ou1,
+        ou2: r.ou2,
+        status: r.status
+      }))
+    });
+  });
+  return duplicates.sort((a, b) => b.rows.length - a.rows.length || a.key.localeCompare(b.key));
+}
+
+// Picks the row of a repeated key by the duplicate rule. Rows carry canonical
+// statuses by now; the "furthest status" rule ranks them by the stages of the
+// status settings.
+function applicationRowPicker({ duplicateRule, statuses }) {
+  if (duplicateRule === 'first') return (list) => list[0];
+  if (duplicateRule === 'stage') {
+    const rank = statusStageRank(statuses);
+    return (list) => list.reduce((best, r) => (rank(r.status) < rank(best.status) ? r : best));
+  }
+  return (list) => list[list.length - 1];
+}
+
+// One row per Application Key; rows without a key are dropped here as they
+// would be by every aggregation anyway.
+function dedupeApplications(rows, options) {
+  const pick = applicationRowPicker(options);
+  const out = [];
+  groupByApplicationKey(rows).forEach((list) => out.push(pick(list)));
+  return out;
+}
+
+// `deduped` has one row per application when that option is on, `kept` what
+// is left of it after the slicers and the date range. `dates` is the range in
+// day numbers, already moved back a year for prev-year rows, or null.
+function applyDataOptions(rows, options, dates = null) {
+  const deduped = options.distinctApplications ? dedupeApplications(rows, options) : rows;
+  return { deduped, kept: applyDateRange(applyFilters(deduped, options), dates) };
+}
+
+// Rows without a readable date are left out while a range applies.
+function applyDateRange(rows, dates) {
+  if (!dates) return rows;
+  const { from, to } = dates;
+  return rows.filter((r) => r.day !== null && (from === null || r.day >= from) && (to === null || r.day <= to));
+}
+
+// Date ranges and pacing need the Submission Date mapped.
+function isDated(mapping) {
+  return !!mapping?.columns?.submittedAt;
+}
+
+// Statuses the slicer hides from the columns while their rows still count.
+function hiddenStatusKeys(options) {
+  return options.countHiddenStatuses ? new Set((options.filters?.status || []).map(filterValueKey)) : new Set();
+}
+
+// Drops rows whose value is excluded by a slicer, before any aggregation.
+function applyFilters(rows, options) {
+  const excluded = activeFilters(options.filters)
+    .filter(([field]) => !(field === 'status' && options.countHiddenStatuses))
+    .map(([field, values]) => [field, new Set(values.map(filterValueKey))]);
+  if (!excluded.length) return rows;
+  return rows.filter((r) =>
+    excluded.every(([field, values]) => !values.has(filterValueKey(normalizeCell(fieldValue(r, field)))))
+  );
+}
+
+// Values (with current-year row counts) offered by each slicer, taken from
+// both years before any filter applies.
+function collectSlicerValues(currentRows, prevRows, fields, statuses) {
+  const out = {};
+  for (const field of fields) {
+    const counts = new Map();
+    for (const r of currentRows) {
+      const v = normalizeCell(fieldValue(r, field));
+      counts.set(v, (counts.get(v) ?? 0) + 1);
+    }
+    for (const r of prevRows || []) {
+      const v = normalizeCell(fieldValue(r, field));
+      if (!counts.has(v)) counts.set(v, 0);
+    }
+    out[field] = sortColumnKeys(field, Array.from(counts.keys()), statuses).map((value) => ({
+      value,
+      count: counts.get(value)
+    }));
+  }
+  return out;
+}
+
+// Status values as spelled in the files, for the status editor.
+function collectRawStatuses(currentRows, prevRows, statuses) {
+  const counts = new Map();
+  for (const r of currentRows) counts.set(r.rawStatus, (counts.get(r.rawStatus) ?? 0) + 1);
+  for (const r of prevRows || []) {
+    if (!counts.has(r.rawStatus)) counts.set(r.rawStatus, 0);
+  }
+  return sortStatuses(Array.from(counts.keys()), statuses).map((value) => ({ value, count: counts.get(value) }));
+}
+
+// Rows keep the status read from the file in `rawStatus`; `status` is
+// recomputed from it whenever the aliases change.
+function applyStatusAliases(rows, statuses) {
+  for (const r of rows || []) r.status = canonicalStatus(r.rawStatus, statuses);
+}
+
+// Application counts per row path of `fields`: `levels[i]` maps the
+// nodePathKey() of every path `i + 1` fields long to its count.
+function countByPath(rows, fields) {
+  const levels = fields.map(() => new Map());
+  let grand = 0;
+  for (const r of rows || []) {
+    if (!r.applicationKey) continue;
+    grand += 1;
+    const path = [];
+    fields.forEach((field, i) => {
+      path.push(normalizeCell(fieldValue(r, field)));
+      const key = nodePathKey(path);
+      levels[i].set(key, (levels[i].get(key) ?? 0) + 1);
+    });
+  }
+  return { levels, grand };
+}
+
+// Prev-year application counts per OU0 and OU0/OU1; the main thread turns
+// them into targets with the growth rate the user picked.
+function computePrevYearBase(prevRows) {
+  const { levels, grand } = countByPath(prevRows, ['ou0', 'ou1']);
+  return {
+    available: Array.isArray(prevRows),
+    perOU0Counts: Object.fromEntries(levels[0]),
+    perOU1Counts: Object.fromEntries(levels[1]),
+    grandCount: grand
+  };
+}
+
+// Cumulative application counts per week of the cycle, for all rows and per
+// OU0: this year's up to the as-of week, the prev year's over its whole cycle
+// (null without dated prev-year rows).
+function weeklyPace(currentRows, prevRows, cycle, asOf) {
+  const weeks = Math.ceil((cycle.end - cycle.start) / 7);
+  const asOfWeek = Math.floor((asOf - cycle.start) / 7);
+  const series = new Map([[null, { key: null, current: new Array(asOfWeek + 1).fill(0), prev: null }]]);
+  const seriesOf = (ou0) => {
+    if (!series.has(ou0)) series.set(ou0, { key: ou0, current: new Array(asOfWeek + 1).fill(0), prev: null });
+    return series.get(ou0);
+  };
+  for (const r of currentRows) {
+    const week = Math.floor((r.day - cycle.start) / 7);
+    seriesOf(null).current[week] += 1;
+    seriesOf(r.ou0).current[week] += 1;
+  }
+  if (prevRows) {
+    for (const s of series.values()) s.prev = new Array(weeks).fill(0);
+    for (const r of prevRows) {
+      const week = Math.min(Math.floor((r.day - cycle.prevStart) / 7), weeks - 1);
+      for (const s of [seriesOf(null), seriesOf(r.ou0)]) {
+        s.prev ??= new Array(weeks).fill(0);
+        s.prev[week] += 1;
+      }
+    }
+  }
+  const cumulative = (list) => {
+    for (let i = 1; i < list.length; i++) list[i] += list[i - 1];
+    return list;
+  };
+  const byName = (a, b) => a.key.localeCompare(b.key, undefined, { numeric: true });
+  const [total, ...perOu0] = Array.from(series.values());
+  return {
+    weekStarts: Array.from({ length: weeks }, (_, i) => dayToIso(cycle.start + i * 7)),
+    asOfWeek,
+    series: [total, ...perOu0.sort(byName)].map((s) => ({
+      key: s.key,
+      current: cumulative(s.current),
+      prev: s.prev && cumulative(s.prev)
+    }))
+  };
+}
+
+/**
+ * Applications so far this cycle against the prev year at the same point:
+ * counted like computePrevYearBase() does, per row path of `rowFields`, up to
+ * the as-of date (the end of the date range, or else the latest Submission
+ * Date) and up to the same day of the prev year's cycle. `prevRows` is null
+ * when the prev year has no dates to compare. Returns null without any dated
+ * current-year row.
+ */
+function computePacing(currentRows, prevRows, rowFields, { dateRange, cycleStart }) {
+  let asOf = dateRange.to ? isoToDay(dateRange.to) : null;
+  if (asOf === null) {
+    for (const r of currentRows) {
+      if (r.day !== null && (asOf === null || r.day > asOf)) asOf = r.day;
+    }
+  }
+  if (asOf === null) return null;
+
+  const cycle = paceCycle(asOf, cycleStart);
+  const within = (rows, from, to) => (rows || []).filter((r) => r.applicationKey && r.day >= from && r.day <= to);
+  const current = within(currentRows, cycle.start, asOf);
+  const prevCycle = prevRows && within(prevRows, cycle.prevStart, cycle.start - 1);
+  const compared = !!prevCycle?.length;
+  const prev = compared ? prevCycle.filter((r) => r.day <= cycle.prevAsOf) : [];
+  return {
+    summary: {
+      asOf: dayToIso(asOf),
+      cycleStart,
+      cycleStartDate: dayToIso(cycle.start),
+      prevCycleStartDate: dayToIso(cycle.prevStart),
+      prevAsOf: dayToIso(cycle.prevAsOf),
+      dayOfCycle: cycle.dayOfCycle,
+      compared
+    },
+    current: countByPath(current, rowFields),
+    prev: countByPath(prev, rowFields),
+    weekly: weeklyPace(current, compared ? prevCycle : null, cycle, asOf)
+  };
+}
+
+// Puts { current, prev } application counts to date on every pivot row.
+function attachPace(pivot, pacing) {
+  const paceOf = (path) => {
+    const key = nodePathKey(path);
+    const level = path.length - 1;
+    return { current: pacing.current.levels[level].get(key) ?? 0, prev: pacing.prev.levels[level].get(key) ?? 0 };
+  };
+  const visit = (node) => {
+    node.pace = paceOf(node.path);
+    for (const child of node.children) visit(child);
+  };
+  for (const node of pivot.rowNodes) visit(node);
+  pivot.grandPace = { current: pacing.current.grand, prev: pacing.prev.grand };
+  pivot.pacing = pacing.summary;
+}
+
+// Every OU0 with its OU1s seen in either year, for the targets editor.
+function buildOuIndex(...rowSets) {
+  const index = new Map();
+  for (const rows of rowSets) {
+    for (const r of rows || []) {
+      if (!r.applicationKey) continue;
+      if (!index.has(r.ou0)) index.set(r.ou0, new Set());
+      index.get(r.ou0).add(r.ou1);
+    }
+  }
+  const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+  return Array.from(index.keys())
+    .sort(byName)
+    .map((ou0) => ({ key: ou0, children: Array.from(index.get(ou0)).sort(byName) }));
+}
+
+const TARGET_COLUMN_ALIASES = {
+  ou0: ['ou level 0', 'ou0', 'bg'],
+  ou1: ['ou level 1', 'ou1', 'unit'],
+  target: ['target']
+};
+
+export function readTargetsFile(buf, fileName) {
+  const { workbook } = readWorkbook(buf, fileName);
+  const sheetName = workbook.SheetNames?.[0];
+  if (!sheetName) throw new Error('The targets file has no sheets.');
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: '', raw: false });
+
+  const headerMap = new Map();
+  for (const key of Object.keys(rows[0] || {})) headerMap.set(normalizeHeader(key), key);
+  const resolve = (id) => TARGET_COLUMN_ALIASES[id].map((a) => headerMap.get(a)).find(Boolean);
+  const ou0Col = resolve('ou0');
+  const ou1Col = resolve('ou1');
+  const targetCol = resolve('target');
+  if (!ou0Col || !targetCol) {
+    throw new Error(`Targets file needs “OU Level 0” and “Target” columns (sheet “${sheetName}”).`);
+  }
+
+  const entries = [];
+  let skipped = 0;
+  for (const r of rows) {
+    const ou0 = String(r[ou0Col] ?? '').trim();
+    const ou1 = ou1Col ? String(r[ou1Col] ?? '').trim() : '';
+    const target = parseNumeric(r[targetCol]);
+    if (!ou0 || target === null) {
+      skipped += 1;
+      continue;
+    }
+    entries.push({ path: ou1 ? [ou0, ou1] : [ou0], target });
+  }
+  return { entries, skipped, sheetName };
+}
+
+function fieldValue(row, key) {
+  const header = extraFieldHeader(key);
+  return header === null ? row[key] ?? '' : row.extra[header] ?? '';
+}
+
+function sortColumnKeys(columnField, keys, statuses = DEFAULT_STATUS_SETTINGS) {
+  if (columnField === 'status') return sortStatuses(keys, statuses);
+  return Array.from(new Set(keys)).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+function newPivotNode(key, path, agg, compare) {
+  return {
+    key,
+    path,
+    agg: newAggRecord(agg),
+    prevAgg: compare ? newAggRecord(agg) : null,
+    inCurrent: false,
+    inPrev: false,
+    children: new Map(),
+    // Positions of the rows ending up in this node, on the deepest level
+    // only; drill-through gathers them from the leaves below a node.
+    rowIndexes: null,
+    prevRowIndexes: null
+  };
+}
+
+function childNode(parent, key, agg) {
+  if (!parent.children.has(key)) {
+    parent.children.set(key, newPivotNode(key, [...parent.path, key], agg, !!parent.prevAgg));
+  }
+  return parent.children.get(key);
+}
+
+function finalizePivotNode(node, agg, columns, buckets) {
+  const children = Array.from(node.children.values())
+    .sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }))
+    .map((child) => finalizePivotNode(child, agg, columns, buckets));
+  const out = {
+    key: node.key,
+    path: node.path,
+    agg: finalizeAggRecord(node.agg, agg, columns, buckets),
+    children
+  };
+  if (node.prevAgg) {
+    out.prevAgg = finalizeAggRecord(node.prevAgg, agg, columns, buckets);
+    out.presence = node.inCurrent && node.inPrev ? 'both' : node.inCurrent ? 'current' : 'prev';
+  }
+  return out;
+}
+
+// Status columns that share a bucket are placed next to each other, in the
+// position of the first one; returns the columns and the buckets present.
+function groupBucketColumns(columns, statuses) {
+  const ordered = [];
+  const buckets = [];
+  for (const c of columns) {
+    if (ordered.includes(c)) continue;
+    const name = statusBucket(c, statuses);
+    if (name === null) {
+      ordered.push(c);
+      continue;
+    }
+    const members = columns.filter((m) => statusBucket(m, statuses) === name);
+    ordered.push(...members);
+    buckets.push({ name, columns: members });
+  }
+  return { columns: ordered, buckets };
+}
+
+/**
+ * Aggregates `rows` into the row tree of `config`.
+ * - `prevRows`: every node also carries `prevAgg`, the same aggregation over
+ *   the prev-year rows, and `presence` telling which years it occurs in.
+ * - `hiddenColumnKeys`: column values (normalized) that only count toward
+ *   totals.
+ * - `statuses`: status settings; their buckets get a subtotal per record
+ *   (`byBucket`) when the columns are statuses.
+ * Returns the pivot to render and `workTree`, the tree drill-through reads
+ * the rows behind a value from (see pivotCellRows()).
+ */
+function buildPivot(rows, config, { prevRows = null, hiddenColumnKeys = new Set(), statuses } = {}) {
+  const { rows: rowFields, column: columnField, value } = config;
+  const agg = value.agg;
+  const compare = Array.isArray(prevRows);
+  const bucketsOn = columnField === 'status' && !!statuses?.buckets?.length;
+  const filtered = rows.filter((r) => r.applicationKey.length > 0);
+
+  const root = newPivotNode('', [], agg, compare);
+  const columnKeys = new Set();
+  const hiddenColumns = new Set();
+
+  // The column, hidden column and bucket a row counts in, and its value.
+  const placeRow = (r) => {
+    const raw = columnField ? normalizeCell(fieldValue(r, columnField)) : null;
+    const hidden = raw !== null && hiddenColumnKeys.has(filterValueKey(raw));
+    const columnKey = hidden ? null : raw;
+    const bucket = bucketsOn && columnKey !== null ? statusBucket(columnKey, statuses) : null;
+    const v = value.field ? fieldValue(r, value.field) : r.applicationKey;
+    return { columnKey, hiddenKey: hidden ? raw : null, bucket, value: v };
+  };
+
+  const addRow = (r, index, year) => {
+    const { columnKey, hiddenKey, bucket, value: v } = placeRow(r);
+    if (hiddenKey !== null) hiddenColumns.add(hiddenKey);
+    if (columnKey !== null) columnKeys.add(columnKey);
+    const recordOf = (node) => (year === 'prev' ? node.prevAgg : node.agg);
+    const flag = year === 'prev' ? 'inPrev' : 'inCurrent';
+
+    addToAggRecord(recordOf(root), agg, columnKey, v, bucket);
+    let node = root;
+    for (const field of rowFields) {
+      node = childNode(node, normalizeCell(fieldValue(r, field)), agg);
+      node[flag] = true;
+      addToAggRecord(recordOf(node), agg, columnKey, v, bucket);
+    }
+    const indexes = year === 'prev' ? 'prevRowIndexes' : 'rowIndexes';
+    (node[indexes] ??= []).push(index);
+  };
+
+  filtered.forEach((r, i) => addRow(r, i, 'current'));
+  const prevKeyed = compare ? prevRows.filter((r) => r.applicationKey.length > 0) : null;
+  prevKeyed?.forEach((r, i) => addRow(r, i, 'prev'));
+
+  const sorted = columnField ? sortColumnKeys(columnField, Array.from(columnKeys), statuses) : [];
+  const { columns, buckets } = bucketsOn ? groupBucketColumns(sorted, statuses) : { columns: sorted, buckets: [] };
+  const tree = finalizePivotNode(root, agg, columns, buckets);
+
+  const pivot = {
+    config,
+    columns,
+    columnBuckets: buckets,
+    hiddenColumns: columnField ? sortColumnKeys(columnField, Array.from(hiddenColumns), statuses) : [],
+    grandAgg: tree.agg,
+    prevGrandAgg: tree.prevAgg ?? null,
+    compare,
+    rowNodes: tree.children,
+    filteredCount: filtered.length,
+    totalCount: rows.length
+  };
+  root.sourceRows = { current: filtered, prev: prevKeyed };
+  root.placeRow = placeRow;
+  return { pivot, workTree: root };
+}
+
+// Rows behind one value of `node` in `workTree`, in file order: those of the
+// leaves below it that count in `column` or `bucket` (the total when neither)
+// with a value to aggregate.
+function pivotCellRows(workTree, node, { column, bucket, year }) {
+  const source = year === 'prev' ? workTree.sourceRows.prev : workTree.sourceRows.current;
+  if (!source) return [];
+  const indexes = [];
+  const gather = (n) => {
+    const list = year === 'prev' ? n.prevRowIndexes : n.rowIndexes;
+    if (list) for (const i of list) indexes.push(i);
+    n.children.forEach(gather);
+  };
+  gather(node);
+  indexes.sort((a, b) => a - b);
+
+  const rows = [];
+  for (const i of indexes) {
+    const r = source[i];
+    const place = workTree.placeRow(r);
+    if (!String(place.value ?? '').trim().length) continue;
+    if (bucket ? place.bucket !== bucket : column !== null && column !== undefined && place.columnKey !== column) continue;
+    rows.push(r);
+  }
+  return rows;
+}
+
+const OU_LEVELS = ['ou0', 'ou1', 'ou2'];
+
+// Names are compared without case, spacing or punctuation ("R&D Labs" and
+// "R & D labs" are the same OU).
+function ouNameKey(name) {
+  return String(name ?? '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function nameBigrams(s) {
+  const grams = new Map();
+  for (let i = 0; i < s.length - 1; i++) {
+    const g = s.slice(i, i + 2);
+    grams.set(g, (grams.get(g) ?? 0) + 1);
+  }
+  return grams;
+}
+
+// Dice coefficient over character bigrams, 0..1.
+function nameSimilarity(a, b) {
+  const ka = ouNameKey(a);
+  const kb = ouNameKey(b);
+  if (!ka || !kb) return 0;
+  if (ka === kb) return 1;
+  const ga = nameBigrams(ka);
+  const gb = nameBigrams(kb);
+  let shared = 0;
+  ga.forEach((n, g) => {
+    shared += Math.min(n, gb.get(g) ?? 0);
+  });
+  const total = Math.max(ka.length - 1, 0) + Math.max(kb.length - 1, 0);
+  return total ? (2 * shared) / total : 0;
+}
+
+function childOverlap(a, b) {
+  const ka = new Set(Array.from(a.children.keys()).filter((k) => k !== '(blank)').map(ouNameKey));
+  const kb = new Set(Array.from(b.children.keys()).filter((k) => k !== '(blank)').map(ouNameKey));
+  if (!ka.size || !kb.size) return 0;
+  let shared = 0;
+  ka.forEach((k) => {
+    if (kb.has(k)) shared += 1;
+  });
+  // One shared sub-unit name (often a generic one) says little.
+  return shared < 2 ? 0 : shared / (ka.size + kb.size - shared);
+}
+
+const RENAME_MIN_SCORE = 0.6;
+
+function ouTree(rows) {
+  const root = { count: 0, children: new Map() };
+  for (const r of rows) {
+    if (!r.applicationKey) continue;
+    root.count += 1;
+    let node = root;
+    for (const level of OU_LEVELS) {
+      const key = r[level];
+      if (!node.children.has(key)) node.children.set(key, { count: 0, children: new Map() });
+      node = node.children.get(key);
+      node.count += 1;
+    }
+  }
+  return root;
+}
+
+/**
+ * OUs that occur in only one of the two years, walking OU0 → OU1 → OU2 under
+ * parents both years share. An OU that disappeared and a new sibling with a
+ * similar name (or mostly the same sub-units) are reported as a rename.
+ */
+function compareOuHierarchy(currentRows, prevRows) {
+  const changes = [];
+  const walk = (cur, prev, path, depth) => {
+    if (depth >= OU_LEVELS.length) return;
+    const added = Array.from(cur.children.keys()).filter((k) => !prev.children.has(k));
+    const gone = Array.from(prev.children.keys()).filter((k) => !cur.children.has(k));
+
+    const pairs = [];
+    for (const g of gone) {
+      for (const a of added) {
+        const score = Math.max(nameSimilarity(g, a), childOverlap(prev.children.get(g), cur.children.get(a)));
+        if (score >= RENAME_MIN_SCORE) pairs.push({ from: g, to: a, score });
+      }
+    }
+    pairs.sort((x, y) => y.score - x.score);
+    const renamedFrom = new Map();
+    const renamedTo = new Map();
+    for (const p of pairs) {
+      if (renamedFrom.has(p.to) || renamedTo.has(p.from)) continue;
+      renamedFrom.set(p.to, p.from);
+      renamedTo.set(p.from, p.to);
+    }
+
+    const level = OU_LEVELS[depth];
+    for (const a of added) {
+      const from = renamedFrom.get(a);
+      changes.push({
+        change: from === undefined ? 'new' : 'renamed',
+        level,
+        path: [...path, a],
+        prevPath: from === undefined ? null : [...path, from],
+        current: cur.children.get(a).count,
+        prev: from === undefined ? 0 : prev.children.get(from).count
+      });
+    }
+    for (const g of gone) {
+      if (renamedTo.has(g)) continue;
+      changes.push({
+        change: 'gone',
+        level,
+        path: [...path, g],
+        prevPath: [...path, g],
+        current: 0,
+        prev: prev.children.get(g).count
+      });
+    }
+
+    cur.children.forEach((child, key) => {
+      if (prev.children.has(key)) walk(child, prev.children.get(key), [...path, key], depth + 1);
+    });
+  };
+  walk(ouTree(currentRows), ouTree(prevRows), [], 0);
+  return changes;
+}
+
+// Levels the snapshot diff breaks its per-OU deltas down to (OU0, OU0/OU1).
+const SNAPSHOT_OU_DEPTH = 2;
+
+/**
+ * Applications of the current file matched by Application Key to an earlier
+ * snapshot of the same year, as { key, before, after } with one row per key
+ * and side (picked by the duplicate rule) and null where the key is missing.
+ * The slicers apply except for status, so a status change never reads as a
+ * new or removed application; a key counts if either side passes them.
+ */
+function pairSnapshots(currentRows, snapshotRows, options) {
+  const pickRow = applicationRowPicker(options);
+  const pick = (rows) => {
+    const byKey = new Map();
+    groupByApplicationKey(rows).forEach((list, key) => byKey.set(key, pickRow(list)));
+    return byKey;
+  };
+  const after = pick(currentRows);
+  const before = pick(snapshotRows);
+  const filters = { ...options.filters };
+  delete filters.status;
+  const kept = new Set(applyFilters([...after.values(), ...before.values()], { ...options, filters }));
+  const pairs = [];
+  for (const key of new Set([...before.keys(), ...after.keys()])) {
+    const pair = { key, before: before.get(key) ?? null, after: after.get(key) ?? null };
+    if (kept.has(pair.before) || kept.has(pair.after)) pairs.push(pair);
+  }
+  return pairs.sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+}
+
+const SNAPSHOT_MEASURES = ['before', 'after', 'added', 'removed', 'statusChanged', 'movedIn', 'movedOut'];
+
+/**
+ * The counts one pair adds to, as [path, measure] for Grand Total (empty
+ * path), its OU0 and its OU0/OU1 on either side. An application in both
+ * snapshots that changed OU moved out of one and into the other; one that
+ * stayed may have changed status.
+ */
+function snapshotEffects({ before, after }) {
+  const effects = [];
+  for (let depth = 0; depth <= SNAPSHOT_OU_DEPTH; depth++) {
+    const from = before && OU_LEVELS.slice(0, depth).map((level) => before[level]);
+    const to = after && OU_LEVELS.slice(0, depth).map((level) => after[level]);
+    if (from) effects.push([from, 'before']);
+    if (to) effects.push([to, 'after']);
+    if (!from) effects.push([to, 'added']);
+    else if (!to) effects.push([from, 'removed']);
+    else if (nodePathKey(from) !== nodePathKey(to)) effects.push([to, 'movedIn'], [from, 'movedOut']);
+    else if (before.status !== after.status) effects.push([to, 'statusChanged']);
+  }
+  return effects;
+}
+
+// Tree order with Grand Total (the empty path) last.
+function comparePaths(a, b) {
+  if (!a.length || !b.length) return b.length - a.length;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    const order = a[i].localeCompare(b[i], undefined, { numeric: true });
+    if (order) return order;
+  }
+  return a.length - b.length;
+}
+
+/**
+ * What moved between the snapshot and the current file: `transitions.counts`
+ * holds applications by status before (row) and after (column) over
+ * `statuses` in column order, with a last row for new applications and a
+ * last column for removed ones; `ous` has the SNAPSHOT_MEASURES counts for
+ * Grand Total (empty path) and every OU0 and OU0/OU1 either side has, in
+ * tree order.
+ */
+function summarizeSnapshots(pairs, statusSettings) {
+  const statuses = sortStatuses(
+    pairs.flatMap((p) => [p.before?.status, p.after?.status]).filter((s) => s !== undefined),
+    statusSettings
+  );
+  const index = new Map(statuses.map((s, i) => [s, i]));
+  const slot = (row) => (row ? index.get(row.status) : statuses.length);
+  const counts = Array.from({ length: statuses.length + 1 }, () => new Array(statuses.length + 1).fill(0));
+  const byPath = new Map();
+  for (const p of pairs) {
+    counts[slot(p.before)][slot(p.after)] += 1;
+    for (const [path, measure] of snapshotEffects(p)) {
+      const key = nodePathKey(path);
+      if (!byPath.has(key)) byPath.set(key, { path, ...Object.fromEntries(SNAPSHOT_MEASURES.map((m) => [m, 0])) });
+      byPath.get(key)[measure] += 1;
+    }
+  }
+  const ous = [...byPath.values()].sort((a, b) => comparePaths(a.path, b.path));
+  return { keyCount: pairs.length, statuses, transitions: { counts }, ous };
+}
+
+const QUALITY_SAMPLE_LIMIT = 5;
+
+function qualitySample(r) {
+  return {
+    source: r.source,
+    rowNumber: r.rowNumber,
+    applicationKey: r.applicationKey,
+    ou0: r.ou0,
+    ou1: r.ou1,
+    ou2: r.ou2,
+    status: r.status
+  };
+}
+
+function countValues(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) ?? 0) + 1);
+  return Array.from(counts, ([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count);
+}
+
+// OU values that collapse to the same key differ only in case or spacing.
+function spacingKey(v) {
+  return String(v).toLowerCase().replace(/\s+/g, '');
+}
+
+/**
+ * Data-quality checks for one year's rows, each with a count and a few sample
+ * rows. `prepared` is applyDataOptions() output for the same rows, so rows it
+ * merged or the slicers dropped are reported too.
+ */
+function buildQualityReport(rows, prepared, mapping, options) {
+  const checks = [];
+  const add = (id, label, list, extra = {}) => {
+    checks.push({
+      id,
+      label,
+      count: list.length,
+      samples: list.slice(0, QUALITY_SAMPLE_LIMIT).map(qualitySample),
+      ...extra
+    });
+  };
+
+  add(
+    'missingKey',
+    'Rows without an Application Key (left out of every count)',
+    rows.filter((r) => !r.applicationKey)
+  );
+
+  const keyed = rows.filter((r) => r.applicationKey);
+  const ouLevels = FIELD_DEFS.filter((f) => OU_LEVELS.includes(f.id) && mapping?.columns?.[f.id]);
+  for (const f of ouLevels) {
+    add(`blank-${f.id}`, `Blank ${f.label} (shown as “(blank)”)`, keyed.filter((r) => r[f.id] === '(blank)'));
+  }
+
+  if (isDated(mapping)) {
+    add(
+      'undated',
+      'Rows without a readable Submission Date (left out of pacing and date ranges)',
+      keyed.filter((r) => r.day === null)
+    );
+  }
+
+  const unknown = keyed.filter((r) => !isKnownStatus(r.rawStatus, options.statuses));
+  add('unknownStatus', 'Statuses not in the known list', unknown, {
+    values: countValues(unknown.map((r) => r.rawStatus))
+  });
+
+  const groups = [];
+  for (const f of ouLevels) {
+    const variants = new Map();
+    for (const { value, count } of countValues(keyed.map((r) => r[f.id]))) {
+      const key = spacingKey(value);
+      if (!variants.has(key)) variants.set(key, []);
+      variants.get(key).push({ value, count });
+    }
+    variants.forEach((list) => {
+      if (list.length > 1) groups.push({ level: f.label, variants: list });
+    });
+  }
+  checks.push({
+    id: 'nearDuplicateOu',
+    label: 'OU names that differ only in case or spacing',
+    count: groups.length,
+    samples: [],
+    groups
+  });
+
+  if (options.distinctApplications) {
+    const deduped = new Set(prepared.deduped);
+    add(
+      'mergedDuplicates',
+      'Duplicate rows not counted (one row per Application Key)',
+      keyed.filter((r) => !deduped.has(r))
+    );
+  }
+  const kept = new Set(prepared.kept);
+  add(
+    'filteredOut',
+    'Rows excluded by filters',
+    prepared.deduped.filter((r) => r.applicationKey && !kept.has(r))
+  );
+
+  return { rowCount: rows.length, checks };
+}
+
+/**
+ * The rows of both years plus what aggregation needs to know about them.
+ * `current` and `prev` are readRowsFromWorkbook() results with the mapping
+ * they were read with; `prev` is null without a prev-year file. `snapshot`,
+ * also optional, is an earlier extract of the current year to diff against.
+ */
+export function createDataset(current, prev = null, snapshot = null) {
+  return {
+    currentRows: current.rows,
+    prevRows: prev?.rows ?? null,
+    snapshotRows: snapshot?.rows ?? null,
+    currentMapping: current.mapping,
+    prevMapping: prev?.mapping ?? null,
+    fields: buildFieldList(current.mapping, current.headers),
+    // Unmapped columns read so far; readExtraColumns() adds to the list.
+    extraHeaders: current.extras,
+    sheetNames: { current: current.sheetNames, prev: prev?.sheetNames ?? [], snapshot: snapshot?.sheetNames ?? [] },
+    workTree: null,
+    snapshotPairs: null
+  };
+}
+
+// What only changes with the files: sheets read, duplicate keys and the OUs
+// offered in the targets editor.
+export function describeDataset(dataset) {
+  return {
+    sheetNames: dataset.sheetNames,
+    duplicates: {
+      current: findDuplicates(dataset.currentRows),
+      prev: findDuplicates(dataset.prevRows || [])
+    },
+    ouIndex: buildOuIndex(dataset.currentRows, dataset.prevRows)
+  };
+}
+
+export function aggregateDataset(dataset, { config, options, slicerFields }, progress = () => {}) {
+  progress({ stage: 'aggregating', total: dataset.currentRows.length + (dataset.prevRows?.length ?? 0) });
+  const effective = normalizePivotConfig(config ?? DEFAULT_PIVOT_CONFIG, dataset.fields);
+  const dataOptions = { ...DEFAULT_DATA_OPTIONS, ...options };
+  dataOptions.statuses = normalizeStatusSettings(dataOptions.statuses);
+  applyStatusAliases(dataset.currentRows, dataOptions.statuses);
+  applyStatusAliases(dataset.prevRows, dataOptions.statuses);
+  applyStatusAliases(dataset.snapshotRows, dataOptions.statuses);
+  dataOptions.dateRange = normalizeDateRange(dataOptions.dateRange);
+  dataOptions.cycleStart = normalizeCycleStart(dataOptions.cycleStart);
+  // A prev-year file without dates is neither filtered by the range nor paced.
+  const currentDated = isDated(dataset.currentMapping);
+  const prevDated = isDated(dataset.prevMapping);
+  const ranged = currentDated && hasDateRange(dataOptions.dateRange);
+  const current = applyDataOptions(dataset.currentRows, dataOptions, ranged ? dayRange(dataOptions.dateRange) : null);
+  const prev =
+    dataset.prevRows &&
+    applyDataOptions(dataset.prevRows, dataOptions, ranged && prevDated ? dayRange(dataOptions.dateRange, -1) : null);
+  const currentRows = current.kept;
+  const prevRows = prev?.kept ?? null;
+  const hidden = effective.column === 'status' ? hiddenStatusKeys(dataOptions) : new Set();
+  const { pivot, workTree } = buildPivot(currentRows, effective, {
+    prevRows: dataOptions.compareYears ? prevRows : null,
+    hiddenColumnKeys: hidden,
+    statuses: dataOptions.statuses
+  });
+  pivot.totalCount = dataset.currentRows.length;
+  pivot.ou0Keys = [...new Set(currentRows.map((r) => r.ou0))];
+  if (ranged) pivot.dateRange = dataOptions.dateRange;
+  dataset.workTree = workTree;
+  const pacing = currentDated
+    ? computePacing(currentRows, prevDated ? prevRows : null, effective.rows, dataOptions)
+    : null;
+  if (pacing) attachPace(pivot, pacing);
+  dataset.snapshotPairs = dataset.snapshotRows
+    ? pairSnapshots(dataset.currentRows, dataset.snapshotRows, dataOptions)
+    : null;
+
+  const known = new Set(dataset.fields.map((f) => f.key));
+  const slicers = (slicerFields ?? DEFAULT_SLICER_FIELDS).filter((k) => known.has(k));
+  return {
+    pivot,
+    fields: dataset.fields,
+    slicers: collectSlicerValues(dataset.currentRows, dataset.prevRows, slicers, dataOptions.statuses),
+    rawStatuses: collectRawStatuses(dataset.currentRows, dataset.prevRows, dataOptions.statuses),
+    prev: computePrevYearBase(prevRows),
+    ouChanges: prevRows ? compareOuHierarchy(currentRows, prevRows) : null,
+    quality: {
+      current: buildQualityReport(dataset.currentRows, current, dataset.currentMapping, dataOptions),
+      prev: prev && buildQualityReport(dataset.prevRows, prev, dataset.prevMapping, dataOptions)
+    },
+    weeklyPace: pacing?.weekly ?? null,
+    snapshotDiff: dataset.snapshotPairs && summarizeSnapshots(dataset.snapshotPairs, dataOptions.statuses),
+    options: dataOptions
+  };
+}
+
+const DRILL_FIELDS = ['applicationKey', 'ou0', 'ou1', 'ou2', 'status'];
+
+// Source rows behind one value of the last aggregated pivot: the node at
+// `path` (empty for Grand Total), one column, a status bucket or the total,
+// this or prev year.
+export function drillRows(dataset, { path, column, bucket, year }) {
+  if (!dataset?.workTree) throw new Error('No pivot to drill into.');
+  let node = dataset.workTree;
+  for (const key of path || []) {
+    node = node.children.get(key);
+    if (!node) throw new Error('That row is no longer in the pivot.');
+  }
+
+  const ids = isDated(dataset.currentMapping) ? [...DRILL_FIELDS, 'submittedAt'] : DRILL_FIELDS;
+  const fields = ids.map((id) => FIELD_DEFS.find((f) => f.id === id));
+  const extras = dataset.fields
+    .map((f) => extraFieldHeader(f.key))
+    .filter((h) => h !== null && dataset.extraHeaders.includes(h));
+  const header = [...fields.map((f) => f.label), ...extras, 'Source', 'Sheet Row'];
+  const rows = pivotCellRows(dataset.workTree, node, { column, bucket, year }).map((r) => [
+    ...fields.map((f) => r[f.id]),
+    ...extras.map((h) => r.extra[h] ?? ''),
+    r.source,
+    r.rowNumber
+  ]);
+  return { header, rows };
+}
+
+/**
+ * The applications behind one count of the last snapshot diff: a transition
+ * cell ({ from, to }, null for new or removed) or an OU's measure
+ * ({ path, measure }, empty path for Grand Total), one row per key.
+ */
+export function snapshotDrillRows(dataset, { from, to, path, measure }) {
+  if (!dataset?.snapshotPairs) throw new Error('No snapshot to compare with.');
+  const matches = measure
+    ? (p) => snapshotEffects(p).some(([at, m]) => m === measure && nodePathKey(at) === nodePathKey(path || []))
+    : (p) => (p.before?.status ?? null) === from && (p.after?.status ?? null) === to;
+  const header = ['Application Key', 'OU Level 0', 'OU Level 1', 'OU Level 2', 'Status', 'Snapshot Status', 'Snapshot OU'];
+  const rows = dataset.snapshotPairs.filter(matches).map(({ key, before, after }) => {
+    const row = after ?? before;
+    const moved = before && after && OU_LEVELS.some((level) => before[level] !== after[level]);
+    return [
+      key,
+      ...OU_LEVELS.map((level) => row[level]),
+      after?.status ?? '',
+      before?.status ?? '',
+      moved ? OU_LEVELS.map((level) => before[level]).join(' / ') : ''
+    ];
+  });
+  return { header, rows };
+}
@@ -0,0 +1,666 @@
+import { FIELD_DEFS } from './columnMapping.js';
+import {
+  AGGREGATIONS,
+  DEFAULT_PIVOT_CONFIG,
+  DUPLICATE_RULES,
+  describeFilters,
+  fieldLabel,
+  isCountAggregation,
+  isDefaultPivotConfig,
+  nodePathKey
+} from './pivotConfig.js';
+import {
+  DEFAULT_FORMAT_RULES,
+  describeHighlight,
+  formatLegend,
+  pivotCellFormatter,
+  ragBand
+} from './formatRules.js';
+import { compileMeasures } from './measures.js';
+import { describeDateRange, describePace, describePacing, paceRatio } from './pacing.js';
+import { TARGET_SOURCE_LABELS, resolveRowTarget, targetProgress, targetRatio } from './targets.js';
+
+// Turns an aggregated pivot into the rows and value columns the on-screen
+// table and every export show. DOM-free, so the command-line tool builds the
+// same report as the browser.
+
+export function formatNumber(n) {
+  return new Intl.NumberFormat('en-US').format(n);
+}
+
+export function rowHeaderLabel(config, fields) {
+  if (isDefaultPivotConfig({ ...DEFAULT_PIVOT_CONFIG, rows: config.rows })) return 'BG-Unit-Subunit';
+  if (!config.rows.length) return '';
+  return config.rows.map((k) => fieldLabel(fields, k)).join(' / ');
+}
+
+const ROW_KINDS = ['group0', 'group1', 'group2'];
+
+// Every pivot row in display order, including rows under collapsed nodes
+// (flagged `hidden`), followed by the Grand Total row. `isExpanded(node)`
+// tells which nodes show their children.
+export function collectPivotRows(pivot, isExpanded = () => true) {
+  const rows = [];
+  const visit = (node, level, hidden) => {
+    rows.push({
+      node,
+      label: node.key,
+      level,
+      kind: ROW_KINDS[level] ?? 'normal',
+      agg: node.agg,
+      prevAgg: node.prevAgg ?? null,
+      pace: node.pace ?? null,
+      hidden
+    });
+    const childHidden = hidden || !isExpanded(node);
+    for (const child of node.children || []) visit(child, level + 1, childHidden);
+  };
+  for (const node of pivot.rowNodes || []) visit(node, 0, false);
+  rows.push({
+    node: null,
+    label: 'Grand Total',
+    level: 0,
+    kind: 'grand',
+    agg: pivot.grandAgg,
+    prevAgg: pivot.prevGrandAgg ?? null,
+    pace: pivot.grandPace ?? null,
+    hidden: false
+  });
+  return rows;
+}
+
+function yearDelta(row) {
+  const current = row.agg?.total ?? null;
+  const prev = row.prevAgg?.total ?? null;
+  return current === null || prev === null ? null : current - prev;
+}
+
+function yearDeltaRatio(row) {
+  const delta = yearDelta(row);
+  const prev = row.prevAgg?.total ?? null;
+  return delta === null || !prev ? null : delta / Math.abs(prev);
+}
+
+// "Show values as" modes. All but `value` divide each value by a total of the
+// same year: the row's, the column's (its Grand Total row) or the grand total.
+export const SHOW_VALUES_AS = [
+  { id: 'value', label: 'No calculation' },
+  { id: 'row', label: '% of row total' },
+  { id: 'column', label: '% of column total' },
+  { id: 'grand', label: '% of grand total' }
+];
+
+// `withValue` shows the value next to its percentage.
+export const DEFAULT_VALUE_DISPLAY = { showAs: 'value', withValue: false };
+
+function shareOf(v, total) {
+  return v === null || v === undefined || !total ? null : v / total;
+}
+
+// Value columns shared by the table and the exports: one per pivot column
+// (status buckets add a subtotal after their statuses) plus Grand Total, each
+// split into this year / prev year with the change when comparing. `groups`
+// are the headers above `label`; `value(row)` reads a collectPivotRows() entry
+// and `drill` names the bucket of rows the worker can list. Unless `showAs`
+// is 'value', columns also get `share(row)`, the value as a fraction of the
+// total the mode divides by. With dated rows in both years a Pace column
+// follows the totals: applications to date over the prev year's at the same
+// point (`title(row)` explains it). Calculated `measures` that work for this
+// pivot come last, one column per year each.
+export function pivotValueColumns(pivot, { showAs = 'value', measures = [] } = {}) {
+  const buckets = new Map();
+  for (const b of pivot.columnBuckets || []) {
+    for (const c of b.columns) buckets.set(c, b);
+  }
+  const years = pivot.compare
+    ? [
+        { aggKey: 'agg', grand: pivot.grandAgg, year: 'current', label: 'CY', className: '' },
+        { aggKey: 'prevAgg', grand: pivot.prevGrandAgg, year: 'prev', label: 'PY', className: 'prev-year' }
+      ]
+    : [{ aggKey: 'agg', grand: pivot.grandAgg, year: 'current', label: null, className: '' }];
+
+  const totalFor = (row, y, read) => {
+    if (showAs === 'row') return row[y.aggKey]?.total;
+    if (showAs === 'column') return read(y.grand);
+    return y.grand?.total;
+  };
+
+  // One column per year under `groups` + `label` (or just `label`).
+  const perYear = (groups, label, className, read, drill) =>
+    years.map((y) => ({
+      groups: y.label ? [...groups, label] : groups,
+      label: y.label ?? label,
+      className: [className, y.className].filter(Boolean).join(' '),
+      value: (row) => read(row[y.aggKey]),
+      share: showAs === 'value' ? null : (row) => shareOf(read(row[y.aggKey]), totalFor(row, y, read)),
+      drill: { year: y.year, ...drill }
+    }));
+
+  const out = [];
+  for (const c of pivot.columns || []) {
+    const bucket = buckets.get(c);
+    out.push(...perYear(bucket ? [bucket.name] : [], c, '', (agg) => agg?.byColumn?.[c] ?? null, { column: c }));
+    if (bucket && bucket.columns.at(-1) === c) {
+      const read = (agg) => agg?.byBucket?.[bucket.name] ?? null;
+      out.push(...perYear([bucket.name], 'Subtotal', 'bucket-total', read, { bucket: bucket.name }));
+    }
+  }
+  const totals = perYear([], 'Grand Total', 'grand-total', (agg) => agg?.total ?? null, { column: null });
+  for (const t of totals) t.groupClassName = 'grand-total';
+  out.push(...totals);
+  if (pivot.compare) {
+    out.push(
+      {
+        groups: ['Grand Total'],
+        groupClassName: 'grand-total',
+        label: 'Δ',
+        className: 'grand-total',
+        signed: true,
+        value: yearDelta
+      },
+      {
+        groups: ['Grand Total'],
+        groupClassName: 'grand-total',
+        label: 'Δ %',
+        className: 'grand-total',
+        signed: true,
+        percent: true,
+        value: yearDeltaRatio
+      }
+    );
+  }
+  if (pivot.pacing?.compared) {
+    out.push({
+      groups: [],
+      label: 'Pace',
+      className: 'pace',
+      percent: true,
+      pace: true,
+      value: (row) => paceRatio(row.pace),
+      title: (row) => (row.pace ? describePace(row.pace, pivot.pacing) : '')
+    });
+  }
+  for (const m of compileMeasures(measures, pivot).compiled) {
+    for (const y of years) {
+      out.push({
+        groups: y.label ? [m.name] : [],
+        groupClassName: 'measure',
+        label: y.label ?? m.name,
+        className: ['measure', y.className].filter(Boolean).join(' '),
+        percent: m.format === 'percent',
+        measure: true,
+        value: (row) => m.evaluate(row[y.aggKey])
+      });
+    }
+  }
+  return out;
+}
+
+export function formatValue(column, v) {
+  if (v === null || v === undefined) return '';
+  if (column.percent) {
+    return new Intl.NumberFormat('en-US', {
+      style: 'percent',
+      maximumFractionDigits: 1,
+      signDisplay: column.signed ? 'exceptZero' : 'auto'
+    }).format(v);
+  }
+  return column.signed && v > 0 ? `+${formatNumber(v)}` : formatNumber(v);
+}
+
+const SHARE_COLUMN = { percent: true };
+
+// Table cell text: the value, its share, or both as "12 (34.5%)".
+export function formatCell(column, row, { withValue = false } = {}) {
+  const v = column.value(row);
+  if (!column.share) return formatValue(column, v);
+  const share = formatValue(SHARE_COLUMN, column.share(row));
+  if (!withValue || v === null || v === undefined) return share;
+  return share ? `${formatValue(column, v)} (${share})` : formatValue(column, v);
+}
+
+// Row order on top of the pivot's own (alphabetical) one: `sortKey` sorts
+// every level by a column, and `rankMode` 'top' / 'bottom' keeps the first
+// `rankN` rows of the first level by `rankKey`, folding the rest into Others.
+// Keys are ROW_SORT_KEYS or a value column's sortKey().
+export const DEFAULT_ROW_ORDER = {
+  sortKey: null,
+  sortDir: 'desc',
+  rankMode: 'all',
+  rankN: 10,
+  rankKey: 'Grand Total'
+};
+
+export const ROW_SORT_KEYS = { label: '#label', target: '#target', progress: '#progress' };
+
+export const RANK_MODES = [
+  { id: 'all', label: 'All rows' },
+  { id: 'top', label: 'Top' },
+  { id: 'bottom', label: 'Bottom' }
+];
+
+export function sortKey(column) {
+  return [...(column.groups || []), column.label].join(' / ');
+}
+
+// What the rows can be sorted and ranked by, for pivotValueColumns() `columns`.
+export function rowSortOptions(columns, { showTarget }) {
+  return [
+    ...columns.map((c) => ({ key: sortKey(c), label: sortKey(c) })),
+    ...(showTarget
+      ? [
+          { key: ROW_SORT_KEYS.target, label: 'Target' },
+          { key: ROW_SORT_KEYS.progress, label: 'Progress %' }
+        ]
+      : [])
+  ];
+}
+
+// Reads the sort value of a row node; `null` sorts last either way.
+function sortReader(key, { columns, config, targets }) {
+  if (key === ROW_SORT_KEYS.label) return (node) => node.key;
+  if (key === ROW_SORT_KEYS.target || key === ROW_SORT_KEYS.progress) {
+    return (node) => {
+      const target = resolveRowTarget(node, 'group', config, targets).value;
+      if (target === null) return null;
+      return key === ROW_SORT_KEYS.target ? target : targetRatio(Number(node.agg?.total ?? 0), target);
+    };
+  }
+  // A key without the year ("Grand Total") means the current year's column
+  // when comparing, so rankings saved without years keep working.
+  const column =
+    columns.find((c) => sortKey(c) === key) ?? columns.find((c) => sortKey(c).startsWith(`${key} / `));
+  if (!column) return null;
+  // Sort by what the cell shows: its share when showing percentages.
+  return (node) => (column.share ? column.share(node) : column.value(node));
+}
+
+function compareSortValues(a, b, dir) {
+  if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1;
+  if (b === null || b === undefined) return -1;
+  const order =
+    typeof a === 'string' || typeof b === 'string'
+      ? String(a).localeCompare(String(b), undefined, { numeric: true })
+      : a - b;
+  return dir === 'asc' ? order : -order;
+}
+
+// Combines the aggregates of folded rows where the aggregation allows it;
+// averages and distinct counts cannot be rebuilt from per-row results.
+function foldAggs(aggs, agg) {
+  const present = aggs.filter(Boolean);
+  if (!present.length) return null;
+  const combine = { count: (a, b) => a + b, sum: (a, b) => a + b, min: Math.min, max: Math.max }[agg];
+  const fold = (read) => {
+    if (!combine) return null;
+    const values = present.map(read).filter((v) => v !== null && v !== undefined);
+    return values.length ? values.reduce((a, b) => combine(a, b)) : null;
+  };
+  const keys = (field) => [...new Set(present.flatMap((a) => Object.keys(a[field] || {})))];
+  return {
+    byColumn: Object.fromEntries(keys('byColumn').map((k) => [k, fold((a) => a.byColumn?.[k])])),
+    byBucket: Object.fromEntries(keys('byBucket').map((k) => [k, fold((a) => a.byBucket?.[k])])),
+    total: fold((a) => a.total)
+  };
+}
+
+function foldPace(nodes) {
+  if (!nodes.every((n) => n.pace)) return null;
+  return nodes.reduce((a, n) => ({ current: a.current + n.pace.current, prev: a.prev + n.pace.prev }), {
+    current: 0,
+    prev: 0
+  });
+}
+
+function othersNode(nodes, agg) {
+  const key = `Others (${nodes.length})`;
+  return {
+    key,
+    path: [key],
+    agg: foldAggs(nodes.map((n) => n.agg), agg),
+    prevAgg: foldAggs(nodes.map((n) => n.prevAgg), agg),
+    pace: foldPace(nodes),
+    children: [],
+    // The rows folded in; targets add up over them (see resolveRowTarget()).
+    folded: nodes
+  };
+}
+
+/**
+ * `pivot` with its rows in `order` (see DEFAULT_ROW_ORDER); Grand Total
+ * stays last. `columns` come from pivotValueColumns() and `targets` is a
+ * target context. Returns the pivot unchanged for the default order.
+ */
+export function arrangePivotRows(pivot, order, { columns, targets }) {
+  const config = pivot.config ?? DEFAULT_PIVOT_CONFIG;
+  const ctx = { columns, config, targets };
+  const sortBy = order.sortKey ? sortReader(order.sortKey, ctx) : null;
+  const rankBy = order.rankMode !== 'all' ? sortReader(order.rankKey, ctx) : null;
+  if (!sortBy && !rankBy) return pivot;
+
+  const sortLevel = (nodes) => {
+    const sorted = sortBy
+      ? nodes
+          .map((node) => ({ node, v: sortBy(node) }))
+          .sort((a, b) => compareSortValues(a.v, b.v, order.sortDir))
+          .map((e) => e.node)
+      : nodes;
+    return sorted.map((node) => (node.children?.length ? { ...node, children: sortLevel(node.children) } : node));
+  };
+
+  let top = pivot.rowNodes || [];
+  if (rankBy && top.length > order.rankN) {
+    const ranked = top
+      .map((node) => ({ node, v: rankBy(node) }))
+      .sort((a, b) => compareSortValues(a.v, b.v, order.rankMode === 'top' ? 'desc' : 'asc'))
+      .map((e) => e.node);
+    const kept = new Set(ranked.slice(0, order.rankN));
+    // Without a sort the kept rows stay in ranking order.
+    const shown = sortBy ? top.filter((n) => kept.has(n)) : ranked.slice(0, order.rankN);
+    top = [...sortLevel(shown), othersNode(ranked.slice(order.rankN), config.value.agg)];
+  } else {
+    top = sortLevel(top);
+  }
+  return { ...pivot, rowNodes: top };
+}
+
+// Fills in defaults for a saved row order; unknown keys simply sort nothing.
+export function normalizeRowOrder(raw) {
+  const order = raw && typeof raw === 'object' ? raw : {};
+  const n = Number(order.rankN);
+  return {
+    sortKey: typeof order.sortKey === 'string' && order.sortKey ? order.sortKey : null,
+    sortDir: order.sortDir === 'asc' ? 'asc' : 'desc',
+    rankMode: RANK_MODES.some((m) => m.id === order.rankMode) ? order.rankMode : DEFAULT_ROW_ORDER.rankMode,
+    rankN: Number.isInteger(n) && n > 0 ? n : DEFAULT_ROW_ORDER.rankN,
+    rankKey: typeof order.rankKey === 'string' && order.rankKey ? order.rankKey : DEFAULT_ROW_ORDER.rankKey
+  };
+}
+
+const ROW_SORT_LABELS = {
+  [ROW_SORT_KEYS.label]: 'Row label',
+  [ROW_SORT_KEYS.target]: 'Target',
+  [ROW_SORT_KEYS.progress]: 'Progress %'
+};
+
+export function describeRowOrder(order) {
+  const label = (key) => ROW_SORT_LABELS[key] ?? key;
+  const parts = [];
+  if (order.rankMode !== 'all') {
+    const mode = RANK_MODES.find((m) => m.id === order.rankMode)?.label ?? order.rankMode;
+    parts.push(`${mode} ${order.rankN} by ${label(order.rankKey)}, the rest as Others`);
+  }
+  if (order.sortKey) {
+    parts.push(`Sorted by ${label(order.sortKey)} (${order.sortDir === 'asc' ? 'ascending' : 'descending'})`);
+  }
+  return parts.join('; ') || 'As in the data (A–Z)';
+}
+
+const OU_FIELDS = ['ou0', 'ou1', 'ou2'];
+
+// Year-over-year note for a row keyed by OU0 → OU1 → OU2 (or a prefix of it).
+export function yearChangeFor(node, config, ouChanges) {
+  if (!ouChanges || !node) return null;
+  if (!node.path.every((_, i) => config.rows[i] === OU_FIELDS[i])) return null;
+  const key = nodePathKey(node.path);
+  const byPath = ouChanges.find((c) => nodePathKey(c.change === 'gone' ? c.prevPath : c.path) === key);
+  if (byPath) return byPath;
+  // The prev-year side of a rename.
+  return ouChanges.find((c) => c.change === 'renamed' && nodePathKey(c.prevPath) === key) ?? null;
+}
+
+export function describeYearChange(change, node) {
+  if (change.change === 'new') return 'New';
+  if (change.change === 'gone') return 'Not in current year';
+  const renamedFrom = nodePathKey(change.path) === nodePathKey(node.path);
+  return renamedFrom ? `Renamed from ${change.prevPath.at(-1)}` : `Renamed to ${change.path.at(-1)}`;
+}
+
+export function yearBadgeText(node, pivot, ouChanges) {
+  if (!pivot.compare || !node) return null;
+  const change = yearChangeFor(node, pivot.config, ouChanges);
+  if (change) return describeYearChange(change, node);
+  if (node.presence === 'current') return 'New';
+  if (node.presence === 'prev') return 'Not in current year';
+  return null;
+}
+
+function filterLines(filters, dateRange, fields, slicerValues) {
+  const lines = describeFilters(filters, fields, slicerValues);
+  if (dateRange) lines.unshift(`Submission Date: ${describeDateRange(dateRange)}`);
+  return lines;
+}
+
+export function filterCaption(pivot, filters, fields, slicerValues) {
+  const lines = filterLines(filters, pivot.dateRange, fields, slicerValues);
+  if (!lines.length) return '';
+  const hidden = pivot.hiddenColumns?.length ? ' (hidden statuses count toward totals)' : '';
+  return `Filters: ${lines.join('; ')}${hidden}`;
+}
+
+const YEAR_CHANGE_LABELS = {
+  new: 'New',
+  gone: 'Disappeared',
+  renamed: 'Renamed'
+};
+
+export const YEAR_CHANGE_HEADER = ['Change', 'Level', 'Current Year OU', 'Prev Year OU', 'Current Year', 'Prev Year'];
+
+export function yearChangeRows(ouChanges) {
+  const levelLabel = (level) => FIELD_DEFS.find((f) => f.id === level)?.label ?? level;
+  return (ouChanges || []).map((c) => [
+    YEAR_CHANGE_LABELS[c.change],
+    levelLabel(c.level),
+    c.change === 'gone' ? '' : c.path.join(' / '),
+    c.change === 'new' ? '' : c.prevPath.join(' / '),
+    c.current,
+    c.prev
+  ]);
+}
+
+// The per-OU columns of the snapshot diff, by the count they show.
+export const SNAPSHOT_COLUMNS = [
+  { measure: 'before', label: 'Snapshot' },
+  { measure: 'after', label: 'Current' },
+  { measure: 'added', label: 'New' },
+  { measure: 'removed', label: 'Removed' },
+  { measure: 'statusChanged', label: 'Status Changed' },
+  { measure: 'movedIn', label: 'Moved In' },
+  { measure: 'movedOut', label: 'Moved Out' }
+];
+
+export const SNAPSHOT_OU_HEADER = ['OU', ...SNAPSHOT_COLUMNS.map((c) => c.label), 'Change'];
+
+export function snapshotOuLabel(path) {
+  return path.length ? path.join(' / ') : 'Grand Total';
+}
+
+export function snapshotOuRows(diff) {
+  return diff.ous.map((ou) => [snapshotOuLabel(ou.path), ...SNAPSHOT_COLUMNS.map((c) => ou[c.measure]), ou.after - ou.before]);
+}
+
+/**
+ * The status transition matrix as a sheet: a row per snapshot status (then
+ * New) and a column per current status (then Removed).
+ */
+export function snapshotTransitionTable(diff) {
+  const header = ['Snapshot Status', ...diff.statuses, 'Removed'];
+  const rows = diff.transitions.counts.map((counts, i) => [diff.statuses[i] ?? 'New', ...counts]);
+  return { header, rows };
+}
+
+export function describeSnapshotDiff(diff) {
+  const grand = diff.ous.find((ou) => !ou.path.length);
+  // Moves are counted at the deepest level listed, so each is counted once.
+  const depth = Math.max(0, ...diff.ous.map((ou) => ou.path.length));
+  const moved = diff.ous.filter((ou) => depth && ou.path.length === depth).reduce((n, ou) => n + ou.movedIn, 0);
+  const parts = [
+    `${formatNumber(grand?.added ?? 0)} new`,
+    `${formatNumber(grand?.removed ?? 0)} removed`,
+    `${formatNumber(grand?.statusChanged ?? 0)} changed status`,
+    `${formatNumber(moved)} moved OU`
+  ];
+  return `${formatNumber(diff.keyCount)} applications compared: ${parts.join(', ')}`;
+}
+
+export function describePivotConfig(config, fields) {
+  const labels = (keys) => keys.map((k) => fieldLabel(fields, k)).join(' → ') || '(none)';
+  const agg = AGGREGATIONS.find((a) => a.id === config.value.agg)?.label ?? config.value.agg;
+  const value = config.value.field ? `${agg} of ${fieldLabel(fields, config.value.field)}` : `${agg} of rows`;
+  return `Rows: ${labels(config.rows)} | Columns: ${config.column ? labels([config.column]) : '(none)'} | Values: ${value}`;
+}
+
+function describeValueDisplay(display) {
+  const mode = SHOW_VALUES_AS.find((m) => m.id === display.showAs) ?? SHOW_VALUES_AS[0];
+  return mode.id !== 'value' && display.withValue ? `Value and ${mode.label}` : mode.label;
+}
+
+function describeFormatRules(rules) {
+  const parts = [];
+  if (rules.rag.enabled) parts.push(`Target progress red under ${rules.rag.red}%, amber under ${rules.rag.amber}%`);
+  if (rules.heatmap) parts.push('Heatmap by share of row');
+  for (const h of rules.highlights) parts.push(`Highlight ${describeHighlight(h)}`);
+  return parts.join('; ') || '(none)';
+}
+
+function describeStatusSettings(settings) {
+  const aliases = Object.entries(settings.aliases).map(([alias, target]) => `${alias} → ${target}`);
+  const buckets = settings.buckets.map((b) => `${b.name} = ${b.statuses.join(' + ') || '(empty)'}`);
+  return [
+    `Order: ${settings.order.join(', ')}`,
+    aliases.length ? `Aliases: ${aliases.join(', ')}` : '',
+    buckets.length ? `Buckets: ${buckets.join('; ')}` : ''
+  ]
+    .filter(Boolean)
+    .join('; ');
+}
+
+// [name, value] pairs describing how the pivot was produced from the loaded
+// files; exports put them next to the report.
+export function reportSettingRows({
+  pivot,
+  options,
+  fields,
+  slicerValues,
+  targets,
+  display = DEFAULT_VALUE_DISPLAY,
+  measures = [],
+  formatting = DEFAULT_FORMAT_RULES,
+  rowOrder = DEFAULT_ROW_ORDER
+}) {
+  const rule = DUPLICATE_RULES.find((r) => r.id === options.duplicateRule)?.label ?? options.duplicateRule;
+  const overrides = Array.from(targets.settings.overrides.entries()).map(
+    ([k, v]) => `${k.split('\u001f').join(' / ')} = ${formatNumber(v)}`
+  );
+  return [
+    ['Pivot layout', describePivotConfig(pivot.config, fields)],
+    ['Show values as', describeValueDisplay(display)],
+    ...(measures.length ? [['Measures', measures.map((m) => `${m.name} = ${m.formula}`).join('; ')]] : []),
+    ['Formatting', describeFormatRules(formatting)],
+    ['Row order', describeRowOrder(rowOrder)],
+    ['Counting', options.distinctApplications ? `One row per Application Key (${rule})` : 'Every row'],
+    ['Filters', filterLines(options.filters, pivot.dateRange, fields, slicerValues).join('; ') || '(none)'],
+    ...(pivot.pacing ? [['Pacing', describePacing(pivot.pacing)]] : []),
+    [
+      'Hidden statuses',
+      options.countHiddenStatuses ? 'Count toward totals and targets' : 'Left out of totals and targets'
+    ],
+    ['Statuses', describeStatusSettings(options.statuses)],
+    ['Compare with prev year', pivot.compare ? 'On (CY = current year, PY = prev year)' : 'Off'],
+    ['Growth rate', `${targets.settings.growthPct}%`],
+    ['Imported targets', targets.settings.importName ?? '(none)'],
+    ['Target overrides', overrides.length ? overrides.join('; ') : '(none)']
+  ];
+}
+
+/**
+ * The pivot as a plain table for the exports: `columns` are the value columns
+ * ({ label, groups, numFmt, signed, percent }); each row has its label (with
+ * the year-over-year note), `path` (empty for Grand Total), outline `level`,
+ * `kind`, `hidden`, one value per column and, for count pivots, its target.
+ * `targets` is a target context (see targets.js). With a percentage `display`
+ * the columns hold fractions; showing the value as well puts a value and a %
+ * column under each header instead of the one cell the table uses. Rows also
+ * carry the conditional `formatting`: a style (or null) per cell in `styles`
+ * and the RAG `band` of their progress; `legend` explains them. Rows come in
+ * `rowOrder` (see arrangePivotRows()).
+ */
+export function buildPivotReport(
+  pivot,
+  {
+    fields,
+    ouChanges = null,
+    targets,
+    isExpanded,
+    display = DEFAULT_VALUE_DISPLAY,
+    measures = [],
+    formatting = DEFAULT_FORMAT_RULES,
+    rowOrder = DEFAULT_ROW_ORDER
+  }
+) {
+  const config = pivot.config ?? DEFAULT_PIVOT_CONFIG;
+  const showTarget = isCountAggregation(config.value.agg);
+  const countFormat = showTarget ? '#,##0' : 'General';
+  const valueLabel = AGGREGATIONS.find((a) => a.id === config.value.agg)?.label ?? 'Value';
+  const sourceColumns = pivotValueColumns(pivot, { showAs: display.showAs, measures });
+  const arranged = arrangePivotRows(pivot, rowOrder, { columns: sourceColumns, targets });
+  const valueColumns = sourceColumns.flatMap((c) => {
+    let numFmt = c.percent ? '+0.0%;-0.0%;0.0%' : c.signed && showTarget ? '+#,##0;-#,##0;0' : countFormat;
+    if (c.measure || c.pace) numFmt = c.percent ? '0.0%' : 'General';
+    const column = {
+      label: c.label,
+      groups: c.groups,
+      signed: !!c.signed,
+      percent: !!c.percent,
+      numFmt,
+      read: c.value,
+      source: c
+    };
+    if (!c.share) return [column];
+    const share = {
+      label: c.label,
+      groups: c.groups,
+      signed: false,
+      percent: true,
+      numFmt: '0.0%',
+      read: c.share,
+      source: c
+    };
+    if (!display.withValue) return [share];
+    const groups = [...c.groups, c.label];
+    return [
+      { ...column, groups, label: valueLabel },
+      { ...share, groups, label: '%' }
+    ];
+  });
+
+  const cellStyle = pivotCellFormatter(arranged, formatting);
+  const rows = collectPivotRows(arranged, isExpanded).map((r) => {
+    const current = Number(r.agg?.total ?? 0);
+    const resolved = showTarget ? resolveRowTarget(r.node, r.kind, config, targets) : { value: null, source: 'none' };
+    const badge = yearBadgeText(r.node, arranged, ouChanges);
+    const progress = resolved.value === null ? null : targetProgress(current, resolved.value);
+    return {
+      label: badge ? `${r.label} (${badge})` : r.label,
+      path: r.node ? r.node.path : [],
+      level: r.level,
+      kind: r.kind,
+      hidden: r.hidden,
+      cells: valueColumns.map((c) => c.read(r)),
+      styles: valueColumns.map((c) => cellStyle(c.source, r)),
+      target: resolved.value,
+      targetSource: TARGET_SOURCE_LABELS[resolved.source],
+      progress,
+      band: ragBand(progress, formatting.rag)
+    };
+  });
+
+  return {
+    rowHeader: rowHeaderLabel(config, fields) || 'Rows',
+    rowFields: config.rows.map((k) => fieldLabel(fields, k)),
+    columns: valueColumns.map(({ read, source, ...column }) => column),
+    rows,
+    showTarget,
+    legend: formatLegend(pivot, formatting, { showTarget })
+  };
+}
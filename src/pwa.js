@@ -0,0 +1,43 @@
+// Service worker registration (production builds only) and files handed to
+// the installed app through "Open with".
+
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+// Calls `onUpdateReady(apply)` once a new build has installed next to the
+// running one; `apply()` switches to it and reloads the page.
+export function registerServiceWorker(onUpdateReady) {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  const offer = (worker) => {
+    onUpdateReady(() => {
+      navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+      worker.postMessage({ type: 'skip-waiting' });
+    });
+  };
+
+  navigator.serviceWorker
+    .register(`${import.meta.env.BASE_URL}sw.js`)
+    .then((registration) => {
+      // The first install has nothing to replace; only later builds are updates.
+      if (registration.waiting && navigator.serviceWorker.controller) offer(registration.waiting);
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) offer(worker);
+        });
+      });
+      setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+    })
+    .catch(() => {
+      // Without a service worker the app still works while the server is reachable.
+    });
+}
+
+// Calls `onFiles(files)` with the File objects of every "Open with" launch.
+export function consumeLaunchedFiles(onFiles) {
+  if (!('launchQueue' in window)) return;
+  window.launchQueue.setConsumer(async (params) => {
+    const files = await Promise.all((params.files || []).map((handle) => handle.getFile()));
+    if (files.length) onFiles(files);
+  });
+}
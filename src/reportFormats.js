@@ -0,0 +1,172 @@
+import { RAG_BANDS } from './formatRules.js';
+import { headerLayout } from './pivotConfig.js';
+import { formatNumber, formatValue } from './pivotReport.js';
+
+// CSV, JSON and HTML renderings of a buildPivotReport() table; the XLSX one
+// is writePivotWorkbook(). Each takes the same { caption, settings } the
+// workbook gets.
+
+const TARGET_HEADER = ['Target', 'Target Source', 'Progress %'];
+
+function columnTitle(column) {
+  return [...(column.groups || []), column.label].join(' / ');
+}
+
+// Text starting like a formula (=, +, -, @, or a tab or CR) gets a leading '
+// so spreadsheets show it instead of evaluating it; plain numbers stay as
+// they are.
+function csvField(v) {
+  let s = v === null || v === undefined ? '' : String(v);
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s) && !/^[+-]?\d[\d,]*(\.\d+)?$/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Every CSV download goes through here, for the quoting and formula guard.
+export function rowsToCsv(lines) {
+  return `${lines.map((l) => l.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+function progressPercent(row) {
+  return row.progress === null ? null : Math.round(row.progress * 100);
+}
+
+// One column per row field, so each row carries its full path; Grand Total
+// goes in the first one.
+export function reportToCsv(report) {
+  const pathColumns = report.rowFields.length ? report.rowFields : [report.rowHeader];
+  const lines = [
+    [...pathColumns, ...report.columns.map(columnTitle), ...(report.showTarget ? TARGET_HEADER : [])]
+  ];
+  for (const r of report.rows) {
+    const path = r.kind === 'grand' ? ['Grand Total'] : r.path;
+    const line = pathColumns.map((_, i) => path[i] ?? '');
+    line.push(...r.cells);
+    if (report.showTarget) line.push(r.target, r.targetSource, progressPercent(r));
+    lines.push(line);
+  }
+  return rowsToCsv(lines);
+}
+
+export function reportToJson(report, { caption = '', settings = [] } = {}) {
+  return JSON.stringify(
+    {
+      rowHeader: report.rowHeader,
+      rowFields: report.rowFields,
+      caption,
+      columns: report.columns.map((c) => ({ label: c.label, groups: c.groups })),
+      rows: report.rows.map((r) => ({
+        path: r.path,
+        label: r.label,
+        kind: r.kind,
+        values: r.cells,
+        ...(report.showTarget ? { target: r.target, targetSource: r.targetSource, progress: r.progress } : {})
+      })),
+      settings: Object.fromEntries(settings)
+    },
+    null,
+    2
+  );
+}
+
+function escapeHtml(v) {
+  return String(v ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Same palette as the on-screen table (see styles.css).
+const HTML_STYLE = `
+  body { font-family: system-ui, sans-serif; font-size: 13px; color: #1f2430; margin: 24px; }
+  table { border-collapse: collapse; margin-bottom: 24px; }
+  th, td { border: 1px solid #2f2f2f; padding: 4px 8px; }
+  thead th { background: #d9e2f3; text-align: center; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  tr.group0 td { background: #eef2fb; font-weight: 700; }
+  tr.group1 td { background: #f6f8fe; }
+  tr.grand td { background: #e6f0e6; font-weight: 700; }
+  caption { caption-side: top; text-align: left; font-style: italic; padding-bottom: 6px; }
+  table.settings th { text-align: left; background: #f4f6fa; }
+  ul.legend { list-style: none; padding: 0; margin: 0 0 24px; }
+  ul.legend li { display: flex; align-items: center; gap: 8px; margin: 4px 0; }
+  ul.legend .swatch { display: inline-block; min-width: 22px; text-align: center; border: 1px solid #2f2f2f; }
+`;
+
+// Inline CSS for a conditional format (see formatRules.js).
+function formatCss(format) {
+  if (!format) return '';
+  const css = [];
+  if (format.fill) css.push(`background: #${format.fill}`);
+  if (format.color) css.push(`color: #${format.color}`);
+  if (format.bold) css.push('font-weight: 700');
+  if (format.outline) css.push(`outline: 2px solid #${format.color ?? '2f2f2f'}; outline-offset: -2px`);
+  return css.length ? ` style="${css.join('; ')}"` : '';
+}
+
+function legendHtml(legend) {
+  const items = legend.map((entry) => {
+    const swatches = (entry.gradient ?? [entry]).map(
+      (step) => `<span class="swatch"${formatCss(step)}>${escapeHtml(step.symbol ?? '\u00a0')}</span>`
+    );
+    return `<li>${swatches.join('')}<span>${escapeHtml(entry.text)}</span></li>`;
+  });
+  return `<ul class="legend">\n${items.join('\n')}\n</ul>\n`;
+}
+
+export function reportToHtml(report, { title = 'Pivot', caption = '', settings = [] } = {}) {
+  const layout = headerLayout(report.columns);
+  const depth = layout.length;
+  const head = layout.map((cells, level) => {
+    const out = [];
+    if (level === 0) {
+      out.push(`<th rowspan="${depth}">${escapeHtml(report.rowHeader)}</th>`);
+    }
+    for (const cell of cells) {
+      const span = `${cell.colSpan > 1 ? ` colspan="${cell.colSpan}"` : ''}${cell.rowSpan > 1 ? ` rowspan="${cell.rowSpan}"` : ''}`;
+      out.push(`<th${span}>${escapeHtml(cell.text)}</th>`);
+    }
+    if (level === 0 && report.showTarget) {
+      for (const h of TARGET_HEADER) out.push(`<th rowspan="${depth}">${escapeHtml(h)}</th>`);
+    }
+    return `<tr>${out.join('')}</tr>`;
+  });
+
+  const body = report.rows.map((r) => {
+    const cells = [`<td style="padding-left: ${8 + r.level * 18}px">${escapeHtml(r.label)}</td>`];
+    r.cells.forEach((v, i) => {
+      cells.push(`<td class="num"${formatCss(r.styles?.[i])}>${escapeHtml(formatValue(report.columns[i], v))}</td>`);
+    });
+    if (report.showTarget) {
+      const pct = progressPercent(r);
+      const band = RAG_BANDS[r.band];
+      cells.push(`<td class="num">${r.target === null ? '' : escapeHtml(formatNumber(r.target))}</td>`);
+      cells.push(`<td>${escapeHtml(r.targetSource)}</td>`);
+      const text = pct === null ? '' : `${band ? `${band.symbol} ` : ''}${pct}%`;
+      cells.push(`<td class="num"${formatCss(pct === null ? null : band)}>${escapeHtml(text)}</td>`);
+    }
+    return `<tr class="${r.kind}">${cells.join('')}</tr>`;
+  });
+
+  const settingRows = settings.map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`);
+  const legend = report.legend?.length ? legendHtml(report.legend) : '';
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<table class="pivot">
+${caption ? `<caption>${escapeHtml(caption)}</caption>\n` : ''}<thead>
+${head.join('\n')}
+</thead>
+<tbody>
+${body.join('\n')}
+</tbody>
+</table>
+${legend}${settings.length ? `<table class="settings"><tbody>\n${settingRows.join('\n')}\n</tbody></table>\n` : ''}</body>
+</html>
+`;
+}
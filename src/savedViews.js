@@ -0,0 +1,128 @@
+import { normalizeFormatRules } from './formatRules.js';
+import { normalizeMeasures } from './measures.js';
+import { normalizeCycleStart, normalizeDateRange } from './pacing.js';
+import {
+  DEFAULT_DATA_OPTIONS,
+  DEFAULT_PIVOT_CONFIG,
+  DEFAULT_SLICER_FIELDS,
+  DUPLICATE_RULES,
+  clonePivotConfig
+} from './pivotConfig.js';
+import { DEFAULT_VALUE_DISPLAY, SHOW_VALUES_AS, normalizeRowOrder } from './pivotReport.js';
+import { normalizeStatusSettings } from './statusSettings.js';
+import { DEFAULT_GROWTH_PCT } from './targets.js';
+
+// A view is everything the user chose on top of the loaded files: pivot
+// layout, data options (filters, date range, statuses, duplicates), slicers,
+// how values show, calculated measures, conditional formatting, row order,
+// expanded rows and target settings. Views are stored and exported as plain
+// JSON, so target maps become [key, value] entries.
+
+const VIEWS_FILE_FORMAT = 'offline-xlsx-pivot/views';
+const VIEWS_FILE_VERSION = 1;
+
+function stringList(list) {
+  return Array.isArray(list) ? list.filter((v) => typeof v === 'string') : [];
+}
+
+function targetEntries(entries) {
+  const out = [];
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    const [key, value] = Array.isArray(entry) ? entry : [];
+    const n = Number(value);
+    if (typeof key === 'string' && key && value !== null && value !== '' && Number.isFinite(n) && n >= 0) {
+      out.push([key, n]);
+    }
+  }
+  return out;
+}
+
+function normalizeFilters(filters) {
+  if (!filters || typeof filters !== 'object') return DEFAULT_DATA_OPTIONS.filters;
+  const out = {};
+  for (const [field, values] of Object.entries(filters)) {
+    const list = stringList(values);
+    if (list.length) out[field] = list;
+  }
+  return out;
+}
+
+// Fills in defaults and drops anything malformed, so a view saved by an older
+// version (or edited by hand) can still be applied.
+export function normalizeView(raw) {
+  const view = raw && typeof raw === 'object' ? raw : {};
+  const options = view.dataOptions && typeof view.dataOptions === 'object' ? view.dataOptions : {};
+  const targets = view.targets && typeof view.targets === 'object' ? view.targets : {};
+  const display = view.display && typeof view.display === 'object' ? view.display : {};
+  const growth = Number(targets.growthPct);
+  return {
+    pivotConfig: clonePivotConfig(view.pivotConfig ?? DEFAULT_PIVOT_CONFIG),
+    dataOptions: {
+      distinctApplications: options.distinctApplications === true,
+      duplicateRule: DUPLICATE_RULES.some((r) => r.id === options.duplicateRule)
+        ? options.duplicateRule
+        : DEFAULT_DATA_OPTIONS.duplicateRule,
+      compareYears: options.compareYears === true,
+      filters: normalizeFilters(options.filters),
+      countHiddenStatuses: options.countHiddenStatuses === true,
+      statuses: normalizeStatusSettings(options.statuses),
+      dateRange: normalizeDateRange(options.dateRange),
+      cycleStart: normalizeCycleStart(options.cycleStart)
+    },
+    slicerFields: Array.isArray(view.slicerFields) ? stringList(view.slicerFields) : [...DEFAULT_SLICER_FIELDS],
+    display: {
+      showAs: SHOW_VALUES_AS.some((m) => m.id === display.showAs) ? display.showAs : DEFAULT_VALUE_DISPLAY.showAs,
+      withValue: display.withValue === true
+    },
+    measures: normalizeMeasures(view.measures),
+    formatting: normalizeFormatRules(view.formatting),
+    rowOrder: normalizeRowOrder(view.rowOrder),
+    expanded: stringList(view.expanded),
+    targets: {
+      growthPct: targets.growthPct !== undefined && Number.isFinite(growth) ? growth : DEFAULT_GROWTH_PCT,
+      overrides: targetEntries(targets.overrides),
+      imported: targetEntries(targets.imported),
+      importName: typeof targets.importName === 'string' ? targets.importName : null
+    }
+  };
+}
+
+export function viewsToJson(views) {
+  return JSON.stringify(
+    {
+      format: VIEWS_FILE_FORMAT,
+      version: VIEWS_FILE_VERSION,
+      views: views.map((v) => ({ name: v.name, savedAt: v.savedAt, view: v.view }))
+    },
+    null,
+    2
+  );
+}
+
+// Views from a file written by viewsToJson(); a view with a name already in
+// the file replaces the earlier one.
+export function parseViewsFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The views file is not valid JSON.');
+  }
+  if (data?.format !== VIEWS_FILE_FORMAT || !Array.isArray(data.views)) {
+    throw new Error('This is not a saved views file.');
+  }
+  if (data.version > VIEWS_FILE_VERSION) {
+    throw new Error('The views file was written by a newer version of the app.');
+  }
+  const byName = new Map();
+  for (const v of data.views) {
+    const name = typeof v?.name === 'string' ? v.name.trim() : '';
+    if (!name) continue;
+    byName.set(name, {
+      name,
+      savedAt: typeof v.savedAt === 'string' ? v.savedAt : new Date().toISOString(),
+      view: normalizeView(v.view)
+    });
+  }
+  return [...byName.values()];
+}
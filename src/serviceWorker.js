@@ -0,0 +1,39 @@
+// Precaches the whole build so the app opens with no network. This file is a
+// template: the build writes it to sw.js with CACHE_NAME and PRECACHE_URLS
+// filled in (see precacheServiceWorker() in vite.config.js).
+
+const CACHE_PREFIX = 'offline-xlsx-pivot-';
+const CACHE_NAME = `${CACHE_PREFIX}__CACHE_VERSION__`;
+const PRECACHE_URLS = __PRECACHE_URLS__;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => keys.filter((k) => k.startsWith(CACHE_PREFIX) && k !== CACHE_NAME))
+      .then((old) => Promise.all(old.map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// A new build waits until the page accepts the update prompt.
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  // Every page load, including files opened with the app, gets the cached
+  // index.html.
+  if (request.mode === 'navigate') {
+    event.respondWith(caches.match('index.html').then((cached) => cached ?? fetch(request)));
+    return;
+  }
+  event.respondWith(caches.match(request, { ignoreSearch: true }).then((cached) => cached ?? fetch(request)));
+});
@@ -0,0 +1,74 @@
+// IndexedDB storage for the last session (the uploaded files and the view on
+// them) and for named views. Files are stored as the File objects themselves.
+
+const DB_NAME = 'offline-xlsx-pivot';
+const DB_VERSION = 1;
+const SESSION_STORE = 'session';
+const VIEWS_STORE = 'views';
+
+let dbPromise = null;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('This browser does not offer IndexedDB, so nothing can be saved.'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SESSION_STORE)) db.createObjectStore(SESSION_STORE);
+      if (!db.objectStoreNames.contains(VIEWS_STORE)) db.createObjectStore(VIEWS_STORE, { keyPath: 'name' });
+    };
+    dbPromise = promisify(request).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(name, mode, fn) {
+  const db = await openDatabase();
+  const tx = db.transaction(name, mode);
+  // Writes only count once the transaction commits.
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const [result] = await Promise.all([promisify(fn(tx.objectStore(name))), done]);
+  return result;
+}
+
+export function readSession(key) {
+  return withStore(SESSION_STORE, 'readonly', (store) => store.get(key));
+}
+
+export function writeSession(key, value) {
+  return withStore(SESSION_STORE, 'readwrite', (store) => store.put(value, key));
+}
+
+export function clearSession(key) {
+  return withStore(SESSION_STORE, 'readwrite', (store) => store.delete(key));
+}
+
+// Saved views as { name, savedAt, view }, sorted by name.
+export async function listViews() {
+  const views = await withStore(VIEWS_STORE, 'readonly', (store) => store.getAll());
+  return views.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function putView(entry) {
+  return withStore(VIEWS_STORE, 'readwrite', (store) => store.put(entry));
+}
+
+export function deleteView(name) {
+  return withStore(VIEWS_STORE, 'readwrite', (store) => store.delete(name));
+}
@@ -0,0 +1,126 @@
+import { normalizeHeader } from './columnMapping.js';
+
+// Column order the app has always used for Submission Status.
+export const DEFAULT_STATUS_ORDER = [
+  'Draft',
+  'Submitted',
+  'Approved',
+  'Rejected',
+  'Returned',
+  'In Review',
+  'Resubmitted',
+  'Cancelled'
+];
+
+// How far along an application is, furthest first, for the "furthest status"
+// duplicate rule.
+export const DEFAULT_STATUS_STAGES = [
+  'Approved',
+  'Rejected',
+  'Cancelled',
+  'Returned',
+  'Resubmitted',
+  'In Review',
+  'Submitted',
+  'Draft'
+];
+
+// `aliases` maps a normalized spelling to the canonical status it is counted
+// as; `buckets` group canonical statuses under one header with a subtotal;
+// `stages` ranks canonical statuses, furthest first.
+export const DEFAULT_STATUS_SETTINGS = {
+  aliases: { 'in-review': 'In Review' },
+  order: DEFAULT_STATUS_ORDER,
+  buckets: [],
+  stages: DEFAULT_STATUS_STAGES
+};
+
+export function canonicalStatus(value, settings) {
+  const key = normalizeHeader(value);
+  const alias = settings?.aliases?.[key];
+  if (alias) return alias;
+  // Known statuses are also matched regardless of case or spacing.
+  return (settings?.order || []).find((s) => normalizeHeader(s) === key) ?? value;
+}
+
+export function isKnownStatus(value, settings) {
+  const key = normalizeHeader(value);
+  return !!settings?.aliases?.[key] || (settings?.order || []).some((s) => normalizeHeader(s) === key);
+}
+
+export function sortStatuses(statuses, settings) {
+  const index = new Map();
+  (settings?.order || []).forEach((s, i) => index.set(normalizeHeader(s), i));
+  // Statuses outside the order go last, alphabetically.
+  const rank = (s) => index.get(normalizeHeader(s)) ?? index.size;
+  return Array.from(new Set(statuses)).sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+// Statuses in stage order, furthest first; statuses without a stage go last
+// in the order given.
+export function sortStatusesByStage(statuses, settings) {
+  const rank = statusStageRank(settings);
+  return Array.from(new Set(statuses)).sort((a, b) => rank(a) - rank(b));
+}
+
+// Lower ranks are further along; statuses without a stage rank last.
+export function statusStageRank(settings) {
+  const index = new Map();
+  (settings?.stages || []).forEach((s, i) => index.set(normalizeHeader(s), i));
+  return (status) => index.get(normalizeHeader(status)) ?? index.size;
+}
+
+export function statusBucket(status, settings) {
+  const key = normalizeHeader(status);
+  return (settings?.buckets || []).find((b) => b.statuses.some((s) => normalizeHeader(s) === key))?.name ?? null;
+}
+
+// Fills in defaults and drops what no longer makes sense: aliases onto
+// themselves, aliases listed in the order or in a bucket, empty or duplicate
+// bucket names, and statuses listed in more than one bucket. An alias in the
+// stages stands for the status it is counted as.
+export function normalizeStatusSettings(settings) {
+  const aliases = {};
+  for (const [alias, target] of Object.entries(settings?.aliases ?? DEFAULT_STATUS_SETTINGS.aliases)) {
+    const key = normalizeHeader(alias);
+    if (key && target && key !== normalizeHeader(target)) aliases[key] = String(target);
+  }
+  const isAlias = (s) => Object.hasOwn(aliases, normalizeHeader(s));
+
+  const seen = new Set();
+  const order = [];
+  for (const s of settings?.order ?? DEFAULT_STATUS_ORDER) {
+    const key = normalizeHeader(s);
+    if (!key || seen.has(key) || isAlias(s)) continue;
+    seen.add(key);
+    order.push(String(s));
+  }
+
+  const names = new Set();
+  const inBucket = new Set();
+  const buckets = [];
+  for (const b of settings?.buckets ?? []) {
+    const name = String(b?.name ?? '').trim();
+    if (!name || names.has(normalizeHeader(name))) continue;
+    names.add(normalizeHeader(name));
+    const statuses = (b.statuses || []).filter((s) => {
+      const key = normalizeHeader(s);
+      if (!key || isAlias(s) || inBucket.has(key)) return false;
+      inBucket.add(key);
+      return true;
+    });
+    buckets.push({ name, statuses });
+  }
+
+  const staged = new Set();
+  const stages = [];
+  for (const s of settings?.stages ?? DEFAULT_STATUS_STAGES) {
+    const status = aliases[normalizeHeader(s)] ?? String(s);
+    const key = normalizeHeader(status);
+    if (!key || staged.has(key)) continue;
+    staged.add(key);
+    stages.push(status);
+  }
+
+  return { aliases, order, buckets, stages };
+}
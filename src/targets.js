@@ -0,0 +1,118 @@
+import { nodePathKey } from './pivotConfig.js';
+
+export const TARGET_SOURCE_LABELS = {
+  override: 'Override',
+  import: 'Imported',
+  prev: 'Prev year',
+  sum: 'Sum of BG targets',
+  others: 'Sum of the rows in Others',
+  none: 'No target'
+};
+
+export const DEFAULT_GROWTH_PCT = 10;
+
+// Overrides and imported targets are keyed by OU0 or OU0/OU1 path.
+export function createTargetSettings() {
+  return {
+    growthPct: DEFAULT_GROWTH_PCT,
+    overrides: new Map(),
+    imported: new Map(),
+    importName: null
+  };
+}
+
+// Prev-year counts as aggregation returns them (`prev` of aggregateDataset()).
+export function createPrevBase(prev) {
+  return {
+    perOU0: new Map(Object.entries(prev?.perOU0Counts || {})),
+    perOU1: new Map(Object.entries(prev?.perOU1Counts || {})),
+    grand: prev?.grandCount ?? null,
+    available: !!prev?.available
+  };
+}
+
+// Entries of readTargetsFile() keyed the way `imported` is.
+export function importedTargets(entries) {
+  return new Map((entries || []).map((e) => [nodePathKey(e.path), e.target]));
+}
+
+export function computeTarget(base, growthPct) {
+  const t = Number(base ?? 0);
+  return Math.ceil(t * (1 + growthPct / 100));
+}
+
+export function prevBaseFor(path, prevBase) {
+  if (!prevBase.available) return null;
+  if (path.length === 1) return prevBase.perOU0.get(path[0]) ?? null;
+  if (path.length === 2) return prevBase.perOU1.get(nodePathKey(path)) ?? null;
+  return null;
+}
+
+// The resolvers below take a target context { prevBase, settings, ou0Keys },
+// where ou0Keys lists the OU0s left in the current year after the filters.
+
+// Target for an OU0 or OU0/OU1 row: override, then imported value, then
+// prev-year base grown by the configured rate. Anything else has no target.
+export function resolveTarget(path, { prevBase, settings }) {
+  const key = nodePathKey(path);
+  if (settings.overrides.has(key)) {
+    return { value: settings.overrides.get(key), source: 'override' };
+  }
+  if (settings.imported.has(key)) {
+    return { value: settings.imported.get(key), source: 'import' };
+  }
+  const base = prevBaseFor(path, prevBase);
+  if (base !== null) return { value: computeTarget(base, settings.growthPct), source: 'prev' };
+  return { value: null, source: 'none' };
+}
+
+// OU0s left after the filters in either year; the prev-year base is counted
+// from filtered rows too. Overrides and imported targets of OU0s filtered out
+// stay out of the grand total.
+function targetOu0Keys({ prevBase, ou0Keys }) {
+  const keys = new Set(ou0Keys || []);
+  prevBase.perOU0.forEach((_, k) => keys.add(k));
+  return keys;
+}
+
+export function resolveGrandTarget(ctx) {
+  let sum = 0;
+  let any = false;
+  for (const ou0 of targetOu0Keys(ctx)) {
+    const t = resolveTarget([ou0], ctx);
+    if (t.value === null) continue;
+    sum += t.value;
+    any = true;
+  }
+  return any ? { value: sum, source: 'sum' } : { value: null, source: 'none' };
+}
+
+// Only rows keyed by OU0 (and OU1 beneath it) can carry a target.
+export function targetPathFor(path, config) {
+  if (config.rows[0] !== 'ou0') return null;
+  if (path.length === 1) return path;
+  if (path.length === 2 && config.rows[1] === 'ou1') return path;
+  return null;
+}
+
+export function resolveRowTarget(node, rowKind, config, ctx) {
+  if (rowKind === 'grand') return resolveGrandTarget(ctx);
+  // An Others row (see arrangePivotRows()) adds up the rows folded into it.
+  if (node?.folded) {
+    const values = node.folded.map((n) => resolveRowTarget(n, rowKind, config, ctx).value).filter((v) => v !== null);
+    if (!values.length) return { value: null, source: 'none' };
+    return { value: values.reduce((a, b) => a + b, 0), source: 'others' };
+  }
+  const targetPath = node ? targetPathFor(node.path, config) : null;
+  return targetPath ? resolveTarget(targetPath, ctx) : { value: null, source: 'none' };
+}
+
+// Current over target, uncapped so rows past their target still rank apart.
+export function targetRatio(current, target) {
+  return target > 0 ? current / target : 1;
+}
+
+// The ratio as the progress bar shows it, between 0 and 100%.
+export function targetProgress(current, target) {
+  return Math.max(0, Math.min(targetRatio(current, target), 1));
+}
@@ -0,0 +1,191 @@
+import XLSX from 'xlsx-js-style';
+import { RAG_BANDS } from './formatRules.js';
+import { headerLayout } from './pivotConfig.js';
+
+const BORDER = {
+  top: { style: 'thin', color: { rgb: '2F2F2F' } },
+  bottom: { style: 'thin', color: { rgb: '2F2F2F' } },
+  left: { style: 'thin', color: { rgb: '2F2F2F' } },
+  right: { style: 'thin', color: { rgb: '2F2F2F' } }
+};
+
+// Same palette as the on-screen table (see styles.css).
+const ROW_FILLS = {
+  header: 'D9E2F3',
+  group0: 'EEF2FB',
+  group1: 'F6F8FE',
+  grand: 'E6F0E6'
+};
+
+function cellStyle(kind, extra = {}) {
+  const s = { border: BORDER, font: {}, ...extra };
+  if (ROW_FILLS[kind]) s.fill = { patternType: 'solid', fgColor: { rgb: ROW_FILLS[kind] } };
+  if (kind === 'header' || kind === 'group0' || kind === 'grand') s.font = { bold: true };
+  return s;
+}
+
+// Applies a conditional format ({ fill, color, bold, outline }, see
+// formatRules.js) on top of the row style.
+function withFormat(cell, format) {
+  if (!format) return cell;
+  const s = { ...cell.s, font: { ...cell.s.font } };
+  if (format.fill) s.fill = { patternType: 'solid', fgColor: { rgb: format.fill } };
+  if (format.color) s.font.color = { rgb: format.color };
+  if (format.bold) s.font.bold = true;
+  if (format.outline) {
+    const edge = { style: 'medium', color: { rgb: format.color ?? '2F2F2F' } };
+    s.border = { top: edge, bottom: edge, left: edge, right: edge };
+  }
+  return { ...cell, s };
+}
+
+function numberCell(v, kind, numFmt, format = null) {
+  if (v === null || v === undefined || !Number.isFinite(Number(v))) {
+    return { t: 's', v: '', s: cellStyle(kind) };
+  }
+  const cell = { t: 'n', v: Number(v), s: cellStyle(kind, { numFmt, alignment: { horizontal: 'right' } }) };
+  return withFormat(cell, format);
+}
+
+function textCell(v, kind, extra = {}) {
+  return { t: 's', v: String(v ?? ''), s: cellStyle(kind, extra) };
+}
+
+const HEADER_ALIGNMENT = { alignment: { horizontal: 'center', vertical: 'center', wrapText: true } };
+
+// Progress cells keep their number; the format adds the band's symbol so the
+// band still reads in grayscale.
+function progressCell(r) {
+  if (r.target === null) return numberCell(null, r.kind, '0%');
+  const band = RAG_BANDS[r.band];
+  if (!band) return numberCell(r.progress, r.kind, '0%');
+  return numberCell(r.progress, r.kind, `"${band.symbol} "0%`, band);
+}
+
+// Rows under the table explaining the conditional formats: the text, then a
+// swatch (three for the heatmap scale).
+function legendRows(legend) {
+  return legend.map((entry) => {
+    const line = [textCell(entry.text, 'normal')];
+    for (const step of entry.gradient ?? [entry]) {
+      const swatch = textCell(step.symbol ?? '', 'normal', { alignment: { horizontal: 'center' } });
+      line.push(withFormat(swatch, step));
+    }
+    return line;
+  });
+}
+
+// `columns` are the value columns ({ label, groups, numFmt }); see
+// headerLayout() for how their headers stack. A `caption` (the active
+// filters) goes in a row of its own above the header and the `legend` of
+// the conditional formats below the table.
+function buildPivotSheet({ rowHeader, columns, caption, rows, showTarget, legend = [] }) {
+  const targetHeader = showTarget ? ['Target', 'Target Source', 'Progress %'] : [];
+  const width = 1 + columns.length + targetHeader.length;
+  const headerCell = (v) => textCell(v, 'header', HEADER_ALIGNMENT);
+
+  const layout = headerLayout(columns);
+  const depth = layout.length;
+  const aoa = layout.map(() => Array.from({ length: width }, () => headerCell('')));
+  const merges = [];
+  const place = (r, c, text, rowSpan, colSpan) => {
+    aoa[r][c] = headerCell(text);
+    if (rowSpan > 1 || colSpan > 1) merges.push({ s: { r, c }, e: { r: r + rowSpan - 1, c: c + colSpan - 1 } });
+  };
+  place(0, 0, rowHeader, depth, 1);
+  layout.forEach((cells, r) => {
+    for (const cell of cells) place(r, cell.col + 1, cell.text, cell.rowSpan, cell.colSpan);
+  });
+  targetHeader.forEach((h, i) => place(0, 1 + columns.length + i, h, depth, 1));
+  const rowProps = aoa.map(() => ({}));
+
+  for (const r of rows) {
+    const line = [textCell(r.label, r.kind, { alignment: { indent: r.level } })];
+    r.cells.forEach((v, i) => line.push(numberCell(v, r.kind, columns[i]?.numFmt ?? 'General', r.styles?.[i])));
+    if (showTarget) {
+      line.push(numberCell(r.target, r.kind, '#,##0'));
+      line.push(textCell(r.targetSource, r.kind));
+      line.push(progressCell(r));
+    }
+    aoa.push(line);
+    rowProps.push(r.kind === 'grand' ? {} : { level: r.level, hidden: !!r.hidden });
+  }
+  if (legend.length) {
+    aoa.push([]);
+    rowProps.push({});
+    for (const line of legendRows(legend)) {
+      aoa.push(line);
+      rowProps.push({});
+    }
+  }
+
+  if (caption) {
+    aoa.unshift([textCell(caption, 'normal', { font: { italic: true } })]);
+    rowProps.unshift({});
+    for (const m of merges) {
+      m.s.r += 1;
+      m.e.r += 1;
+    }
+    merges.push({ s: { r: 0, c: 0 }, e: { r: 0, c: width - 1 } });
+  }
+
+  const ws = XLSX.utils.aoa_to_sheet(aoa);
+  ws['!rows'] = rowProps;
+  ws['!outline'] = { above: true };
+  ws['!cols'] = Array.from({ length: width }, (_, i) => ({ wch: i === 0 ? 36 : 14 }));
+  if (merges.length) ws['!merges'] = merges;
+  return ws;
+}
+
+function buildTableSheet({ header, rows }) {
+  const aoa = [header.map((h) => textCell(h, 'header'))];
+  for (const values of rows) {
+    aoa.push(values.map((v) => (typeof v === 'number' ? numberCell(v, 'normal', 'General') : textCell(v, 'normal'))));
+  }
+  const ws = XLSX.utils.aoa_to_sheet(aoa);
+  ws['!cols'] = header.map(() => ({ wch: 24 }));
+  return ws;
+}
+
+function buildSettingsSheet(settings) {
+  const aoa = [[textCell('Setting', 'header'), textCell('Value', 'header')]];
+  for (const [k, v] of settings) {
+    aoa.push([textCell(k, 'normal', { font: { bold: true } }), textCell(v, 'normal', { alignment: { wrapText: true } })]);
+  }
+  const ws = XLSX.utils.aoa_to_sheet(aoa);
+  ws['!cols'] = [{ wch: 28 }, { wch: 80 }];
+  return ws;
+}
+
+/**
+ * Builds the pivot workbook: a "Pivot" sheet with one real cell per value
+ * (group rows carry Excel outline levels, `caption` sits above the header),
+ * any extra `sheets` given as { name, header, rows } and a "Configuration"
+ * sheet listing `settings` as [name, value] pairs. Returns the file as an
+ * ArrayBuffer.
+ */
+export function writePivotWorkbook({
+  rowHeader,
+  columns,
+  caption = '',
+  rows,
+  showTarget,
+  legend = [],
+  settings,
+  sheets = []
+}) {
+  const wb = XLSX.utils.book_new();
+  const pivotSheet = buildPivotSheet({ rowHeader, columns, caption, rows, showTarget, legend });
+  XLSX.utils.book_append_sheet(wb, pivotSheet, 'Pivot');
+  for (const sheet of sheets) XLSX.utils.book_append_sheet(wb, buildTableSheet(sheet), sheet.name);
+  XLSX.utils.book_append_sheet(wb, buildSettingsSheet(settings), 'Configuration');
+  return XLSX.write(wb, { type: 'array', bookType: 'xlsx' });
+}
+
+// A plain table (e.g. the rows behind one pivot value) plus "Configuration".
+export function writeTableWorkbook({ name, header, rows, settings }) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, buildTableSheet({ header, rows }), name);
+  XLSX.utils.book_append_sheet(wb, buildSettingsSheet(settings), 'Configuration');
+  return XLSX.write(wb, { type: 'array', bookType: 'xlsx' });
+}
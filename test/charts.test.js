@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { test } from 'node:test';
+import { attainmentSeries, chartAvailability, paceSeries, statusBarSeries } from '../src/charts.js';
+import { autoDetectMapping } from '../src/columnMapping.js';
+import { DEFAULT_DATA_OPTIONS, DEFAULT_PIVOT_CONFIG } from '../src/pivotConfig.js';
+import {
+  aggregateDataset,
+  createDataset,
+  inspectWorkbook,
+  readRowsFromWorkbook
+} from '../src/pivotCore.js';
+import { createPrevBase, createTargetSettings } from '../src/targets.js';
+
+function readFixture(name) {
+  const bytes = fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+  return readRowsFromWorkbook(bytes, name, autoDetectMapping(inspectWorkbook(bytes, name).sheets));
+}
+
+const dataset = createDataset(readFixture('current.xlsx'), readFixture('prev.xlsx'));
+const { pivot, prev } = aggregateDataset(dataset, { config: DEFAULT_PIVOT_CONFIG, options: DEFAULT_DATA_OPTIONS });
+const targets = {
+  prevBase: createPrevBase(prev),
+  settings: createTargetSettings(),
+  ou0Keys: pivot.ou0Keys
+};
+
+test('stacks status counts per BG, or per unit one level down', () => {
+  const top = statusBarSeries(pivot, 0);
+  assert.deepEqual(top.columns, ['Submitted', 'Approved', 'Rejected', 'In Review']);
+  assert.deepEqual(
+    top.bars.map((b) => [b.label, b.total]),
+    [
+      ['Alpha', 6],
+      ['Beta', 4]
+    ]
+  );
+  assert.equal(top.bars[0].values.reduce((s, v) => s + v, 0), 6);
+  const units = statusBarSeries(pivot, 1);
+  assert.ok(units.bars.some((b) => b.label === 'Alpha / Support'));
+});
+
+test('compares every BG and the grand total with its target', () => {
+  const { bars, skipped } = attainmentSeries(pivot, 0, targets);
+  assert.equal(skipped, 0);
+  assert.deepEqual(
+    bars.map((b) => [b.label, b.current, b.target, b.grand]),
+    [
+      ['Alpha', 6, 6, false],
+      ['Beta', 4, 6, false],
+      ['Grand Total', 10, 12, true]
+    ]
+  );
+  assert.equal(bars[1].ratio, 4 / 6);
+  // Subunits have no targets.
+  assert.equal(attainmentSeries(pivot, 2, targets).bars.length, 1);
+});
+
+test('only charts aggregations that add up', () => {
+  assert.deepEqual(chartAvailability(pivot), { stacked: true, attainment: true });
+  const avg = { ...pivot, config: { ...pivot.config, value: { field: 'applicationKey', agg: 'avg' } } };
+  assert.deepEqual(chartAvailability(avg), { stacked: false, attainment: false });
+});
+
+test('picks the weekly pace of all rows or one OU0', () => {
+  const weekly = {
+    weekStarts: ['2024-01-01', '2024-01-08', '2024-01-15'],
+    asOfWeek: 1,
+    series: [
+      { key: null, current: [2, 5], prev: [1, 3, 6] },
+      { key: 'Alpha', current: [1, 2], prev: [1, 1, 2] }
+    ]
+  };
+  assert.deepEqual(paceSeries(weekly), {
+    label: 'All',
+    weekStarts: weekly.weekStarts,
+    asOfWeek: 1,
+    current: [2, 5],
+    prev: [1, 3, 6]
+  });
+  assert.equal(paceSeries(weekly, 'Alpha').label, 'Alpha');
+  assert.deepEqual(paceSeries(weekly, 'Alpha').current, [1, 2]);
+  assert.equal(paceSeries(weekly, 'Beta'), null);
+  assert.equal(paceSeries(null), null);
+});
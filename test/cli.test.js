@@ -0,0 +1,188 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import * as XLSX from 'xlsx';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const fixture = (name) => path.join(root, 'test', 'fixtures', name);
+const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pivot-cli-'));
+after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+
+function pivot(...args) {
+  return spawnSync(process.execPath, [path.join(root, 'bin', 'pivot.js'), ...args], { encoding: 'utf8' });
+}
+
+function build(out, ...args) {
+  const file = path.join(outDir, out);
+  const run = pivot('build', '--current', fixture('current.xlsx'), '--prev', fixture('prev.xlsx'), '--out', file, ...args);
+  assert.equal(run.status, 0, run.stderr);
+  return file;
+}
+
+test('writes the report as JSON', () => {
+  const report = JSON.parse(fs.readFileSync(build('report.json'), 'utf8'));
+  const grand = report.rows.at(-1);
+  assert.equal(grand.kind, 'grand');
+  assert.deepEqual(grand.values, [3, 4, 2, 1, 10]);
+  assert.equal(grand.target, 12);
+  assert.equal(report.caption, 'Filters: Submission Status: excluding Draft');
+  assert.equal(report.settings['Prev Year file'], 'prev.xlsx');
+});
+
+test('writes the report as XLSX with the OU Changes and Configuration sheets', () => {
+  const wb = XLSX.read(fs.readFileSync(build('report.xlsx', '--targets', fixture('targets.csv'))));
+  assert.deepEqual(wb.SheetNames, ['Pivot', 'OU Changes', 'Configuration']);
+  const rows = XLSX.utils.sheet_to_json(wb.Sheets.Pivot, { header: 1 });
+  assert.deepEqual(rows[1].slice(0, 6), ['BG-Unit-Subunit', 'Submitted', 'Approved', 'Rejected', 'In Review', 'Grand Total']);
+  const grand = rows.find((r) => r[0] === 'Grand Total');
+  assert.deepEqual(grand.slice(1, 8), [3, 4, 2, 1, 10, 14, 'Sum of BG targets']);
+});
+
+test('writes CSV with one column per OU level', () => {
+  const lines = fs.readFileSync(build('report.csv', '--growth', '50'), 'utf8').trim().split('\r\n');
+  assert.equal(lines[0], 'OU Level 0,OU Level 1,OU Level 2,Submitted,Approved,Rejected,In Review,Grand Total,Target,Target Source,Progress %');
+  assert.equal(lines.at(-1), 'Grand Total,,,3,4,2,1,10,16,Sum of BG targets,63');
+});
+
+test('writes a standalone HTML table', () => {
+  const html = fs.readFileSync(build('report.html', '--compare'), 'utf8');
+  assert.match(html, /^<!doctype html>/);
+  assert.match(html, /<th colspan="4">Grand Total<\/th>/);
+  assert.match(html, /<tr class="grand"><td[^>]*>Grand Total<\/td><td class="num">3<\/td>/);
+});
+
+test('writes a paginated PDF headed with the source files', () => {
+  const pdf = fs.readFileSync(build('report.pdf', '--orientation', 'landscape', '--page-size', 'letter'), 'latin1');
+  assert.match(pdf, /^%PDF-1\.4/);
+  assert.match(pdf, /\/MediaBox \[0 0 792 612\]/);
+  assert.match(pdf, /\(Current Year: current\.xlsx {2}\\267 {2}Prev Year: prev\.xlsx/);
+  assert.match(pdf, /\(Page 2 of 2\) Tj/);
+});
+
+test('adds the changes since an earlier snapshot to the workbook', () => {
+  const file = path.join(outDir, 'snapshot.xlsx');
+  const run = pivot('build', '--current', fixture('current.csv'), '--snapshot', fixture('snapshot.csv'), '--out', file);
+  assert.equal(run.status, 0, run.stderr);
+  const wb = XLSX.read(fs.readFileSync(file));
+  assert.deepEqual(wb.SheetNames, ['Pivot', 'Status Transitions', 'Snapshot Changes', 'Configuration']);
+  const transitions = XLSX.utils.sheet_to_json(wb.Sheets['Status Transitions'], { header: 1 });
+  assert.deepEqual(transitions.at(-1), ['New', 0, 0, 1, 0, 0, 0]);
+  const changes = XLSX.utils.sheet_to_json(wb.Sheets['Snapshot Changes'], { header: 1 });
+  assert.deepEqual(changes[0], ['OU', 'Snapshot', 'Current', 'New', 'Removed', 'Status Changed', 'Moved In', 'Moved Out', 'Change']);
+  assert.deepEqual(changes.find((r) => r[0] === 'Beta'), ['Beta', 5, 4, 0, 1, 1, 0, 0, -1]);
+});
+
+test('shows values as a share of the row, optionally next to the count', () => {
+  const report = JSON.parse(fs.readFileSync(build('share.json', '--show-as', 'grand'), 'utf8'));
+  assert.deepEqual(report.rows.at(-1).values, [0.3, 0.4, 0.2, 0.1, 1]);
+  assert.equal(report.settings['Show values as'], '% of grand total');
+
+  const lines = fs.readFileSync(build('share.csv', '--show-as', 'row', '--with-value'), 'utf8').trim().split('\r\n');
+  assert.equal(lines[0].split(',').slice(3, 7).join(','), 'Submitted / Count,Submitted / %,Approved / Count,Approved / %');
+  assert.equal(lines.at(-1).split(',').slice(3, 13).join(','), '3,0.3,4,0.4,2,0.2,1,0.1,10,1');
+});
+
+test('adds calculated measures after Grand Total', () => {
+  const report = JSON.parse(fs.readFileSync(build('measures.json', '--measures', fixture('measures.json')), 'utf8'));
+  assert.deepEqual(report.columns.slice(-2).map((c) => c.label), ['Approval rate', 'Backlog']);
+  assert.deepEqual(report.rows[0].values.slice(-2), [0.4, 3]);
+  assert.deepEqual(report.rows.at(-1).values.slice(-2), [4 / 9, 4]);
+  assert.match(report.settings.Measures, /^Approval rate = Approved \/ \(Submitted \+ Approved \+ Rejected\); Backlog/);
+});
+
+test('writes RAG bands and heatmap shades into the workbook with a legend', () => {
+  const file = build('formatted.xlsx', '--heatmap', '--rag', '70,95');
+  const ws = XLSX.read(fs.readFileSync(file), { cellNF: true, cellStyles: true }).Sheets.Pivot;
+  const rows = XLSX.utils.sheet_to_json(ws, { header: 1 });
+  const sales = rows.findIndex((r) => r[0] === 'Sales') + 1;
+  assert.equal(ws[`I${sales}`].w, '◐ 80%');
+  assert.equal(ws[`I${sales}`].s.fgColor.rgb, 'FFEB9C');
+  assert.match(ws[`B${sales}`].s.fgColor.rgb, /^[0-9A-F]{6}$/);
+  assert.deepEqual(
+    rows.slice(-4).map((r) => r[0]),
+    [
+      'On target: progress 95% or more',
+      'Close: progress 70% to under 95%',
+      'Behind: progress under 70%',
+      'Heatmap: darker cells hold a larger share of their row total'
+    ]
+  );
+});
+
+test('sorts the rows and folds all but the bottom N into Others', () => {
+  const args = ['--bottom', '1', '--by', 'progress', '--sort', 'label:desc'];
+  const report = JSON.parse(fs.readFileSync(build('ranked.json', ...args), 'utf8'));
+  assert.deepEqual(
+    report.rows.filter((r) => r.kind === 'group0' || r.kind === 'grand').map((r) => r.label),
+    ['Beta', 'Others (1)', 'Grand Total']
+  );
+  const others = report.rows.find((r) => r.label === 'Others (1)');
+  assert.deepEqual([others.values, others.target], [[2, 2, 1, 1, 6], 6]);
+  assert.equal(report.settings['Row order'], 'Bottom 1 by Progress %, the rest as Others; Sorted by Row label (descending)');
+
+  const unknown = pivot('build', '--current', fixture('current.xlsx'), '--out', path.join(outDir, 'x.csv'), '--sort', 'Nope');
+  assert.equal(unknown.status, 1);
+  assert.match(unknown.stderr, /--sort: unknown column “Nope”/);
+});
+
+test('filters by Submission Date and paces against the prev year', () => {
+  const file = path.join(outDir, 'paced.json');
+  const dated = ['--current', fixture('current-dated.csv'), '--prev', fixture('prev-dated.csv')];
+  const run = pivot('build', ...dated, '--out', file, '--date-to', '2024-02-05', '--cycle-start', '01-02');
+  assert.equal(run.status, 0, run.stderr);
+  const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const pace = report.columns.findIndex((c) => c.label === 'Pace');
+  assert.deepEqual(
+    report.rows.filter((r) => r.kind !== 'group1').map((r) => [r.label, r.values[pace]]),
+    [
+      ['Alpha', 4 / 3],
+      ['Beta', 2],
+      ['Grand Total', 1.5]
+    ]
+  );
+  assert.equal(report.caption, 'Filters: Submission Date: until 2024-02-05; Submission Status: excluding Draft');
+  assert.equal(
+    report.settings.Pacing,
+    'Applications to 2024-02-05 (day 35 of the cycle from 01-02); prev year to 2023-02-05'
+  );
+
+  const bad = pivot('build', '--current', fixture('current.csv'), '--out', path.join(outDir, 'x.csv'), '--date-from', '2024-01-01');
+  assert.equal(bad.status, 1);
+  assert.match(bad.stderr, /filtering by date needs a Submission Date column/);
+  const date = pivot('build', ...dated, '--out', path.join(outDir, 'x.csv'), '--date-to', '05/02/2024');
+  assert.equal(date.status, 2);
+  assert.match(date.stderr, /--date-to must be a date written YYYY-MM-DD/);
+});
+
+test('applies a column mapping to extracts with other headers', () => {
+  const file = path.join(outDir, 'mapped.json');
+  const run = pivot('build', '--current', fixture('current-renamed.csv'), '--mapping', fixture('mapping.json'), '--out', file);
+  assert.equal(run.status, 0, run.stderr);
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).rows.at(-1).values, [3, 4, 2, 1, 10]);
+});
+
+test('reports bad arguments and unreadable files', () => {
+  const usage = pivot('build', '--current', fixture('current.xlsx'), '--out', path.join(outDir, 'report.txt'));
+  assert.equal(usage.status, 2);
+  assert.match(usage.stderr, /Unknown format “txt”/);
+
+  const paper = pivot('build', '--current', fixture('current.xlsx'), '--out', path.join(outDir, 'x.pdf'), '--page-size', 'a3');
+  assert.equal(paper.status, 2);
+  assert.match(paper.stderr, /Unknown --page-size “a3”/);
+
+  const showAs = pivot('build', '--current', fixture('current.xlsx'), '--out', path.join(outDir, 'x.csv'), '--show-as', 'total');
+  assert.equal(showAs.status, 2);
+  assert.match(showAs.stderr, /Unknown --show-as mode “total”/);
+
+  const missing = pivot('build', '--current', fixture('nope.xlsx'), '--out', path.join(outDir, 'x.csv'));
+  assert.equal(missing.status, 1);
+  assert.match(missing.stderr, /Cannot read .*nope\.xlsx: no such file/);
+
+  const unmapped = pivot('build', '--current', fixture('current-renamed.csv'), '--out', path.join(outDir, 'x.csv'));
+  assert.equal(unmapped.status, 1);
+  assert.match(unmapped.stderr, /no sheet has the Dashboard columns/);
+});
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  DEFAULT_FORMAT_RULES,
+  HIGHLIGHT_STYLE,
+  formatLegend,
+  normalizeFormatRules,
+  pivotCellFormatter,
+  ragBand
+} from '../src/formatRules.js';
+import { collectPivotRows, pivotValueColumns } from '../src/pivotReport.js';
+
+const agg = (byColumn) => ({ byColumn, total: Object.values(byColumn).reduce((s, v) => s + v, 0) });
+const pivot = {
+  config: { rows: ['ou0'], column: 'status', value: { field: 'applicationKey', agg: 'count' } },
+  columns: ['Approved', 'Rejected'],
+  rowNodes: [
+    { key: 'Alpha', path: ['Alpha'], agg: agg({ Approved: 9, Rejected: 1 }), children: [] },
+    { key: 'Beta', path: ['Beta'], agg: agg({ Approved: 6, Rejected: 4 }), children: [] }
+  ],
+  grandAgg: agg({ Approved: 15, Rejected: 5 })
+};
+
+test('bands target progress by the red and amber thresholds', () => {
+  const rag = DEFAULT_FORMAT_RULES.rag;
+  assert.equal(ragBand(0.2, rag), 'red');
+  assert.equal(ragBand(0.6, rag), 'amber');
+  assert.equal(ragBand(0.899, rag), 'amber');
+  assert.equal(ragBand(1.4, rag), 'green');
+  assert.equal(ragBand(null, rag), null);
+  assert.equal(ragBand(0.2, { ...rag, enabled: false }), null);
+});
+
+test('fills in defaults and drops broken highlight rules', () => {
+  assert.deepEqual(normalizeFormatRules(undefined), DEFAULT_FORMAT_RULES);
+  const rules = normalizeFormatRules({
+    rag: { red: '50', amber: 40 },
+    heatmap: 'yes',
+    highlights: [
+      { column: 'Rejected', op: '>', value: '10' },
+      { column: 'Rejected', op: '!=', value: 1 },
+      { column: '', op: '<', value: 1 },
+      { column: 'Approved', op: '<=', value: '', of: 'value' }
+    ]
+  });
+  assert.deepEqual(rules.rag, { enabled: true, red: 50, amber: 50 });
+  assert.equal(rules.heatmap, false);
+  assert.deepEqual(rules.highlights, [{ column: 'Rejected', op: '>', value: 10, of: 'row' }]);
+});
+
+test('highlight rules win over the heatmap and computed columns stay plain', () => {
+  const rules = normalizeFormatRules({
+    heatmap: true,
+    highlights: [{ column: 'rejected', op: '>', value: 10 }]
+  });
+  const style = pivotCellFormatter(pivot, rules);
+  const [columnA, columnR, total] = pivotValueColumns(pivot);
+  const [alpha, beta, grand] = collectPivotRows(pivot);
+  assert.deepEqual(style(columnR, alpha), { fill: 'DFE6F2', color: null });
+  assert.equal(style(columnR, beta), HIGHLIGHT_STYLE);
+  assert.deepEqual(style(columnA, alpha), { fill: '345FA3', color: 'FFFFFF' });
+  assert.equal(style(columnA, beta).color, 'FFFFFF');
+  assert.equal(style(total, grand), null);
+
+  const grandRule = { column: 'Grand Total', op: '>=', value: 20, of: 'value' };
+  const byValue = pivotCellFormatter(pivot, normalizeFormatRules({ highlights: [grandRule] }));
+  assert.equal(byValue(total, grand), HIGHLIGHT_STYLE);
+  assert.equal(byValue(total, alpha), null);
+});
+
+test('the legend lists only the rules that show', () => {
+  const rules = normalizeFormatRules({ heatmap: true, highlights: [{ column: 'Rejected', op: '>=', value: 25 }] });
+  assert.deepEqual(
+    formatLegend(pivot, rules, { showTarget: true }).map((e) => e.text),
+    [
+      'On target: progress 90% or more',
+      'Close: progress 60% to under 90%',
+      'Behind: progress under 60%',
+      'Heatmap: darker cells hold a larger share of their row total',
+      'Highlighted: Rejected ≥ 25% of row'
+    ]
+  );
+  const average = { ...pivot, config: { ...pivot.config, value: { field: 'x', agg: 'avg' } } };
+  assert.deepEqual(formatLegend(average, rules, { showTarget: false }).map((e) => e.symbol), ['!']);
+});
@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { compileFormula, compileMeasures, measureOperands, normalizeMeasures } from '../src/measures.js';
+
+const pivot = {
+  columns: ['Submitted', 'Approved', 'Rejected', 'In Review'],
+  columnBuckets: [{ name: 'Open', columns: ['Submitted', 'In Review'] }]
+};
+const agg = {
+  byColumn: { Submitted: 3, Approved: 4, Rejected: 2, 'In Review': 1 },
+  byBucket: { Open: 4 },
+  total: 10
+};
+const operands = measureOperands(pivot);
+const run = (formula, row = agg) => compileFormula(formula, operands)(row);
+
+test('evaluates arithmetic with the usual precedence', () => {
+  assert.equal(run('Approved / (Submitted + Approved + Rejected)'), 4 / 9);
+  assert.equal(run('Submitted + In Review * 2'), 5);
+  assert.equal(run('-(Approved - Total) / 2'), 3);
+  assert.equal(run('[in review] + open + [Grand Total]'), 15);
+  assert.equal(run('1.5 * .5'), 0.75);
+});
+
+test('dividing by zero or by a missing value leaves the result empty', () => {
+  assert.equal(run('Approved / (Rejected - 2)'), null);
+  assert.equal(run('Approved / Total', { byColumn: {}, total: 0 }), null);
+  assert.equal(run('Approved + 1', null), null);
+});
+
+test('says what is wrong with a formula and where', () => {
+  assert.throws(() => run('  '), /Enter a formula/);
+  assert.throws(() => run('Aproved / Total'), /Unknown column “Aproved” at character 1\. Use one of: Submitted, .*Open, Total\./);
+  assert.throws(() => run('(Approved + 1'), /Missing “\)” for the “\(” at character 1/);
+  assert.throws(() => run('Approved +'), /ends too early/);
+  assert.throws(() => run('Approved (2)'), /Unexpected “\(” at character 10/);
+  assert.throws(() => run('Approved ^ 2'), /Unexpected “\^” at character 10/);
+  assert.throws(() => run('[Approved'), /Missing “]” for the “\[” at character 1/);
+  assert.throws(() => run('* 2'), /Expected a number, a column or “\(” but found “\*” at character 1/);
+  assert.throws(() => run('alert(1)'), /Unexpected “\(” at character 6/);
+});
+
+test('keeps measures that do not fit the pivot apart from the ones that do', () => {
+  const measures = normalizeMeasures([
+    { name: 'Backlog', formula: 'Submitted + [In Review]' },
+    { name: 'Drafts', formula: 'Draft / Total', format: 'percent' },
+    { name: '', formula: '1' },
+    { name: 'backlog ', formula: 'Open', format: 'bar' }
+  ]);
+  assert.deepEqual(measures, [
+    { name: 'Drafts', formula: 'Draft / Total', format: 'percent' },
+    { name: 'backlog', formula: 'Open', format: 'number' }
+  ]);
+  const { compiled, problems } = compileMeasures(measures, pivot);
+  assert.deepEqual(
+    compiled.map((m) => [m.name, m.evaluate(agg)]),
+    [['backlog', 4]]
+  );
+  assert.deepEqual(problems.map((p) => p.name), ['Drafts']);
+});
@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { test } from 'node:test';
+import { autoDetectMapping } from '../src/columnMapping.js';
+import {
+  dayToIso,
+  isoToDay,
+  normalizeCycleStart,
+  normalizeDateRange,
+  paceCycle,
+  parseDay,
+  shiftYears,
+  weeklyPaceTable
+} from '../src/pacing.js';
+import { aggregateDataset, createDataset, inspectWorkbook, readRowsFromWorkbook } from '../src/pivotCore.js';
+import { DEFAULT_DATA_OPTIONS } from '../src/pivotConfig.js';
+
+// current-dated.csv has eight 2024 applications, one without a date (and a
+// "Submitted On" header); prev-dated.csv has seven from 2023.
+
+function readFixture(name) {
+  const bytes = fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+  return readRowsFromWorkbook(bytes, name, autoDetectMapping(inspectWorkbook(bytes, name).sheets));
+}
+
+const dataset = createDataset(readFixture('current-dated.csv'), readFixture('prev-dated.csv'));
+const config = { rows: ['ou0', 'ou1'], column: 'status', value: { field: 'applicationKey', agg: 'count' } };
+const aggregate = (options = {}) => aggregateDataset(dataset, { config, options: { ...DEFAULT_DATA_OPTIONS, ...options } });
+const iso = (text) => {
+  const day = parseDay(text);
+  return day === null ? null : dayToIso(day);
+};
+
+test('reads dates as spreadsheets and extracts write them', () => {
+  assert.equal(iso('2024-03-15'), '2024-03-15');
+  assert.equal(iso('2024-03-15T09:30:00Z'), '2024-03-15');
+  assert.equal(iso('2024/3/5'), '2024-03-05');
+  assert.equal(iso('3/15/24'), '2024-03-15');
+  assert.equal(iso('3/5/2024 14:00'), '2024-03-05');
+  assert.equal(iso('15/03/2024'), '2024-03-15');
+  assert.equal(iso('15.03.2024'), '2024-03-15');
+  assert.equal(iso('15-Mar-2024'), '2024-03-15');
+  assert.equal(iso('Mar 15, 2024'), '2024-03-15');
+  assert.equal(iso('45366'), '2024-03-15');
+  assert.equal(iso('45366.75'), '2024-03-15');
+  for (const bad of ['', 'soon', '2024-02-30', '13/13/2024', '0']) assert.equal(iso(bad), null, bad);
+});
+
+test('finds the cycle and the same point of the year before', () => {
+  const cycle = paceCycle(isoToDay('2024-03-01'), '09-01');
+  assert.equal(dayToIso(cycle.start), '2023-09-01');
+  assert.equal(dayToIso(cycle.end), '2024-09-01');
+  assert.equal(dayToIso(cycle.prevStart), '2022-09-01');
+  // Days are counted from the cycle start, so after 29 February 2024 the prev
+  // year's matching day is one date later.
+  assert.equal(cycle.dayOfCycle, 182);
+  assert.equal(dayToIso(cycle.prevAsOf), '2023-03-02');
+  assert.equal(dayToIso(shiftYears(isoToDay('2024-02-29'), -1)), '2023-02-28');
+  assert.equal(normalizeCycleStart('02-29'), '01-01');
+  assert.deepEqual(normalizeDateRange({ from: '2024-05-01', to: '2024-01-31' }), { from: '2024-01-31', to: '2024-05-01' });
+  assert.deepEqual(normalizeDateRange({ from: 'May', to: '' }), { from: null, to: null });
+});
+
+test('paces every row against the prev year up to the same day', () => {
+  const { pivot, quality } = aggregate();
+  assert.deepEqual(pivot.pacing, {
+    asOf: '2024-02-10',
+    cycleStart: '01-01',
+    cycleStartDate: '2024-01-01',
+    prevCycleStartDate: '2023-01-01',
+    prevAsOf: '2023-02-10',
+    dayOfCycle: 40,
+    compared: true
+  });
+  assert.deepEqual(pivot.grandPace, { current: 7, prev: 4 });
+  assert.deepEqual(
+    pivot.rowNodes.map((n) => [n.key, n.pace]),
+    [
+      ['Alpha', { current: 4, prev: 3 }],
+      ['Beta', { current: 2, prev: 1 }],
+      ['Gamma', { current: 1, prev: 0 }]
+    ]
+  );
+  assert.equal(quality.current.checks.find((c) => c.id === 'undated').count, 1);
+});
+
+test('filters both years by the date range, the prev year a year earlier', () => {
+  const { pivot } = aggregate({ dateRange: { from: '2024-01-05', to: '2024-02-01' } });
+  assert.equal(pivot.filteredCount, 4);
+  assert.deepEqual(pivot.dateRange, { from: '2024-01-05', to: '2024-02-01' });
+  assert.equal(pivot.pacing.asOf, '2024-02-01');
+  assert.deepEqual(pivot.grandPace, { current: 4, prev: 4 });
+});
+
+test('counts cumulative applications per week and OU0', () => {
+  const { weeklyPace } = aggregate();
+  assert.equal(weeklyPace.weekStarts.length, 53);
+  assert.equal(weeklyPace.asOfWeek, 5);
+  assert.deepEqual(
+    weeklyPace.series.map((s) => s.key),
+    [null, 'Alpha', 'Beta', 'Gamma']
+  );
+  const [all] = weeklyPace.series;
+  assert.deepEqual(all.current, [1, 2, 4, 4, 5, 7]);
+  assert.deepEqual(all.prev.slice(0, 6), [1, 1, 2, 3, 4, 5]);
+  assert.equal(all.prev.at(-1), 7);
+
+  const { header, rows } = weeklyPaceTable(weeklyPace);
+  assert.deepEqual(header, ['OU Level 0', 'Week Starting', 'This Year (cumulative)', 'Prev Year (cumulative)']);
+  assert.deepEqual(rows[0], ['All', '2024-01-01', 1, 1]);
+  assert.deepEqual(rows[6], ['All', '2024-02-12', '', 5]);
+});
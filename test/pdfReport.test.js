@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { test } from 'node:test';
+import { autoDetectMapping } from '../src/columnMapping.js';
+import { jpegSize, reportToPdf } from '../src/pdfReport.js';
+import { DEFAULT_DATA_OPTIONS, DEFAULT_PIVOT_CONFIG } from '../src/pivotConfig.js';
+import {
+  aggregateDataset,
+  createDataset,
+  inspectWorkbook,
+  readRowsFromWorkbook
+} from '../src/pivotCore.js';
+import { buildPivotReport } from '../src/pivotReport.js';
+import { createPrevBase, createTargetSettings } from '../src/targets.js';
+
+function readFixture(name) {
+  const bytes = fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+  return readRowsFromWorkbook(bytes, name, autoDetectMapping(inspectWorkbook(bytes, name).sheets));
+}
+
+const dataset = createDataset(readFixture('current.xlsx'), readFixture('prev.xlsx'));
+const result = aggregateDataset(dataset, { config: DEFAULT_PIVOT_CONFIG, options: DEFAULT_DATA_OPTIONS });
+const report = buildPivotReport(result.pivot, {
+  fields: result.fields,
+  targets: {
+    prevBase: createPrevBase(result.prev),
+    settings: createTargetSettings(),
+    ou0Keys: result.pivot.ou0Keys
+  }
+});
+
+// The file as text, its page content streams and MediaBoxes.
+function readPdf(bytes) {
+  const text = Buffer.from(bytes).toString('latin1');
+  const pages = [...text.matchAll(/\/Type \/Page \/Parent[^]*?\/Contents (\d+) 0 R/g)].map((m) => {
+    const content = new RegExp(`\\n${m[1]} 0 obj\\n<< /Length \\d+ >>\\nstream\\n([^]*?)\\nendstream`).exec(text);
+    return { box: /\/MediaBox \[([^\]]+)\]/.exec(m[0])[1], content: content[1] };
+  });
+  return { text, pages };
+}
+
+// Longer than a page and wider than it, even at the smallest font.
+function wideReport(rowCount, columnCount) {
+  const columns = Array.from({ length: columnCount }, (_, i) => ({
+    label: `Status ${i + 1}`,
+    groups: [],
+    signed: false,
+    percent: false
+  }));
+  const rows = Array.from({ length: rowCount }, (_, i) => ({
+    label: `Unit ${i + 1}`,
+    level: 0,
+    kind: 'group0',
+    hidden: i === 1,
+    cells: columns.map((_, j) => i * 1000 + j),
+    styles: [],
+    target: null,
+    targetSource: '',
+    progress: null,
+    band: null
+  }));
+  return { rowHeader: 'OU Level 0', columns, rows, showTarget: false, legend: [] };
+}
+
+test('writes a well-formed PDF whose cross-reference table points at every object', () => {
+  const { text, pages } = readPdf(reportToPdf(report, { title: 'Weekly pivot' }));
+  assert.match(text, /^%PDF-1\.4\n/);
+  assert.match(text, /%%EOF\n$/);
+  const xref = Number(/startxref\n(\d+)\n/.exec(text)[1]);
+  assert.equal(text.slice(xref, xref + 4), 'xref');
+  const offsets = [...text.slice(xref).matchAll(/^(\d{10}) 00000 n $/gm)].map((m) => Number(m[1]));
+  offsets.forEach((offset, i) => assert.equal(text.slice(offset, offset + `${i + 1} 0 obj`.length), `${i + 1} 0 obj`));
+  assert.match(text, new RegExp(`/Type /Pages /Kids \\[[^\\]]+\\] /Count ${pages.length} >>`));
+  assert.equal(pages[0].box, '0 0 595.28 841.89');
+});
+
+test('heads every page with the title, sources and page number and ends with the appendix', () => {
+  const { pages } = readPdf(
+    reportToPdf(report, {
+      title: 'Weekly pivot',
+      caption: 'Filters: Submission Status: excluding Draft',
+      settings: [['Growth rate', '10%']],
+      sources: ['Current Year: current.xlsx', 'Prev Year: prev.xlsx'],
+      generatedAt: new Date(2024, 2, 15, 9, 30)
+    })
+  );
+  assert.equal(pages.length, 2);
+  pages.forEach((page, i) => {
+    assert.match(page.content, /\(Weekly pivot\) Tj/);
+    assert.match(page.content, /\(Current Year: current\.xlsx {2}\\267 {2}Prev Year: prev\.xlsx {2}\\267 {2}Generated 2024-03-15 09:30\) Tj/);
+    assert.match(page.content, new RegExp(`\\(Page ${i + 1} of 2\\) Tj`));
+  });
+  assert.match(pages[0].content, /\(Grand Total\) Tj/);
+  assert.match(pages[0].content, /\(Progress %\) Tj/);
+  assert.match(pages[1].content, /\(Filters\) Tj[^]*\(Submission Status: excluding Draft\) Tj/);
+  assert.match(pages[1].content, /\(Growth rate\) Tj[^]*\(10%\) Tj/);
+});
+
+test('repeats the column headers on each page and splits wide tables into column bands', () => {
+  const { pages } = readPdf(reportToPdf(wideReport(120, 40), { orientation: 'landscape', pageSize: 'letter' }));
+  assert.equal(pages[0].box, '0 0 792 612');
+  const table = pages.filter((p) => !/\(Appendix\) Tj/.test(p.content));
+  assert.ok(table.length >= 4);
+  for (const page of table) assert.match(page.content, /\(OU Level 0\) Tj/);
+  assert.match(table[0].content, /\(Columns 1\\226\d+ of 40\) Tj/);
+  assert.match(table.at(-1).content, /\(Columns \d+\\22640 of 40\) Tj/);
+  // Each band prints every shown row once; hidden rows are left out.
+  const units = table.flatMap((p) => [...p.content.matchAll(/\((Unit \d+)\) Tj/g)].map((m) => m[1]));
+  const bands = new Set(table.map((p) => /\((Columns [^)]+)\) Tj/.exec(p.content)[1])).size;
+  assert.equal(units.length, 119 * bands);
+  assert.ok(!units.includes('Unit 2'));
+});
+
+test('embeds charts as JPEG images in the appendix', () => {
+  // SOI and a baseline frame header for a 300 × 150 RGB image.
+  const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0, 4, 0, 0, 0xff, 0xc0, 0, 17, 8, 0, 150, 1, 44, 3, 1, 2, 3, 0xff, 0xd9]);
+  assert.deepEqual(jpegSize(jpeg), { width: 300, height: 150, components: 3 });
+  const { text, pages } = readPdf(reportToPdf(report, { charts: [{ title: 'Status chart', jpeg }] }));
+  assert.match(text, /\/Subtype \/Image \/Width 300 \/Height 150 \/ColorSpace \/DeviceRGB \/BitsPerComponent 8 \/Filter \/DCTDecode/);
+  assert.match(pages.at(-1).content, /\(Status chart\) Tj[^]*\/Im1 Do/);
+  assert.throws(() => jpegSize(new Uint8Array([0x89, 0x50])), /not a JPEG/);
+});
+
+test('reports the characters the standard fonts cannot show', () => {
+  const small = wideReport(2, 1);
+  small.rows[0].label = 'Zürich 北京';
+  let unsupported = null;
+  const { pages } = readPdf(
+    reportToPdf(small, {
+      title: 'Pivot 北',
+      caption: 'Region: Łódź',
+      onUnsupported: (chars) => {
+        unsupported = chars;
+      }
+    })
+  );
+  assert.deepEqual(unsupported, ['北', '京', 'Ł', 'ź']);
+  assert.match(pages[0].content, /\(Z\\374rich \?\?\) Tj/);
+
+  let called = false;
+  reportToPdf(report, { onUnsupported: () => (called = true) });
+  assert.equal(called, false);
+});
@@ -0,0 +1,255 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { test } from 'node:test';
+import * as XLSX from 'xlsx';
+import { autoDetectMapping } from '../src/columnMapping.js';
+import {
+  aggregateDataset,
+  createDataset,
+  drillRows,
+  inspectWorkbook,
+  readExtraColumns,
+  readRowsFromWorkbook,
+  readTargetsFile,
+  snapshotDrillRows,
+  usedExtraHeaders
+} from '../src/pivotCore.js';
+import { DEFAULT_DATA_OPTIONS, DEFAULT_PIVOT_CONFIG } from '../src/pivotConfig.js';
+import { buildPivotReport, describeSnapshotDiff, snapshotOuRows, snapshotTransitionTable } from '../src/pivotReport.js';
+import { DEFAULT_STATUS_SETTINGS, DEFAULT_STATUS_STAGES } from '../src/statusSettings.js';
+import { createPrevBase, createTargetSettings, importedTargets } from '../src/targets.js';
+
+// The fixtures are small enough to count by hand: see test/fixtures/*.csv for
+// the current-year rows (13 rows, two Drafts, one duplicate key B1 and one
+// row without a key) and prev.xlsx for the prev year (11 rows, one Draft).
+
+function readFixture(name) {
+  const bytes = fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+  const mapping = autoDetectMapping(inspectWorkbook(bytes, name).sheets);
+  return readRowsFromWorkbook(bytes, name, mapping);
+}
+
+function buildReport({ current = 'current.xlsx', prev = 'prev.xlsx', options = {}, targets = {} } = {}) {
+  const dataset = createDataset(readFixture(current), prev ? readFixture(prev) : null);
+  const result = aggregateDataset(dataset, {
+    config: DEFAULT_PIVOT_CONFIG,
+    options: { ...DEFAULT_DATA_OPTIONS, ...options }
+  });
+  const settings = { ...createTargetSettings(), ...targets };
+  const ctx = { prevBase: createPrevBase(result.prev), settings, ou0Keys: result.pivot.ou0Keys };
+  return buildPivotReport(result.pivot, { fields: result.fields, ouChanges: result.ouChanges, targets: ctx });
+}
+
+// Row label (or "Grand Total") → { column label → value }, plus target.
+function byPath(report) {
+  const out = {};
+  for (const r of report.rows) {
+    const values = {};
+    report.columns.forEach((c, i) => {
+      values[[...c.groups, c.label].join(' / ')] = r.cells[i];
+    });
+    out[r.kind === 'grand' ? 'Grand Total' : r.path.join(' / ')] = { ...values, target: r.target, source: r.targetSource };
+  }
+  return out;
+}
+
+test('counts applications per status, leaving out Drafts and rows without a key', () => {
+  const rows = byPath(buildReport());
+  assert.deepEqual(
+    buildReport().columns.map((c) => c.label),
+    ['Submitted', 'Approved', 'Rejected', 'In Review', 'Grand Total']
+  );
+  assert.equal(rows['Grand Total']['Grand Total'], 10);
+  assert.equal(rows['Grand Total'].Approved, 4);
+  assert.equal(rows.Alpha['Grand Total'], 6);
+  // "in-review" is an alias of In Review.
+  assert.equal(rows['Alpha / Support']['In Review'], 1);
+  assert.equal(rows['Alpha / Sales / North'].Submitted, 2);
+  assert.equal(rows.Beta['Grand Total'], 4);
+  assert.equal(rows['Beta / Labs'], undefined);
+});
+
+test('reads CSV extracts the same way as workbooks', () => {
+  assert.deepEqual(byPath(buildReport({ current: 'current.csv' })), byPath(buildReport()));
+});
+
+test('targets grow the prev-year base and sum up to the grand total', () => {
+  const rows = byPath(buildReport());
+  assert.deepEqual(
+    ['Alpha', 'Alpha / Sales', 'Alpha / Support', 'Beta', 'Grand Total'].map((p) => rows[p].target),
+    [6, 5, 2, 6, 12]
+  );
+  assert.equal(rows.Alpha.source, 'Prev year');
+  assert.equal(rows['Grand Total'].source, 'Sum of BG targets');
+  assert.equal(rows['Alpha / Sales / North'].target, null);
+
+  const faster = byPath(buildReport({ targets: { growthPct: 50 } }));
+  assert.equal(faster.Alpha.target, 8);
+  assert.equal(faster['Grand Total'].target, 16);
+});
+
+test('imported targets replace the prev-year base', () => {
+  const imported = readTargetsFile(fs.readFileSync(new URL('./fixtures/targets.csv', import.meta.url)), 'targets.csv');
+  assert.equal(imported.skipped, 0);
+  const rows = byPath(buildReport({ targets: { imported: importedTargets(imported.entries) } }));
+  assert.equal(rows.Beta.target, 8);
+  assert.equal(rows.Beta.source, 'Imported');
+  assert.equal(rows['Alpha / Support'].target, 3);
+  assert.equal(rows['Grand Total'].target, 14);
+});
+
+test('leaves the targets of OU0s filtered out of the grand total', () => {
+  const imported = readTargetsFile(fs.readFileSync(new URL('./fixtures/targets.csv', import.meta.url)), 'targets.csv');
+  const targets = { imported: importedTargets(imported.entries) };
+  const filters = { ...DEFAULT_DATA_OPTIONS.filters, ou0: ['Beta'] };
+  const rows = byPath(buildReport({ targets, options: { filters } }));
+  assert.equal(rows.Beta, undefined);
+  assert.equal(rows['Grand Total'].target, rows.Alpha.target);
+  assert.equal(byPath(buildReport({ prev: null, targets, options: { filters } }))['Grand Total'].target, null);
+});
+
+test('without a prev-year file nothing has a target', () => {
+  const rows = byPath(buildReport({ prev: null }));
+  assert.equal(rows['Grand Total']['Grand Total'], 10);
+  assert.equal(rows['Grand Total'].target, null);
+  assert.equal(rows.Alpha.source, 'No target');
+});
+
+test('counts one row per application key when asked to', () => {
+  const last = byPath(buildReport({ options: { distinctApplications: true } }));
+  assert.equal(last['Grand Total']['Grand Total'], 9);
+  assert.equal(last.Beta.Approved, 1);
+  assert.equal(last.Beta.Rejected, 1);
+
+  const first = byPath(buildReport({ options: { distinctApplications: true, duplicateRule: 'first' } }));
+  assert.equal(first.Beta.Approved, 2);
+  assert.equal(first.Beta.Rejected, 0);
+});
+
+test('ranks the furthest status by the configured stages, aliases included', () => {
+  const csv = Buffer.from(
+    'OU Level 0,Application Key,Submission Status\nAlpha,A1,Approved\nAlpha,A1,Withdrawn\nAlpha,A2,Pulled\nAlpha,A2,Submitted\n'
+  );
+  const dataset = createDataset(readRowsFromWorkbook(csv, 'dup.csv', autoDetectMapping(inspectWorkbook(csv, 'dup.csv').sheets)));
+  const count = (stages) => {
+    const statuses = { ...DEFAULT_STATUS_SETTINGS, aliases: { pulled: 'Withdrawn' }, stages };
+    const options = { ...DEFAULT_DATA_OPTIONS, distinctApplications: true, duplicateRule: 'stage', statuses };
+    return aggregateDataset(dataset, { config: DEFAULT_PIVOT_CONFIG, options }).pivot.grandAgg.byColumn;
+  };
+  assert.deepEqual(count(DEFAULT_STATUS_STAGES), { Approved: 1, Submitted: 1 });
+  // Pulled is counted as Withdrawn and takes its stage in the list.
+  assert.deepEqual(count(['Pulled', ...DEFAULT_STATUS_STAGES]), { Withdrawn: 2 });
+});
+
+test('drills from any level, column or bucket to the source rows in file order', () => {
+  const dataset = createDataset(readFixture('current.xlsx'), readFixture('prev.xlsx'));
+  const statuses = { ...DEFAULT_STATUS_SETTINGS, buckets: [{ name: 'Open', statuses: ['Submitted', 'In Review'] }] };
+  const options = { ...DEFAULT_DATA_OPTIONS, compareYears: true, statuses };
+  aggregateDataset(dataset, { config: DEFAULT_PIVOT_CONFIG, options });
+  const keys = (selection) => drillRows(dataset, selection).rows.map((r) => r[0]);
+  assert.deepEqual(keys({ path: ['Alpha'] }), ['A1', 'A2', 'A3', 'A4', 'A6', 'A7']);
+  assert.deepEqual(keys({ path: ['Alpha'], column: 'Submitted' }), ['A1', 'A2']);
+  assert.deepEqual(keys({ path: [], bucket: 'Open' }), ['A1', 'A2', 'A7', 'B3']);
+  assert.equal(keys({ path: [], year: 'prev' }).length, 10);
+});
+
+test('reads unmapped columns only once the pivot or a slicer uses them', () => {
+  const bytes = fs.readFileSync(new URL('./fixtures/current.xlsx', import.meta.url));
+  const mapping = autoDetectMapping(inspectWorkbook(bytes, 'current.xlsx').sheets);
+  const config = { ...DEFAULT_PIVOT_CONFIG, column: 'col:Region' };
+  assert.deepEqual(usedExtraHeaders(DEFAULT_PIVOT_CONFIG, DEFAULT_DATA_OPTIONS, ['status', 'ou0']), []);
+  assert.deepEqual(usedExtraHeaders(config, DEFAULT_DATA_OPTIONS, ['col:Region']), ['Region']);
+
+  const read = readRowsFromWorkbook(bytes, 'current.xlsx', mapping, undefined, { extras: [] });
+  assert.deepEqual(read.extras, []);
+  assert.deepEqual(read.rows[0].extra, {});
+  const dataset = createDataset(read);
+  aggregateDataset(dataset, { config: DEFAULT_PIVOT_CONFIG, options: DEFAULT_DATA_OPTIONS });
+  assert.ok(!drillRows(dataset, { path: [] }).header.includes('Region'));
+
+  readExtraColumns(read, bytes, 'current.xlsx', ['Region']);
+  assert.deepEqual(read.extras, ['Region']);
+  const { pivot } = aggregateDataset(dataset, { config, options: DEFAULT_DATA_OPTIONS });
+  assert.deepEqual(pivot.grandAgg.byColumn, { N: 5, S: 1, E: 4 });
+  assert.ok(drillRows(dataset, { path: [] }).header.includes('Region'));
+});
+
+test('reads Submission Dates from the cell value, whatever their display format', () => {
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ['OU Level 0', 'OU Level 1', 'Application Key', 'Submission Status', 'Submitted On'],
+    ['Alpha', 'Sales', 'A1', 'Submitted', 45356],
+    ['Alpha', 'Sales', 'A2', 'Submitted', '05/03/2024']
+  ]);
+  sheet.E2.z = 'dd/mm/yyyy';
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, sheet, 'Dashboard');
+  const bytes = XLSX.write(wb, { type: 'array', bookType: 'xlsx' });
+  const mapping = autoDetectMapping(inspectWorkbook(bytes, 'dates.xlsx').sheets);
+  const { rows } = readRowsFromWorkbook(bytes, 'dates.xlsx', mapping);
+  // 45356 is 2024-03-05, shown as 05/03/2024; the same text typed in is read month first.
+  assert.deepEqual(rows.map((r) => r.submittedAt), ['2024-03-05', '2024-05-03']);
+});
+
+test('numbers CSV rows by the line they start on in the file', () => {
+  const text = [
+    'OU Level 0,OU Level 1,Application Key,Submission Status',
+    'Alpha,Sales,A1,Submitted',
+    '',
+    'Alpha,"Sales',
+    'East",A2,Approved',
+    'Beta,Ops,B1,Submitted',
+    ''
+  ].join('\r\n');
+  const bytes = new TextEncoder().encode(text);
+  const mapping = autoDetectMapping(inspectWorkbook(bytes, 'blank.csv').sheets);
+  const { rows } = readRowsFromWorkbook(bytes, 'blank.csv', mapping);
+  assert.deepEqual(
+    rows.map((r) => [r.applicationKey, r.rowNumber]),
+    [
+      ['A1', 2],
+      ['A2', 4],
+      ['B1', 6]
+    ]
+  );
+});
+
+test('keeps Drafts when the status filter is cleared', () => {
+  const rows = byPath(buildReport({ options: { filters: {} } }));
+  assert.equal(rows['Grand Total']['Grand Total'], 12);
+  assert.equal(rows.Alpha.Draft, 1);
+});
+
+test('compares with the prev year', () => {
+  const rows = byPath(buildReport({ options: { compareYears: true } }));
+  assert.equal(rows.Alpha['Grand Total / CY'], 6);
+  assert.equal(rows.Alpha['Grand Total / PY'], 5);
+  assert.equal(rows.Alpha['Grand Total / Δ'], 1);
+  assert.equal(rows['Grand Total']['Grand Total / PY'], 10);
+  assert.equal(rows['Grand Total']['Approved / PY'], 6);
+});
+
+// snapshot.csv is an earlier extract of current.csv: A2 and A3 have moved on,
+// A6 changed unit and status, B1 was rejected, A4 is new and B9 is gone.
+test('diffs an earlier snapshot of the current year by application key', () => {
+  const dataset = createDataset(readFixture('current.csv'), null, readFixture('snapshot.csv'));
+  const { snapshotDiff } = aggregateDataset(dataset, { config: DEFAULT_PIVOT_CONFIG, options: DEFAULT_DATA_OPTIONS });
+  assert.equal(
+    describeSnapshotDiff(snapshotDiff),
+    '12 applications compared: 1 new, 1 removed, 4 changed status, 1 moved OU'
+  );
+
+  const { header, rows } = snapshotTransitionTable(snapshotDiff);
+  assert.deepEqual(header, ['Snapshot Status', 'Draft', 'Submitted', 'Approved', 'Rejected', 'In Review', 'Removed']);
+  assert.deepEqual(rows[1], ['Submitted', 0, 2, 1, 1, 0, 1]);
+  assert.deepEqual(rows.at(-1), ['New', 0, 0, 1, 0, 0, 0]);
+
+  const ous = Object.fromEntries(snapshotOuRows(snapshotDiff).map(([label, ...counts]) => [label, counts]));
+  assert.deepEqual(ous['Alpha / Sales'], [5, 5, 1, 0, 2, 0, 1, 0]);
+  assert.deepEqual(ous['Alpha / Support'], [1, 2, 0, 0, 0, 1, 0, 1]);
+  assert.deepEqual(ous['Grand Total'], [11, 11, 1, 1, 4, 0, 0, 0]);
+
+  const moved = snapshotDrillRows(dataset, { path: ['Alpha', 'Support'], measure: 'movedIn' });
+  assert.deepEqual(moved.rows, [['A6', 'Alpha', 'Support', 'North', 'Rejected', 'Submitted', 'Alpha / Sales / North']]);
+  assert.deepEqual(snapshotDrillRows(dataset, { from: 'Submitted', to: null }).rows.map((r) => r[0]), ['B9']);
+  assert.deepEqual(snapshotDrillRows(dataset, { from: null, to: 'Approved' }).rows.map((r) => r[0]), ['A4']);
+});
@@ -0,0 +1,8 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { rowsToCsv } from '../src/reportFormats.js';
+
+test('keeps CSV cells that start like formulas from being evaluated', () => {
+  const csv = rowsToCsv([['=1+2', '+x', '-x', '@SUM(A1)', '\tTab', -3, '-3', '+4.5', 'ok', 'a,"b"']]);
+  assert.equal(csv, `'=1+2,'+x,'-x,'@SUM(A1),'\tTab,-3,-3,+4.5,ok,"a,""b"""\r\n`);
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  DEFAULT_ROW_ORDER,
+  ROW_SORT_KEYS,
+  arrangePivotRows,
+  collectPivotRows,
+  normalizeRowOrder,
+  pivotValueColumns
+} from '../src/pivotReport.js';
+import { createPrevBase, createTargetSettings, importedTargets, resolveRowTarget } from '../src/targets.js';
+
+const agg = (byColumn) => ({ byColumn, total: Object.values(byColumn).reduce((s, v) => s + v, 0) });
+const node = (path, byColumn, children = []) => ({ key: path.at(-1), path, agg: agg(byColumn), children });
+const pivot = {
+  config: { rows: ['ou0', 'ou1'], column: 'status', value: { field: 'applicationKey', agg: 'count' } },
+  columns: ['Approved', 'Rejected'],
+  rowNodes: [
+    node(['Alpha'], { Approved: 3, Rejected: 1 }, [
+      node(['Alpha', 'North'], { Approved: 1, Rejected: 1 }),
+      node(['Alpha', 'South'], { Approved: 2, Rejected: 0 })
+    ]),
+    node(['Beta'], { Approved: 1, Rejected: 5 }),
+    node(['Gamma'], { Approved: 2, Rejected: 0 })
+  ],
+  grandAgg: agg({ Approved: 6, Rejected: 6 })
+};
+const columns = pivotValueColumns(pivot);
+
+// Imported targets only, so nothing depends on a prev-year file.
+function targets(entries) {
+  const settings = createTargetSettings();
+  settings.imported = importedTargets(entries.map(([key, target]) => ({ path: [key], target })));
+  return { prevBase: createPrevBase(null), settings, ou0Keys: null };
+}
+
+const labels = (p) => collectPivotRows(p, () => true).map((r) => r.label);
+
+test('leaves the pivot alone in the default order', () => {
+  assert.equal(arrangePivotRows(pivot, DEFAULT_ROW_ORDER, { columns, targets: targets([]) }), pivot);
+});
+
+test('sorts every level by a column and keeps Grand Total last', () => {
+  const order = { ...DEFAULT_ROW_ORDER, sortKey: 'Approved', sortDir: 'asc' };
+  const sorted = arrangePivotRows(pivot, order, { columns, targets: targets([]) });
+  assert.deepEqual(labels(sorted), ['Beta', 'Gamma', 'Alpha', 'North', 'South', 'Grand Total']);
+
+  const byLabel = { ...DEFAULT_ROW_ORDER, sortKey: ROW_SORT_KEYS.label, sortDir: 'desc' };
+  const desc = arrangePivotRows(pivot, byLabel, { columns, targets: targets([]) });
+  assert.deepEqual(labels(desc), ['Gamma', 'Beta', 'Alpha', 'South', 'North', 'Grand Total']);
+});
+
+test('rows without a target sort last in either direction', () => {
+  const ctx = { columns, targets: targets([['Alpha', 8], ['Gamma', 2]]) };
+  for (const sortDir of ['asc', 'desc']) {
+    const order = { ...DEFAULT_ROW_ORDER, sortKey: ROW_SORT_KEYS.progress, sortDir };
+    assert.equal(arrangePivotRows(pivot, order, ctx).rowNodes.at(-1).key, 'Beta');
+  }
+});
+
+test('ranks rows past their target by how far past they are', () => {
+  const ctx = { columns, targets: targets([['Alpha', 1], ['Beta', 5], ['Gamma', 1]]) };
+  const order = { ...DEFAULT_ROW_ORDER, rankMode: 'top', rankN: 2, rankKey: ROW_SORT_KEYS.progress };
+  assert.deepEqual(labels(arrangePivotRows(pivot, order, ctx)), ['Alpha', 'North', 'South', 'Gamma', 'Others (1)', 'Grand Total']);
+});
+
+test('folds the rows past the top N into Others with their values and targets', () => {
+  const ctx = { columns, targets: targets([['Beta', 4], ['Gamma', 3]]) };
+  const order = { ...DEFAULT_ROW_ORDER, rankMode: 'bottom', rankN: 1, rankKey: 'Rejected' };
+  const ranked = arrangePivotRows(pivot, order, ctx);
+  assert.deepEqual(labels(ranked), ['Gamma', 'Others (2)', 'Grand Total']);
+  const others = ranked.rowNodes.at(-1);
+  assert.deepEqual(others.agg, { byColumn: { Approved: 4, Rejected: 6 }, byBucket: {}, total: 10 });
+  assert.deepEqual(others.folded.map((n) => n.key), ['Alpha', 'Beta']);
+
+  const sorted = arrangePivotRows(pivot, { ...order, rankMode: 'top', sortKey: ROW_SORT_KEYS.target }, ctx);
+  assert.deepEqual(labels(sorted), ['Beta', 'Others (2)', 'Grand Total']);
+  const target = resolveRowTarget(sorted.rowNodes.at(-1), 'group', pivot.config, ctx.targets);
+  assert.deepEqual(target, { value: 3, source: 'others' });
+});
+
+test('fills in defaults for a saved row order', () => {
+  assert.deepEqual(normalizeRowOrder(undefined), DEFAULT_ROW_ORDER);
+  assert.deepEqual(normalizeRowOrder({ sortKey: 'Approved', sortDir: 'up', rankMode: 'top', rankN: '2.5' }), {
+    ...DEFAULT_ROW_ORDER,
+    sortKey: 'Approved',
+    rankMode: 'top'
+  });
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { DEFAULT_DATA_OPTIONS, DEFAULT_PIVOT_CONFIG, DEFAULT_SLICER_FIELDS } from '../src/pivotConfig.js';
+import { normalizeView, parseViewsFile, viewsToJson } from '../src/savedViews.js';
+
+const view = normalizeView({
+  pivotConfig: { rows: ['ou0'], column: 'status', value: { field: 'applicationKey', agg: 'distinct' } },
+  dataOptions: {
+    distinctApplications: true,
+    duplicateRule: 'stage',
+    filters: { status: ['Draft', 'Rejected'] },
+    dateRange: { from: '2024-01-01', to: null },
+    cycleStart: '09-01'
+  },
+  slicerFields: ['status', 'ou0'],
+  display: { showAs: 'row', withValue: true },
+  measures: [{ name: 'Backlog', formula: 'Submitted + [In Review]', format: 'number' }],
+  formatting: { heatmap: true, highlights: [{ column: 'Rejected', op: '>', value: 10 }] },
+  rowOrder: { sortKey: '#progress', sortDir: 'asc', rankMode: 'top', rankN: 5, rankKey: 'Approved' },
+  expanded: ['Alpha', 'Alpha\u001fSales'],
+  targets: { growthPct: 25, overrides: [['Alpha', 7]], imported: [['Beta\u001fLabs', 3]], importName: 'targets.csv' }
+});
+
+test('fills in defaults for an empty or unreadable view', () => {
+  const empty = normalizeView(undefined);
+  assert.deepEqual(empty.pivotConfig, DEFAULT_PIVOT_CONFIG);
+  assert.deepEqual(empty.dataOptions.filters, DEFAULT_DATA_OPTIONS.filters);
+  assert.equal(empty.dataOptions.duplicateRule, DEFAULT_DATA_OPTIONS.duplicateRule);
+  assert.deepEqual(empty.dataOptions.dateRange, DEFAULT_DATA_OPTIONS.dateRange);
+  assert.equal(empty.dataOptions.cycleStart, DEFAULT_DATA_OPTIONS.cycleStart);
+  assert.deepEqual(empty.slicerFields, DEFAULT_SLICER_FIELDS);
+  assert.deepEqual(empty.display, { showAs: 'value', withValue: false });
+  assert.deepEqual(empty.measures, []);
+  assert.deepEqual(empty.formatting, { rag: { enabled: true, red: 60, amber: 90 }, heatmap: false, highlights: [] });
+  assert.equal(empty.rowOrder.sortKey, null);
+  assert.deepEqual(empty.expanded, []);
+  assert.equal(empty.targets.growthPct, 10);
+
+  const odd = normalizeView({
+    dataOptions: {
+      duplicateRule: 'newest',
+      filters: { status: 'Draft', ou0: [] },
+      dateRange: { from: '2024-13-01', to: '2024-02-01' },
+      cycleStart: '9-1'
+    },
+    display: { showAs: 'percent', withValue: 'yes' },
+    targets: { growthPct: 'fast', overrides: [['Alpha', -1], ['Beta', '4'], ['', 2], 'x'] }
+  });
+  assert.equal(odd.dataOptions.duplicateRule, 'last');
+  assert.deepEqual(odd.dataOptions.filters, {});
+  assert.deepEqual(odd.dataOptions.dateRange, { from: null, to: '2024-02-01' });
+  assert.equal(odd.dataOptions.cycleStart, '01-01');
+  assert.deepEqual(odd.display, { showAs: 'value', withValue: false });
+  assert.equal(odd.targets.growthPct, 10);
+  assert.deepEqual(odd.targets.overrides, [['Beta', 4]]);
+});
+
+test('round-trips views through the export file', () => {
+  const text = viewsToJson([{ name: 'Weekly', savedAt: '2024-05-01T08:00:00.000Z', view }]);
+  assert.deepEqual(parseViewsFile(text), [{ name: 'Weekly', savedAt: '2024-05-01T08:00:00.000Z', view }]);
+});
+
+test('keeps the last of two views with the same name', () => {
+  const text = JSON.stringify({
+    format: 'offline-xlsx-pivot/views',
+    version: 1,
+    views: [
+      { name: ' Weekly ', view: {} },
+      { name: '', view },
+      { name: 'Weekly', view }
+    ]
+  });
+  const views = parseViewsFile(text);
+  assert.equal(views.length, 1);
+  assert.equal(views[0].name, 'Weekly');
+  assert.deepEqual(views[0].view, view);
+});
+
+test('rejects files that are not saved views', () => {
+  assert.throws(() => parseViewsFile('{'), /not valid JSON/);
+  assert.throws(() => parseViewsFile('{"rows": []}'), /not a saved views file/);
+  assert.throws(
+    () => parseViewsFile(JSON.stringify({ format: 'offline-xlsx-pivot/views', version: 99, views: [] })),
+    /newer version/
+  );
+});
@@ -1,6 +1,45 @@
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
 import { defineConfig } from 'vite';
 
+// Writes sw.js next to the build with every emitted file and everything in
+// public/ precached. The cache name is a hash of their contents, so each
+// deploy that changes a file installs as an update.
+function precacheServiceWorker() {
+  let config;
+  return {
+    name: 'precache-service-worker',
+    apply: 'build',
+    configResolved(resolved) {
+      config = resolved;
+    },
+    writeBundle(options, bundle) {
+      const files = new Map();
+      for (const [fileName, item] of Object.entries(bundle)) {
+        if (!fileName.endsWith('.map')) files.set(fileName, item.type === 'chunk' ? item.code : item.source);
+      }
+      if (config.publicDir && fs.existsSync(config.publicDir)) {
+        for (const name of fs.readdirSync(config.publicDir, { recursive: true })) {
+          const file = path.join(config.publicDir, name);
+          if (fs.statSync(file).isFile()) files.set(name.split(path.sep).join('/'), fs.readFileSync(file));
+        }
+      }
+
+      const names = [...files.keys()].sort();
+      const hash = createHash('sha256');
+      for (const name of names) hash.update(name).update(files.get(name));
+      const source = fs
+        .readFileSync(path.resolve(config.root, 'src/serviceWorker.js'), 'utf8')
+        .replace('__CACHE_VERSION__', hash.digest('hex').slice(0, 12))
+        .replace('__PRECACHE_URLS__', JSON.stringify(names));
+      fs.writeFileSync(path.join(options.dir, 'sw.js'), source);
+    }
+  };
+}
+
 export default defineConfig({
+  plugins: [precacheServiceWorker()],
   server: {
     port: 5173,
     strictPort: true